@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * One log line per proxied request.
+ *
+ * A record is started when the request arrives, filled in by the
+ * proxy as it learns more (site, upstream host, first byte) and
+ * written once the response socket is done with it.
+ *
+ * Output is pluggable on both ends: `format` picks one of
+ * AccessLogger.formats (or is a custom record → string function)
+ * and `sink` is anything with a `write(line)` method.
+ */
+
+const REQUEST_ID_HEADER = 'x-request-id';
+
+// Accept an upstream load balancer's ID if it looks like one
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const formats = {
+  json(record) {
+    return JSON.stringify(record);
+  },
+
+  // Apache/nginx "combined" format
+  combined(record) {
+    const d = new Date(record.time);
+    const pad = n => String(n).padStart(2, '0');
+    const time =
+      `${pad(d.getUTCDate())}/${MONTHS[d.getUTCMonth()]}/${d.getUTCFullYear()}:` +
+      `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} +0000`;
+    const quote = v => `"${v ? String(v).replace(/["\\]/g, '\\$&') : '-'}"`;
+
+    return [
+      record.clientIp || '-',
+      '-',
+      record.user || '-',
+      `[${time}]`,
+      quote(`${record.method} ${record.url} HTTP/${record.httpVersion}`),
+      record.status,
+      record.responseBytes || '-',
+      quote(record.referer),
+      quote(record.userAgent),
+    ].join(' ');
+  },
+};
+
+/**
+ * Append-only file that rolls over to `file.1`, `file.2`, …
+ * once it grows past `maxBytes`.
+ */
+class RotatingFile {
+  constructor(file, { maxBytes, maxFiles }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error(`[ACCESS] Cannot write ${this.file}: ${err.message}`);
+    });
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.maxBytes > 0 && this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+    this.stream.write(line);
+    this.size += bytes;
+  }
+
+  rotate() {
+    // The old stream keeps its fd, so pending writes still land
+    // in what becomes file.1
+    this.stream.end();
+
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.file}.${i}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`);
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.unlinkSync(this.file);
+    }
+
+    this.open();
+  }
+}
+
+class AccessLogger {
+  /**
+   * @param {object} options
+   * @param {string|Function} [options.format] - "json", "combined" or record → string
+   * @param {string} [options.file] - log file path (stdout when empty)
+   * @param {{ write(line: string): void }} [options.sink] - custom destination
+   * @param {number} [options.maxBytes] - rotate the file past this size (0 = never)
+   * @param {number} [options.maxFiles] - rotated files to keep
+   */
+  constructor({ format = 'json', file = '', sink = null, maxBytes = 0, maxFiles = 5 } = {}) {
+    this.format = typeof format === 'function' ? format : formats[format];
+    if (!this.format) {
+      throw new Error(`Unknown access log format "${format}" (expected ${Object.keys(formats).join(', ')})`);
+    }
+
+    this.sink = sink || (file ? new RotatingFile(file, { maxBytes, maxFiles }) : process.stdout);
+    this.listeners = [];
+  }
+
+  /**
+   * Register a callback that receives every finished line
+   * (as an object) before it is formatted.
+   */
+  onFinish(fn) {
+    this.listeners.push(fn);
+  }
+
+  /**
+   * Start a record for an incoming request. The request ID is
+   * taken from the client's X-Request-ID when valid.
+   */
+  begin(req) {
+    const incoming = req.headers[REQUEST_ID_HEADER];
+
+    return {
+      id: VALID_REQUEST_ID.test(incoming || '') ? incoming : crypto.randomUUID(),
+      startedAt: process.hrtime.bigint(),
+      time: new Date().toISOString(),
+      clientIp: req.socket.remoteAddress || '',
+      method: req.method,
+      url: req.url,
+      httpVersion: req.httpVersion,
+      host: req.headers.host || '',
+      userAgent: req.headers['user-agent'] || '',
+      referer: req.headers.referer || '',
+      site: null,
+      upstream: null,
+      user: null,
+      cache: null,
+      recording: null,
+      route: null,
+      firstByteAt: null,
+      requestBytes: 0,
+      error: null,
+    };
+  }
+
+  /**
+   * Start a record and wire it to an HTTP response: the ID is
+   * echoed to the client, body bytes in both directions are
+   * counted and the line is written when the response closes.
+   */
+  track(req, res) {
+    const record = this.begin(req);
+
+    res.setHeader(REQUEST_ID_HEADER, record.id);
+
+    req.on('data', (c) => { record.requestBytes += c.length; });
+
+    const counted = { bytes: 0 };
+    const { write, end } = res;
+    res.write = function (chunk, encoding, cb) {
+      counted.bytes += byteLength(chunk, encoding);
+      return write.call(this, chunk, encoding, cb);
+    };
+    res.end = function (chunk, encoding, cb) {
+      if (chunk && typeof chunk !== 'function') counted.bytes += byteLength(chunk, encoding);
+      return end.call(this, chunk, encoding, cb);
+    };
+
+    res.on('close', () => {
+      this.finish(record, {
+        // 499: client went away before a response was sent (nginx convention)
+        status: res.headersSent ? res.statusCode : 499,
+        responseBytes: counted.bytes,
+        aborted: !res.writableFinished,
+      });
+    });
+
+    return record;
+  }
+
+  /**
+   * Mark the moment the upstream's response headers arrived.
+   */
+  firstByte(record) {
+    if (!record.firstByteAt) record.firstByteAt = process.hrtime.bigint();
+  }
+
+  finish(record, { status, responseBytes = 0, aborted = false }) {
+    const now = process.hrtime.bigint();
+    const ms = from => Number(now - from) / 1e6;
+    const firstByteMs = record.firstByteAt
+      ? Number(record.firstByteAt - record.startedAt) / 1e6
+      : null;
+
+    const line = {
+      time: record.time,
+      requestId: record.id,
+      site: record.site,
+      clientIp: record.clientIp,
+      user: record.user,
+      method: record.method,
+      host: record.host,
+      url: record.url,
+      httpVersion: record.httpVersion,
+      upstream: record.upstream,
+      status,
+      requestBytes: record.requestBytes,
+      responseBytes,
+      upstreamFirstByteMs: firstByteMs === null ? null : round(firstByteMs),
+      durationMs: round(ms(record.startedAt)),
+      userAgent: record.userAgent,
+      referer: record.referer,
+    };
+
+    if (record.cache) line.cache = record.cache;
+    if (record.recording) line.recording = record.recording;
+    if (record.route) line.route = record.route;
+    if (aborted) line.aborted = true;
+    if (record.error) line.error = record.error;
+
+    for (const fn of this.listeners) fn(line);
+
+    try {
+      this.sink.write(this.format(line) + '\n');
+    } catch (err) {
+      console.error(`[ACCESS] Failed to write log line: ${err.message}`);
+    }
+  }
+}
+
+AccessLogger.formats = formats;
+AccessLogger.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
+
+function byteLength(chunk, encoding) {
+  if (!chunk) return 0;
+  return typeof chunk === 'string'
+    ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+    : chunk.length;
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+module.exports = AccessLogger;
\ No newline at end of file
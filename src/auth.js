@@ -0,0 +1,678 @@
+/**
+ * Per-site access control ([auth] sections), checked before a
+ * request is routed anywhere:
+ *
+ *   1. allow / deny by client IP or CIDR range (deny wins)
+ *   2. type = basic — HTTP Basic against an htpasswd file
+ *      type = login — a sign-in form checked against the htpasswd
+ *                     file, remembered in a signed cookie
+ *      type = oidc  — OpenID Connect authorization code flow (with
+ *                     PKCE) against oidc_issuer, remembered in the
+ *                     same signed cookie
+ *   3. users — optional globs of the user names that may pass
+ *
+ * The gate's own pages are served under AUTH_PATH and never reach
+ * the upstream; its credentials (Authorization header, session
+ * cookie) are removed before a request is forwarded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const pages = require('./pages');
+const { agentFor } = require('./outbound-proxy');
+const { globToRegex } = require('./glob');
+const { readBody } = require('./request-rewriter');
+
+const AUTH_PATH = '/__proxy-mirror/auth';
+
+// Signs sessions of sites without `secret` when AUTH_SECRET isn't
+// set either; those sessions end when the process restarts
+const PROCESS_SECRET = crypto.randomBytes(32);
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const MAX_FORM_BYTES = 16 * 1024;
+const HTPASSWD_CHECK_MS = 5000;
+const MAX_VERIFIED = 1000;
+const IDP_TIMEOUT_MS = 10 * 1000;
+const JWKS_REFRESH_MS = 60 * 1000;
+const CLOCK_SKEW_S = 60;
+
+class AuthGate {
+  constructor(siteConfig) {
+    this.name = siteConfig.name;
+    this.options = siteConfig.auth;
+    this.secure = siteConfig.targetProtocol === 'https';
+    this.allow = addressList(this.options.allow);
+    this.deny = addressList(this.options.deny);
+    this.users = this.options.users.map(glob => globToRegex(glob, 'i'));
+    this.key = Buffer.from(this.options.secret || process.env.AUTH_SECRET || '');
+    if (this.key.length === 0) this.key = PROCESS_SECRET;
+
+    this.htpasswd = this.options.htpasswd ? new Htpasswd(this.options.htpasswd, this.name) : null;
+    this.oidc = this.options.type === 'oidc' ? new OidcClient(this.options, siteConfig.upstream) : null;
+  }
+
+  /**
+   * Who a request is from. `{ user }` if it may pass (user is ''
+   * when only address rules apply), otherwise `{ status, reason }`:
+   * 403 for a refused address or user, 401 without credentials.
+   */
+  authenticate(req) {
+    const address = clientAddress(req);
+    if (matches(this.deny, address) || (this.allow && !matches(this.allow, address))) {
+      return { status: 403, reason: `Address ${address} is not allowed.` };
+    }
+    if (!this.options.type) return { user: '' };
+
+    const user = this.options.type === 'basic' ? this.basicUser(req) : this.sessionUser(req);
+    if (user === null) return { status: 401, reason: 'Sign-in required.' };
+    if (this.users.length > 0 && !this.users.some(re => re.test(user))) {
+      return { status: 403, reason: `User ${user} is not allowed.`, user };
+    }
+    return { user };
+  }
+
+  /**
+   * Gate an HTTP request. Returns true if it may go on (with the
+   * gate's credentials removed), false if the gate answered it.
+   */
+  admit(req, res, record) {
+    const path = req.url.split('?')[0];
+    const result = this.authenticate(req);
+    record.user = result.user || null;
+
+    // Sign-in pages need only a permitted address
+    if (path.startsWith(`${AUTH_PATH}/`) && !(result.status === 403 && !result.user)) {
+      this.serve(req, res, record, path.slice(AUTH_PATH.length)).catch((err) => {
+        console.error(`[AUTH] ${this.name}: ${err.message}`);
+        record.error = err.message;
+        if (!res.headersSent) this.sendLogin(res, 502, '/', 'The identity provider could not be reached.');
+      });
+      return false;
+    }
+
+    if (!result.status) {
+      this.removeCredentials(req);
+      return true;
+    }
+
+    if (result.status === 403) {
+      const logout = result.user && this.options.type !== 'basic' ? `${AUTH_PATH}/logout` : '';
+      sendHtml(res, 403, pages.deniedPage({ site: this.name, reason: result.reason, requestId: record.id, logout }));
+    } else if (this.options.type === 'basic') {
+      sendHtml(res, 401, pages.deniedPage({ site: this.name, reason: result.reason, requestId: record.id }), {
+        'www-authenticate': `Basic realm="${(this.options.realm || this.name).replace(/["\\]/g, '')}", charset="UTF-8"`,
+      });
+    } else if (req.method === 'GET' && /text\/html/.test(req.headers.accept || '')) {
+      // Page loads go to the sign-in page and come back afterwards
+      res.writeHead(302, { location: `${AUTH_PATH}/login?next=${encodeURIComponent(req.url)}`, 'cache-control': 'no-store' });
+      res.end();
+    } else {
+      sendHtml(res, 401, pages.deniedPage({ site: this.name, reason: result.reason, requestId: record.id }));
+    }
+    return false;
+  }
+
+  // ── Sign-in pages ───────────────────────────────────────
+
+  async serve(req, res, record, page) {
+    const query = new URL(req.url, 'http://gate').searchParams;
+    const next = localPath(query.get('next'));
+
+    if (this.options.type === 'login' && page === '/login') {
+      if (req.method === 'GET') return this.sendLogin(res, 200, next);
+      if (req.method === 'POST') return this.passwordLogin(req, res, record);
+    }
+    if (this.options.type === 'oidc' && page === '/login' && req.method === 'GET') {
+      return this.startOidc(req, res, next);
+    }
+    if (this.options.type === 'oidc' && page === '/callback' && req.method === 'GET') {
+      return this.finishOidc(req, res, record, query);
+    }
+    if ((this.options.type === 'login' || this.options.type === 'oidc') && page === '/logout') {
+      res.setHeader('set-cookie', this.clearCookie(this.options.cookie, '/'));
+      return this.sendLogin(res, 200, '/', '', 'Signed out.');
+    }
+
+    sendHtml(res, 404, pages.deniedPage({ site: this.name, reason: 'No such page.', requestId: record.id }));
+  }
+
+  sendLogin(res, status, next, error = '', message = '') {
+    sendHtml(res, status, pages.loginPage({
+      site: this.name,
+      action: `${AUTH_PATH}/login`,
+      next,
+      oidc: this.options.type === 'oidc',
+      error,
+      message,
+    }));
+  }
+
+  async passwordLogin(req, res, record) {
+    if (parseInt(req.headers['content-length'] || '0', 10) > MAX_FORM_BYTES) {
+      return this.sendLogin(res, 413, '/', 'The form was too large.');
+    }
+    let body;
+    try {
+      body = await readBody(req, MAX_FORM_BYTES);
+    } catch (err) {
+      if (err.code !== 'BODY_TOO_LARGE') throw err;
+      // The rest of the body is never read
+      res.setHeader('connection', 'close');
+      res.on('finish', () => req.destroy());
+      return this.sendLogin(res, 413, '/', 'The form was too large.');
+    }
+    const form = new URLSearchParams(body.toString('utf8'));
+    const user = form.get('username') || '';
+    const next = localPath(form.get('next'));
+
+    if (!user || !this.htpasswd.verify(user, form.get('password') || '')) {
+      console.warn(`[AUTH] ${this.name}: failed sign-in for "${user}" from ${clientAddress(req)}`);
+      return this.sendLogin(res, 401, next, 'Wrong username or password.');
+    }
+
+    record.user = user;
+    this.signIn(res, user, next);
+  }
+
+  async startOidc(req, res, next) {
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const verifier = crypto.randomBytes(32).toString('base64url');
+
+    const url = await this.oidc.authorizationUrl({
+      redirectUri: this.callbackUrl(req),
+      state,
+      nonce,
+      challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+    });
+
+    res.writeHead(302, {
+      location: url,
+      'cache-control': 'no-store',
+      'set-cookie': this.cookie(
+        this.stateCookieName(),
+        this.sign({ st: state, n: nonce, v: verifier, r: next, e: Date.now() + STATE_TTL_MS }),
+        AUTH_PATH,
+        STATE_TTL_MS
+      ),
+    });
+    res.end();
+  }
+
+  async finishOidc(req, res, record, query) {
+    const saved = this.verify(readCookie(req.headers.cookie, this.stateCookieName()));
+    const clearState = this.clearCookie(this.stateCookieName(), AUTH_PATH);
+
+    if (query.get('error')) {
+      res.setHeader('set-cookie', clearState);
+      return this.sendLogin(res, 401, '/', `The identity provider refused the sign-in: ${query.get('error')}`);
+    }
+    if (!saved || !query.get('state') || query.get('state') !== saved.st || !query.get('code')) {
+      res.setHeader('set-cookie', clearState);
+      return this.sendLogin(res, 400, '/', 'The sign-in expired or did not start here. Please try again.');
+    }
+
+    const tokens = await this.oidc.exchange(query.get('code'), this.callbackUrl(req), saved.v);
+    const claims = await this.oidc.verifyIdToken(tokens.id_token, saved.n);
+    const user = String(claims[this.options.oidcUserClaim] || claims.sub || '');
+    if (!user) throw new Error(`ID token has neither ${this.options.oidcUserClaim} nor sub`);
+
+    record.user = user;
+    this.signIn(res, user, saved.r, [clearState]);
+  }
+
+  signIn(res, user, next, cookies = []) {
+    const ttl = this.options.sessionTtlMs;
+    const session = this.sign({ u: user, e: Date.now() + ttl });
+    console.log(`[AUTH] ${this.name}: ${user} signed in`);
+    res.writeHead(303, {
+      location: next,
+      'cache-control': 'no-store',
+      'set-cookie': [...cookies, this.cookie(this.options.cookie, session, '/', ttl)],
+    });
+    res.end();
+  }
+
+  callbackUrl(req) {
+    return `${this.secure ? 'https' : 'http'}://${req.headers.host}${AUTH_PATH}/callback`;
+  }
+
+  // ── Credentials ─────────────────────────────────────────
+
+  basicUser(req) {
+    const match = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    if (colon < 1) return null;
+
+    const user = decoded.slice(0, colon);
+    return this.htpasswd.verify(user, decoded.slice(colon + 1)) ? user : null;
+  }
+
+  sessionUser(req) {
+    const session = this.verify(readCookie(req.headers.cookie, this.options.cookie));
+    return session && typeof session.u === 'string' ? session.u : null;
+  }
+
+  removeCredentials(req) {
+    if (this.options.type === 'basic') delete req.headers.authorization;
+    if (this.options.type !== 'login' && this.options.type !== 'oidc') return;
+
+    const names = new Set([this.options.cookie, this.stateCookieName()]);
+    const rest = (req.headers.cookie || '')
+      .split(';')
+      .map(p => p.trim())
+      .filter(p => p && !names.has(p.split('=')[0].trim()));
+    if (rest.length > 0) req.headers.cookie = rest.join('; ');
+    else delete req.headers.cookie;
+  }
+
+  stateCookieName() {
+    return `${this.options.cookie}_state`;
+  }
+
+  /**
+   * "payload.signature", both base64url; `e` in the payload is its expiry.
+   */
+  sign(payload) {
+    const data = Buffer.from(JSON.stringify({ ...payload, s: this.name })).toString('base64url');
+    const mac = crypto.createHmac('sha256', this.key).update(data).digest('base64url');
+    return `${data}.${mac}`;
+  }
+
+  /**
+   * The payload of a value made by sign(), or null if it is
+   * missing, forged, for another site or expired.
+   */
+  verify(value) {
+    const [data, mac, ...rest] = (value || '').split('.');
+    if (!data || !mac || rest.length > 0) return null;
+
+    const expected = crypto.createHmac('sha256', this.key).update(data).digest();
+    const given = Buffer.from(mac, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!payload || payload.s !== this.name || !(payload.e > Date.now())) return null;
+    return payload;
+  }
+
+  cookie(name, value, path, ttlMs) {
+    return [
+      `${name}=${value}`,
+      `Path=${path}`,
+      `Max-Age=${Math.floor(ttlMs / 1000)}`,
+      'HttpOnly',
+      'SameSite=Lax',
+      ...(this.secure ? ['Secure'] : []),
+    ].join('; ');
+  }
+
+  clearCookie(name, path) {
+    return `${name}=; Path=${path}; Max-Age=0; HttpOnly; SameSite=Lax${this.secure ? '; Secure' : ''}`;
+  }
+}
+
+// ── htpasswd ──────────────────────────────────────────────
+
+/**
+ * Users of an htpasswd file, re-read when it changes. Supports
+ * MD5 (`htpasswd -m`, $apr1$) and SHA-1 (`htpasswd -s`, {SHA});
+ * bcrypt needs a native module and is skipped with a warning.
+ */
+class Htpasswd {
+  constructor(file, siteName) {
+    this.file = file;
+    this.siteName = siteName;
+    this.users = new Map();
+    this.mtimeMs = -1;
+    this.checkedAt = 0;
+    // "user:password" hashes that passed, so Basic auth doesn't
+    // run MD5-crypt on every request
+    this.verified = new Set();
+  }
+
+  verify(user, password) {
+    this.refresh();
+    const hash = this.users.get(user);
+    if (!hash) return false;
+
+    const key = crypto.createHash('sha256').update(`${user}:${password}`).digest('base64');
+    if (this.verified.has(key)) return true;
+
+    if (!checkPassword(password, hash)) return false;
+    if (this.verified.size >= MAX_VERIFIED) this.verified.clear();
+    this.verified.add(key);
+    return true;
+  }
+
+  refresh() {
+    if (Date.now() - this.checkedAt < HTPASSWD_CHECK_MS) return;
+    this.checkedAt = Date.now();
+
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+      if (stat.mtimeMs === this.mtimeMs) return;
+      this.load(fs.readFileSync(this.file, 'utf8'));
+      this.mtimeMs = stat.mtimeMs;
+    } catch (err) {
+      if (this.mtimeMs !== -1 || this.users.size === 0) {
+        console.error(`[AUTH] ${this.siteName}: cannot read ${this.file}: ${err.message}`);
+      }
+      this.users = new Map();
+      this.mtimeMs = -1;
+    }
+    this.verified.clear();
+  }
+
+  load(text) {
+    const users = new Map();
+    for (const line of text.split(/\r?\n/)) {
+      const colon = line.indexOf(':');
+      if (!line.trim() || line.startsWith('#') || colon < 1) continue;
+
+      const user = line.slice(0, colon);
+      const hash = line.slice(colon + 1).trim();
+      if (!/^(\$apr1\$|\$1\$|\{SHA\})/.test(hash)) {
+        console.warn(`[AUTH] ${this.siteName}: ${this.file}: unsupported hash for "${user}" (use htpasswd -m or -s)`);
+        continue;
+      }
+      users.set(user, hash);
+    }
+    this.users = users;
+    console.log(`[AUTH] ${this.siteName}: loaded ${users.size} user(s) from ${this.file}`);
+  }
+}
+
+function checkPassword(password, hash) {
+  let computed;
+  if (hash.startsWith('{SHA}')) {
+    computed = `{SHA}${crypto.createHash('sha1').update(password).digest('base64')}`;
+  } else {
+    const magic = hash.startsWith('$apr1$') ? '$apr1$' : '$1$';
+    const salt = hash.slice(magic.length).split('$')[0];
+    computed = md5Crypt(password, salt, magic);
+  }
+  const a = Buffer.from(computed);
+  const b = Buffer.from(hash);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// MD5-crypt (FreeBSD $1$, Apache $apr1$)
+function md5Crypt(password, salt, magic) {
+  const pw = Buffer.from(password, 'utf8');
+  salt = salt.slice(0, 8);
+  const md5 = (...parts) => parts.reduce((h, p) => h.update(p), crypto.createHash('md5')).digest();
+
+  const alternate = md5(pw, salt, pw);
+  const ctx = crypto.createHash('md5').update(pw).update(magic).update(salt);
+  for (let i = pw.length; i > 0; i -= 16) ctx.update(alternate.subarray(0, Math.min(16, i)));
+  for (let i = pw.length; i > 0; i >>= 1) ctx.update(i & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+
+  let final = ctx.digest();
+  for (let i = 0; i < 1000; i++) {
+    final = md5(
+      i & 1 ? pw : final,
+      i % 3 ? salt : '',
+      i % 7 ? pw : '',
+      i & 1 ? final : pw
+    );
+  }
+
+  const to64 = (value, length) => {
+    let out = '';
+    for (let i = 0; i < length; i++, value >>= 6) out += CRYPT_ALPHABET[value & 0x3f];
+    return out;
+  };
+  const f = final;
+  return `${magic}${salt}$` +
+    to64((f[0] << 16) | (f[6] << 8) | f[12], 4) +
+    to64((f[1] << 16) | (f[7] << 8) | f[13], 4) +
+    to64((f[2] << 16) | (f[8] << 8) | f[14], 4) +
+    to64((f[3] << 16) | (f[9] << 8) | f[15], 4) +
+    to64((f[4] << 16) | (f[10] << 8) | f[5], 4) +
+    to64(f[11], 2);
+}
+
+// ── OpenID Connect ────────────────────────────────────────
+
+// JWS alg → how to check the signature with a JWK
+const JWS_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null },
+};
+
+/**
+ * Authorization code flow against one issuer: discovery, the
+ * token request and ID token checks. Talks to the IdP through the
+ * site's outbound proxy settings.
+ */
+class OidcClient {
+  constructor(options, policy) {
+    this.options = options;
+    this.policy = policy;
+    this.metadata = null;
+    this.jwks = null;
+    this.jwksFetchedAt = 0;
+  }
+
+  discover() {
+    if (!this.metadata) {
+      this.metadata = fetchJson(`${this.options.oidcIssuer}/.well-known/openid-configuration`, { policy: this.policy })
+        .then((metadata) => {
+          for (const key of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+            if (typeof metadata[key] !== 'string') throw new Error(`discovery document has no ${key}`);
+          }
+          return metadata;
+        });
+      // Try again on the next sign-in
+      this.metadata.catch(() => { this.metadata = null; });
+    }
+    return this.metadata;
+  }
+
+  async authorizationUrl({ redirectUri, state, nonce, challenge }) {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const url = new URL(endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.options.oidcClientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', this.options.oidcScopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', challenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+  }
+
+  async exchange(code, redirectUri, verifier) {
+    const { token_endpoint: endpoint } = await this.discover();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: verifier,
+      client_id: this.options.oidcClientId,
+    });
+    const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+    if (this.options.oidcClientSecret) {
+      const id = encodeURIComponent(this.options.oidcClientId);
+      const secret = encodeURIComponent(this.options.oidcClientSecret);
+      headers.authorization = `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+    }
+
+    const tokens = await fetchJson(endpoint, { method: 'POST', headers, body: body.toString(), policy: this.policy });
+    if (typeof tokens.id_token !== 'string') throw new Error('token response has no id_token');
+    return tokens;
+  }
+
+  /**
+   * Check an ID token's signature, issuer, audience, expiry and
+   * nonce; returns its claims.
+   */
+  async verifyIdToken(token, nonce) {
+    const [headerPart, payloadPart, signaturePart, ...rest] = token.split('.');
+    if (!signaturePart || rest.length > 0) throw new Error('ID token is not a signed JWT');
+
+    const header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+    const data = Buffer.from(`${headerPart}.${payloadPart}`);
+    const signature = Buffer.from(signaturePart, 'base64url');
+
+    let valid;
+    if (header.alg === 'HS256' && this.options.oidcClientSecret) {
+      const expected = crypto.createHmac('sha256', this.options.oidcClientSecret).update(data).digest();
+      valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    } else {
+      const alg = JWS_ALGORITHMS[header.alg];
+      if (!alg) throw new Error(`ID token algorithm ${header.alg} is not supported`);
+      const key = crypto.createPublicKey({ key: await this.key(header.kid), format: 'jwk' });
+      valid = crypto.verify(alg.hash, data, { key, padding: alg.padding, saltLength: alg.saltLength, dsaEncoding: alg.dsaEncoding }, signature);
+    }
+    if (!valid) throw new Error('ID token signature is invalid');
+
+    const now = Date.now() / 1000;
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== this.options.oidcIssuer) throw new Error(`ID token issuer ${claims.iss} is not ${this.options.oidcIssuer}`);
+    if (!audience.includes(this.options.oidcClientId)) throw new Error('ID token is for another client');
+    if (!(claims.exp + CLOCK_SKEW_S > now)) throw new Error('ID token has expired');
+    if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+    return claims;
+  }
+
+  /**
+   * Signing key `kid` from the issuer's JWKS, fetched again (at
+   * most once a minute) when the key isn't known yet.
+   */
+  async key(kid) {
+    const find = () => (this.jwks || []).find(k => (kid ? k.kid === kid : k.use !== 'enc'));
+
+    if (!find() && Date.now() - this.jwksFetchedAt > JWKS_REFRESH_MS) {
+      const { jwks_uri: uri } = await this.discover();
+      const { keys } = await fetchJson(uri, { policy: this.policy });
+      this.jwks = Array.isArray(keys) ? keys : [];
+      this.jwksFetchedAt = Date.now();
+    }
+
+    const jwk = find();
+    if (!jwk) throw new Error(`no signing key ${kid || ''} at the identity provider`.replace('  ', ' '));
+    return jwk;
+  }
+}
+
+function fetchJson(url, { method = 'GET', headers = {}, body, policy }) {
+  const target = new URL(url);
+  const protocol = target.protocol === 'https:' ? 'https' : 'http';
+  const port = parseInt(target.port, 10) || (protocol === 'https' ? 443 : 80);
+  const transport = protocol === 'https' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      hostname: target.hostname,
+      port,
+      path: target.pathname + target.search,
+      method,
+      headers: { accept: 'application/json', ...headers },
+      agent: agentFor(policy, { protocol, host: target.hostname, port }),
+      timeout: IDP_TIMEOUT_MS,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('error', reject);
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (res.statusCode !== 200) {
+          return reject(new Error(`${method} ${url}: HTTP ${res.statusCode} ${text.slice(0, 200)}`));
+        }
+        try {
+          resolve(JSON.parse(text));
+        } catch {
+          reject(new Error(`${method} ${url}: response is not JSON`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`${method} ${url}: timed out`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// ── Helpers ───────────────────────────────────────────────
+
+/**
+ * BlockList of "address" / "address/bits" entries; null if empty.
+ */
+function addressList(entries) {
+  if (entries.length === 0) return null;
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, bits] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (bits === undefined) list.addAddress(address, type);
+    else list.addSubnet(address, parseInt(bits, 10), type);
+  }
+  return list;
+}
+
+function matches(list, address) {
+  return Boolean(list) && list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// IPv4 clients of a dual-stack socket show up as ::ffff:a.b.c.d
+function clientAddress(req) {
+  const address = req.socket.remoteAddress || '';
+  return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+// Only paths on this site, never "//other.host" or absolute URLs.
+// Browsers drop tabs and newlines from URLs ("/\t/evil" is
+// "//evil"), so any whitespace or control character is refused
+// and what is left has to resolve to the same origin.
+function localPath(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || /[\s\x00-\x1f\x7f]/.test(value)) return '/';
+  if (!URL.canParse(value, 'http://gate')) return '/';
+  const url = new URL(value, 'http://gate');
+  const path = url.pathname + url.search + url.hash;
+  // "/x/../..//evil" resolves to "//evil" on the same origin
+  return url.origin === 'http://gate' && !/^\/[/\\]/.test(path) ? path : '/';
+}
+
+function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq !== -1 && part.slice(0, eq).trim() === name) return part.slice(eq + 1).trim();
+  }
+  return '';
+}
+
+function sendHtml(res, status, html, headers = {}) {
+  res.writeHead(status, {
+    'content-type': 'text/html; charset=utf-8',
+    'content-length': Buffer.byteLength(html),
+    'cache-control': 'no-store',
+    ...headers,
+  });
+  res.end(html);
+}
+
+module.exports = { AuthGate, AUTH_PATH, addressList, matches, localPath };
\ No newline at end of file
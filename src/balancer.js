@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { agentFor } = require('./outbound-proxy');
+
+// Points per unit of weight on the consistent-hash ring
+const RING_POINTS = 100;
+
+/**
+ * Spreads a site's requests over its `target_host` backends.
+ *
+ * A backend is skipped while it is
+ *   down     failing active health checks (GET health_check_path)
+ *   ejected  for fail_timeout after max_fails failed requests in a row
+ * When every backend is skipped, all of them are used again rather
+ * than failing every request.
+ */
+class Balancer {
+  /**
+   * @param {object} siteConfig - parsed site config
+   */
+  constructor(siteConfig) {
+    this.site = siteConfig.name;
+    this.protocol = siteConfig.targetProtocol;
+    this.policy = siteConfig.upstream;
+    this.options = siteConfig.balance;
+    this.backends = siteConfig.backends.map(b => ({
+      host: b.host,
+      port: b.port || siteConfig.targetPort,
+      weight: b.weight,
+      active: 0,          // requests in flight
+      current: 0,         // smooth weighted round-robin state
+      failures: 0,        // consecutive failed requests
+      ejectedUntil: 0,
+      down: false,
+      lastError: '',
+    }));
+    this.ring = this.options.strategy === 'cookie_hash' ? buildRing(this.backends) : null;
+    this.timer = null;
+
+    if (this.options.healthCheckPath) {
+      this.timer = setInterval(() => this.checkAll(), this.options.healthCheckIntervalMs);
+      this.timer.unref();
+      this.checkAll();
+    }
+  }
+
+  /**
+   * Choose the backend for a request.
+   */
+  pick(req) {
+    const now = Date.now();
+    let candidates = this.backends.filter(b => !b.down && b.ejectedUntil <= now);
+    if (candidates.length === 0) candidates = this.backends;
+    if (candidates.length === 1) return candidates[0];
+
+    if (this.ring) {
+      const value = readCookie(req.headers.cookie, this.options.hashCookie);
+      if (value) return this.fromRing(value, candidates);
+    }
+
+    if (this.options.strategy === 'least_connections') {
+      const load = b => b.active / b.weight;
+      const least = Math.min(...candidates.map(load));
+      return roundRobin(candidates.filter(b => load(b) === least));
+    }
+
+    return roundRobin(candidates);
+  }
+
+  fromRing(value, candidates) {
+    const point = hash(value);
+    let i = this.ring.findIndex(entry => entry.point >= point);
+    if (i === -1) i = 0;
+
+    // Walk clockwise to the first usable backend, so only the
+    // keys of a skipped backend move
+    for (let n = 0; n < this.ring.length; n++) {
+      const { backend } = this.ring[(i + n) % this.ring.length];
+      if (candidates.includes(backend)) return backend;
+    }
+    return candidates[0];
+  }
+
+  acquire(backend) {
+    backend.active++;
+  }
+
+  release(backend) {
+    backend.active = Math.max(0, backend.active - 1);
+  }
+
+  success(backend) {
+    backend.failures = 0;
+  }
+
+  /**
+   * A request to the backend failed without a response
+   * (connection error or timeout).
+   */
+  failure(backend, err) {
+    backend.failures++;
+    backend.lastError = err.message;
+
+    const { maxFails, failTimeoutMs } = this.options;
+    if (maxFails > 0 && backend.failures >= maxFails && backend.ejectedUntil <= Date.now()) {
+      backend.ejectedUntil = Date.now() + failTimeoutMs;
+      backend.failures = 0;
+      console.error(`[UPSTREAM] ${this.site}: ejected ${backend.host}:${backend.port} for ${failTimeoutMs / 1000}s after ${maxFails} failure(s)`);
+    }
+  }
+
+  checkAll() {
+    for (const backend of this.backends) this.check(backend);
+  }
+
+  check(backend) {
+    const transport = this.protocol === 'https' ? https : http;
+    const req = transport.request({
+      hostname: backend.host,
+      port: backend.port,
+      path: this.options.healthCheckPath,
+      method: 'GET',
+      headers: { host: backend.host, 'user-agent': 'proxy-mirror-health-check' },
+      timeout: this.options.healthCheckTimeoutMs,
+      agent: agentFor(this.policy, { protocol: this.protocol, host: backend.host, port: backend.port }),
+    }, (res) => {
+      res.resume();
+      this.setDown(backend, res.statusCode >= 400 ? `health check returned ${res.statusCode}` : '');
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`health check timed out after ${this.options.healthCheckTimeoutMs}ms`));
+    });
+    req.on('error', err => this.setDown(backend, err.message));
+    req.end();
+  }
+
+  setDown(backend, reason) {
+    const down = Boolean(reason);
+    if (down !== backend.down) {
+      const log = down ? console.error : console.log;
+      log(`[UPSTREAM] ${this.site}: ${backend.host}:${backend.port} is ${down ? `down (${reason})` : 'up'}`);
+    }
+    backend.down = down;
+    if (down) backend.lastError = reason;
+  }
+
+  /**
+   * Per-backend state for status pages.
+   * @returns {{ host: string, port: number, weight: number, state: string, active: number, lastError: string }[]}
+   */
+  status() {
+    const now = Date.now();
+    return this.backends.map(b => ({
+      host: b.host,
+      port: b.port,
+      weight: b.weight,
+      state: b.down ? 'down' : b.ejectedUntil > now ? 'ejected' : 'up',
+      active: b.active,
+      lastError: b.lastError,
+    }));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Smooth weighted round-robin (as in nginx): spreads a heavier
+// backend's turns out instead of sending them back to back
+function roundRobin(candidates) {
+  let total = 0;
+  let best = null;
+  for (const backend of candidates) {
+    backend.current += backend.weight;
+    total += backend.weight;
+    if (!best || backend.current > best.current) best = backend;
+  }
+  best.current -= total;
+  return best;
+}
+
+function buildRing(backends) {
+  const ring = [];
+  for (const backend of backends) {
+    for (let i = 0; i < backend.weight * RING_POINTS; i++) {
+      ring.push({ point: hash(`${backend.host}:${backend.port}#${i}`), backend });
+    }
+  }
+  return ring.sort((a, b) => a.point - b.point);
+}
+
+function hash(value) {
+  return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+}
+
+function readCookie(header, name) {
+  for (const pair of (header || '').split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq !== -1 && pair.slice(0, eq).trim() === name) return pair.slice(eq + 1).trim();
+  }
+  return '';
+}
+
+module.exports = { Balancer };
\ No newline at end of file
@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+/**
+ * Per-site HTTP response cache with an in-memory LRU tier and an
+ * optional on-disk tier.
+ *
+ * Entries hold the body exactly as the proxy would send it before
+ * client-side compression: already rewritten, so a hit skips the
+ * rewriter entirely. Freshness follows Cache-Control / Expires
+ * (RFC 9111, shared-cache rules); stale entries with an ETag or
+ * Last-Modified are revalidated with a conditional request.
+ */
+
+const CACHEABLE_STATUS = new Set([200, 203, 301, 308, 404, 410]);
+
+// Heuristic freshness for responses with only Last-Modified
+const HEURISTIC_FRACTION = 0.1;
+const HEURISTIC_MAX_SECONDS = 24 * 60 * 60;
+
+// Response headers that describe the transfer, not the content
+const UNSTORED_HEADERS = [
+  'content-length', 'content-encoding', 'transfer-encoding',
+  'set-cookie', 'age', 'x-request-id', 'x-cache',
+];
+
+function parseCacheControl(value) {
+  const directives = {};
+  if (!value) return directives;
+
+  for (const part of String(value).split(',')) {
+    const [k, v] = part.trim().split('=');
+    if (!k) continue;
+    const key = k.trim().toLowerCase();
+    if (v === undefined) {
+      directives[key] = true;
+    } else {
+      const n = parseInt(v.replace(/"/g, ''), 10);
+      directives[key] = Number.isNaN(n) ? v.trim() : n;
+    }
+  }
+
+  return directives;
+}
+
+/**
+ * Seconds a response stays fresh from when it was generated,
+ * or null when it may not be stored at all.
+ */
+function freshnessLifetime(status, headers) {
+  const cc = parseCacheControl(headers['cache-control']);
+
+  if (cc['no-store'] || cc.private) return null;
+  if (!CACHEABLE_STATUS.has(status)) return null;
+  if (headers['set-cookie']) return null;
+  if ((headers.vary || '').includes('*')) return null;
+
+  const hasValidator = Boolean(headers.etag || headers['last-modified']);
+
+  if (cc['no-cache']) return hasValidator ? 0 : null;
+  if (typeof cc['s-maxage'] === 'number') return cc['s-maxage'];
+  if (typeof cc['max-age'] === 'number') return cc['max-age'];
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+  }
+
+  if (headers['last-modified']) {
+    const modified = Date.parse(headers['last-modified']);
+    const date = Date.parse(headers.date) || Date.now();
+    if (!Number.isNaN(modified) && date > modified) {
+      return Math.min(HEURISTIC_MAX_SECONDS, ((date - modified) / 1000) * HEURISTIC_FRACTION);
+    }
+  }
+
+  return hasValidator ? 0 : null;
+}
+
+/**
+ * Request headers named by a response's Vary, excluding
+ * Accept-Encoding (the proxy re-encodes per client anyway).
+ */
+function varyValues(varyHeader, reqHeaders) {
+  const values = {};
+  for (const name of (varyHeader || '').split(',')) {
+    const key = name.trim().toLowerCase();
+    if (!key || key === 'accept-encoding') continue;
+    values[key] = reqHeaders[key] || '';
+  }
+  return values;
+}
+
+class ResponseCache {
+  /**
+   * @param {string} site - site name, for log lines
+   * @param {object} options - the site's parsed [cache] section
+   * @param {string} [fingerprint] - identifies the rewrite settings the
+   *   stored bodies were produced with, so disk entries written under
+   *   a different config are never served
+   */
+  constructor(site, options, fingerprint = '') {
+    this.site = site;
+    this.options = options;
+    this.fingerprint = fingerprint;
+
+    this.memory = new Map();    // key → entry, oldest first
+    this.memoryBytes = 0;
+
+    this.diskIndex = new Map(); // hash → bytes, oldest first
+    this.diskBytes = 0;
+
+    if (options.diskDir) this.loadDiskIndex();
+  }
+
+  /**
+   * Cache key for a request, or null if it must bypass the cache.
+   */
+  keyFor(req, upstream) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return null;
+    if (req.headers.authorization) return null;
+
+    const cc = parseCacheControl(req.headers['cache-control']);
+    if (cc['no-store']) return null;
+
+    if (this.options.hosts.length > 0 && !this.options.hosts.some(h => hostMatches(h, upstream.host))) {
+      return null;
+    }
+
+    return `${this.fingerprint} ${upstream.protocol}://${upstream.host}:${upstream.port}${upstream.path}`;
+  }
+
+  /**
+   * Find the entry for `key` that matches the request's Vary headers.
+   * @returns {Promise<object|null>}
+   */
+  async lookup(key, req) {
+    let entry = this.memory.get(key) || null;
+
+    if (entry) {
+      // Refresh LRU position
+      this.memory.delete(key);
+      this.memory.set(key, entry);
+    } else if (this.options.diskDir) {
+      entry = await this.readDisk(key);
+      if (entry) this.remember(key, entry);
+    }
+
+    if (!entry) return null;
+
+    for (const [name, value] of Object.entries(entry.vary)) {
+      if ((req.headers[name] || '') !== value) return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Whether a client asking with these request headers may be
+   * served this entry without contacting the upstream.
+   */
+  isFresh(entry, reqHeaders) {
+    const cc = parseCacheControl(reqHeaders['cache-control']);
+    if (cc['no-cache'] || reqHeaders.pragma === 'no-cache') return false;
+    if (cc['max-age'] === 0) return false;
+    return Date.now() < entry.freshUntil;
+  }
+
+  /**
+   * Whether a stale entry may stand in for a failed upstream.
+   */
+  canServeStale(entry) {
+    if (entry.mustRevalidate) return false;
+    return Date.now() < entry.freshUntil + entry.staleIfError * 1000;
+  }
+
+  /**
+   * Whether the client's own If-None-Match / If-Modified-Since
+   * shows it already has this entry (answer with a 304).
+   */
+  clientHasCurrent(entry, reqHeaders) {
+    if (entry.status !== 200) return false;
+
+    const inm = reqHeaders['if-none-match'];
+    if (inm) {
+      if (!entry.headers.etag) return false;
+      const weak = t => t.trim().replace(/^W\//, '');
+      return inm.trim() === '*' || inm.split(',').some(t => weak(t) === weak(entry.headers.etag));
+    }
+
+    const ims = Date.parse(reqHeaders['if-modified-since'] || '');
+    const modified = Date.parse(entry.headers['last-modified'] || '');
+    return !Number.isNaN(ims) && !Number.isNaN(modified) && modified <= ims;
+  }
+
+  /**
+   * Current Age of an entry in seconds.
+   */
+  age(entry) {
+    return entry.initialAge + Math.floor((Date.now() - entry.storedAt) / 1000);
+  }
+
+  /**
+   * Conditional request headers for revalidating an entry.
+   */
+  validators(entry) {
+    const headers = {};
+    if (entry.headers.etag) headers['if-none-match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['if-modified-since'] = entry.headers['last-modified'];
+    return headers;
+  }
+
+  /**
+   * Build an entry from an upstream response, or null when the
+   * response may not be stored.
+   *
+   * @param {object} upstreamHeaders - headers as received (for freshness)
+   * @param {object} resHeaders - headers the proxy sends to clients
+   * @param {object} body - { encoding, compress }: the stored body's
+   *   Content-Encoding and whether it may be compressed per client
+   */
+  prepare(req, status, upstreamHeaders, resHeaders, { encoding, compress }) {
+    const lifetime = freshnessLifetime(status, upstreamHeaders);
+    if (lifetime === null) return null;
+
+    const cc = parseCacheControl(upstreamHeaders['cache-control']);
+    const age = parseInt(upstreamHeaders.age || '0', 10) || 0;
+
+    const headers = { ...resHeaders };
+    for (const h of UNSTORED_HEADERS) delete headers[h];
+
+    return {
+      status,
+      headers,
+      vary: varyValues(upstreamHeaders.vary, req.headers),
+      storedAt: Date.now(),
+      initialAge: age,
+      freshUntil: Date.now() + Math.max(0, lifetime - age) * 1000,
+      staleIfError: typeof cc['stale-if-error'] === 'number'
+        ? cc['stale-if-error']
+        : this.options.staleIfError,
+      mustRevalidate: Boolean(cc['must-revalidate'] || cc['proxy-revalidate']),
+      encoding,
+      compress,
+      body: null,
+    };
+  }
+
+  /**
+   * A PassThrough that copies the body into `entry` and stores it
+   * once the stream ends, unless it outgrows max_object_size.
+   */
+  collector(key, entry) {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    const stream = new PassThrough();
+
+    stream.on('data', (c) => {
+      if (tooLarge) return;
+      size += c.length;
+      if (size > this.options.maxObjectSize) {
+        tooLarge = true;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(c);
+    });
+
+    stream.on('end', () => {
+      if (tooLarge) return;
+      entry.body = Buffer.concat(chunks);
+      this.store(key, entry);
+    });
+
+    return stream;
+  }
+
+  /**
+   * Apply a 304's updated headers to an entry and re-store it.
+   */
+  refresh(key, entry, upstreamHeaders) {
+    const merged = { ...entry.headers };
+    for (const h of ['cache-control', 'expires', 'date', 'etag', 'last-modified']) {
+      if (upstreamHeaders[h]) merged[h] = upstreamHeaders[h];
+    }
+
+    const lifetime = freshnessLifetime(entry.status, merged) || 0;
+    entry.headers = merged;
+    entry.storedAt = Date.now();
+    entry.initialAge = 0;
+    entry.freshUntil = Date.now() + lifetime * 1000;
+
+    this.store(key, entry);
+  }
+
+  store(key, entry) {
+    this.remember(key, entry);
+    if (this.options.diskDir) {
+      this.writeDisk(key, entry).catch((err) => {
+        console.error(`[CACHE] ${this.site}: disk write failed: ${err.message}`);
+      });
+    }
+  }
+
+  // ── Memory tier ──
+  remember(key, entry) {
+    const old = this.memory.get(key);
+    if (old) {
+      this.memoryBytes -= old.body.length;
+      this.memory.delete(key);
+    }
+
+    if (entry.body.length > this.options.memorySize) return;
+
+    this.memory.set(key, entry);
+    this.memoryBytes += entry.body.length;
+
+    for (const [oldestKey, oldest] of this.memory) {
+      if (this.memoryBytes <= this.options.memorySize) break;
+      this.memory.delete(oldestKey);
+      this.memoryBytes -= oldest.body.length;
+    }
+  }
+
+  // ── Disk tier ──
+  // Each entry is <hash>.json (metadata) plus <hash>.body.
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  loadDiskIndex() {
+    fs.mkdirSync(this.options.diskDir, { recursive: true });
+
+    const files = fs.readdirSync(this.options.diskDir)
+      .filter(f => f.endsWith('.body'))
+      .map((f) => {
+        const stat = fs.statSync(path.join(this.options.diskDir, f));
+        return { hash: f.slice(0, -5), size: stat.size, mtime: stat.mtimeMs };
+      })
+      .sort((a, b) => a.mtime - b.mtime);
+
+    for (const { hash, size } of files) {
+      this.diskIndex.set(hash, size);
+      this.diskBytes += size;
+    }
+  }
+
+  async readDisk(key) {
+    const hash = this.hash(key);
+    if (!this.diskIndex.has(hash)) return null;
+
+    const base = path.join(this.options.diskDir, hash);
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(`${base}.json`, 'utf8'));
+      if (meta.key !== key) return null;
+      const body = await fs.promises.readFile(`${base}.body`);
+      delete meta.key;
+      return { ...meta, body };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async writeDisk(key, entry) {
+    const hash = this.hash(key);
+    const base = path.join(this.options.diskDir, hash);
+    const { body, ...meta } = entry;
+
+    await fs.promises.writeFile(`${base}.body`, body);
+    await fs.promises.writeFile(`${base}.json`, JSON.stringify({ ...meta, key }));
+
+    const previous = this.diskIndex.get(hash);
+    if (previous !== undefined) {
+      this.diskBytes -= previous;
+      this.diskIndex.delete(hash);
+    }
+    this.diskIndex.set(hash, body.length);
+    this.diskBytes += body.length;
+
+    for (const [oldest, size] of this.diskIndex) {
+      if (this.diskBytes <= this.options.diskSize) break;
+      this.diskIndex.delete(oldest);
+      this.diskBytes -= size;
+      const oldBase = path.join(this.options.diskDir, oldest);
+      await fs.promises.rm(`${oldBase}.body`, { force: true });
+      await fs.promises.rm(`${oldBase}.json`, { force: true });
+    }
+  }
+}
+
+function hostMatches(pattern, host) {
+  if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+  return pattern === host;
+}
+
+module.exports = { ResponseCache, parseCacheControl, freshnessLifetime };
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Capture export from the command line, for the sites in the same
+ * CONF_DIR as the gateway (no admin API needed):
+ *
+ *   node src/capture-cli.js export [--site ID[,ID]] [--from TIME] [--to TIME]
+ *                                  [--path GLOB] [--out FILE]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkConfigDir } = require('./config-parser');
+const { writeHar, parseCaptureFilter } = require('./capture');
+
+const CONF_DIR = process.env.CONF_DIR || './conf';
+
+const USAGE = `Usage: node src/capture-cli.js <command>
+
+Commands:
+  export                     write captured exchanges as HAR 1.2
+      --site ID[,ID]         only these sites (.conf file names; default all)
+      --from TIME            started at or after TIME (ISO 8601 or epoch ms)
+      --to TIME              started at or before TIME
+      --path GLOB            local path matches GLOB (e.g. /api/*)
+      --out FILE             to FILE instead of stdout
+`;
+
+// Progress goes to stderr, so exports can be piped
+const logger = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+
+async function run(argv) {
+  const { args, options } = parseArgs(argv);
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case 'export':
+      if (rest.length > 0) return usage();
+      return exportHar(options);
+    default:
+      return usage();
+  }
+}
+
+async function exportHar(options) {
+  const filter = parseCaptureFilter(options);
+
+  // Sites with errors are still read: their captures are on disk
+  const sites = checkConfigDir(CONF_DIR).entries
+    .map(({ file, config }) => ({ id: path.basename(file, '.conf'), config }))
+    .filter(s => s.config.capture.dir);
+
+  let selected = sites;
+  if (options.site) {
+    selected = options.site.split(',').map((id) => {
+      const site = sites.find(s => s.id === id.trim());
+      if (!site) throw new Error(`no site ${id} with a [capture] section in ${CONF_DIR}`);
+      return site;
+    });
+  }
+
+  const out = options.out ? fs.createWriteStream(options.out) : process.stdout;
+  const count = await writeHar(selected.map(s => s.config), filter, out);
+
+  if (options.out) {
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    logger.log(`[CAPTURE] Wrote ${count} exchange(s) to ${options.out}`);
+  }
+  return 0;
+}
+
+// "--out x" / "--out=x" options, everything else positional
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) args.push(argv[i]);
+    else options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return { args, options };
+}
+
+function usage() {
+  process.stderr.write(USAGE);
+  return 2;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    code => process.exit(code),
+    (err) => {
+      logger.error(`error: ${err.message}`);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { run };
\ No newline at end of file
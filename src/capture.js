@@ -0,0 +1,679 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { globToRegex } = require('./glob');
+const { isTextContent } = require('./rewriter');
+const { parseCookie } = require('./cookie-handler');
+const { gatewayCookies } = require('./credentials');
+
+/**
+ * Per-site traffic capture ([capture] sections).
+ *
+ * Every exchange handled for a site is stored as one JSON line
+ * with four parts:
+ *
+ *   request           as received from the client
+ *   upstreamRequest   as sent upstream, after header rewriting
+ *   upstreamResponse  as received, before any rewriting
+ *   response          as sent to the client
+ *
+ * The upstream parts are null for answers the proxy gave itself
+ * (cache hits, [route] rules, errors). Bodies are kept as sent on
+ * the wire, up to max_body each, and headers and cookies named by
+ * the redact_* keys are masked before anything is written.
+ *
+ * Lines go to segment files in <dir>/<local_subdomain>/, named by
+ * the time they were started; the oldest segments are deleted to
+ * keep a site under max_size. writeHar() exports them as HAR 1.2.
+ */
+
+const REDACTED = '[redacted]';
+const SEGMENT = /^(\d+)\.ndjson$/;
+// max_size is spread over about this many segment files
+const SEGMENTS_PER_STORE = 8;
+const MIN_SEGMENT_BYTES = 64 * 1024;
+// Lines waiting for the disk; past this, exchanges are dropped
+const MAX_QUEUED_BYTES = 32 * 1024 * 1024;
+
+class CaptureStore {
+  constructor(siteConfig, fingerprint) {
+    this.name = siteConfig.name;
+    this.options = siteConfig.capture;
+    this.fingerprint = fingerprint;
+    this.dir = storeDir(siteConfig);
+    this.secure = siteConfig.targetProtocol === 'https';
+    this.paths = this.options.paths.map(glob => globToRegex(glob));
+    this.redactHeaders = new Set(this.options.redactHeaders);
+    this.redactCookies = this.options.redactCookies.map(glob => globToRegex(glob));
+    // The gateway's own credentials, masked whatever redact_* says
+    if (siteConfig.auth.type === 'basic') this.redactHeaders.add('authorization');
+    this.gatewayCookies = new Set(gatewayCookies(siteConfig));
+    this.segmentBytes = Math.max(MIN_SEGMENT_BYTES, Math.floor(this.options.maxSize / SEGMENTS_PER_STORE));
+
+    // { file, size } oldest first; the last one is written to
+    this.segments = [];
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.writing = false;
+    this.dropped = 0;
+    this.failing = false;
+
+    this.load();
+  }
+
+  /**
+   * Start capturing an exchange, or null if its path isn't one of
+   * `paths`. The client request and final response are followed
+   * from here; the proxy reports the upstream side to the returned
+   * Exchange as it happens.
+   */
+  begin(req, res, record) {
+    const pathname = req.url.split('?')[0];
+    if (this.paths.length > 0 && !this.paths.some(re => re.test(pathname))) return null;
+    return new Exchange(this, req, res, record);
+  }
+
+  /**
+   * Mask redacted headers and cookie values in [name, value] pairs.
+   */
+  redact(pairs) {
+    return pairs.map(([name, value]) => {
+      const lower = name.toLowerCase();
+      if (this.redactHeaders.has(lower)) return [name, REDACTED];
+      if (lower === 'cookie') return [name, this.redactCookieHeader(value)];
+      if (lower === 'set-cookie') return [name, this.redactSetCookie(value)];
+      return [name, value];
+    });
+  }
+
+  redactCookieHeader(header) {
+    return header.split(';').map((part) => {
+      const eq = part.indexOf('=');
+      if (eq === -1 || !this.isRedactedCookie(part.slice(0, eq).trim())) return part;
+      return `${part.slice(0, eq)}=${REDACTED}`;
+    }).join(';');
+  }
+
+  redactSetCookie(value) {
+    const eq = value.indexOf('=');
+    const end = value.indexOf(';');
+    if (eq === -1 || (end !== -1 && end < eq) || !this.isRedactedCookie(value.slice(0, eq).trim())) return value;
+    return `${value.slice(0, eq)}=${REDACTED}${end === -1 ? '' : value.slice(end)}`;
+  }
+
+  isRedactedCookie(name) {
+    return this.gatewayCookies.has(name) || this.redactCookies.some(re => re.test(name));
+  }
+
+  // ── Segment files ───────────────────────────────────────
+
+  load() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.segments = fs.readdirSync(this.dir)
+        .filter(f => SEGMENT.test(f))
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+        .map(file => ({ file, size: fs.statSync(path.join(this.dir, file)).size }));
+    } catch (err) {
+      console.error(`[CAPTURE] ${this.name}: cannot use ${this.dir}: ${err.message}`);
+    }
+  }
+
+  write(exchange) {
+    const line = Buffer.from(JSON.stringify(exchange) + '\n');
+
+    if (this.queuedBytes + line.length > MAX_QUEUED_BYTES) {
+      if (this.dropped++ === 0) console.warn(`[CAPTURE] ${this.name}: disk is behind, dropping exchanges`);
+      return;
+    }
+    if (this.dropped > 0) {
+      console.warn(`[CAPTURE] ${this.name}: dropped ${this.dropped} exchange(s)`);
+      this.dropped = 0;
+    }
+
+    this.queue.push(line);
+    this.queuedBytes += line.length;
+    this.flush();
+  }
+
+  flush() {
+    if (this.writing || this.queue.length === 0) return;
+
+    const segment = this.segmentToWrite();
+    const data = Buffer.concat(this.queue);
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.writing = true;
+
+    fs.appendFile(path.join(this.dir, segment.file), data, { mode: 0o600 }, (err) => {
+      this.writing = false;
+      if (err) {
+        if (!this.failing) console.error(`[CAPTURE] ${this.name}: write failed: ${err.message}`);
+        this.failing = true;
+      } else {
+        this.failing = false;
+        segment.size += data.length;
+      }
+      this.flush();
+    });
+  }
+
+  /**
+   * The segment to append to: a new one once the current one is
+   * full, after dropping the oldest to make room for it.
+   */
+  segmentToWrite() {
+    const current = this.segments[this.segments.length - 1];
+    if (current && current.size < this.segmentBytes) return current;
+
+    let total = this.segments.reduce((sum, s) => sum + s.size, 0);
+    while (this.segments.length > 0 && total + this.segmentBytes > this.options.maxSize) {
+      const oldest = this.segments.shift();
+      total -= oldest.size;
+      fs.unlink(path.join(this.dir, oldest.file), () => {});
+    }
+
+    // Names are start times, kept unique and increasing
+    const last = current ? parseInt(current.file, 10) : 0;
+    const segment = { file: `${Math.max(Date.now(), last + 1)}.ndjson`, size: 0 };
+    this.segments.push(segment);
+    return segment;
+  }
+
+  /**
+   * Write out what is still queued before the process exits.
+   */
+  close() {
+    if (this.queue.length === 0) return;
+    try {
+      const segment = this.segmentToWrite();
+      const data = Buffer.concat(this.queue);
+      fs.appendFileSync(path.join(this.dir, segment.file), data, { mode: 0o600 });
+      segment.size += data.length;
+    } catch (err) {
+      console.error(`[CAPTURE] ${this.name}: write failed: ${err.message}`);
+    }
+    this.queue = [];
+    this.queuedBytes = 0;
+  }
+}
+
+/**
+ * One exchange being captured; written to its store when the
+ * client response closes.
+ */
+class Exchange {
+  constructor(store, req, res, record) {
+    this.store = store;
+    this.record = record;
+    this.startedAt = Date.now();
+    this.sentAt = null;
+    this.firstByteAt = null;
+
+    const proto = store.secure ? 'https' : 'http';
+    this.request = {
+      method: req.method,
+      url: /^https?:\/\//i.test(req.url) ? req.url : `${proto}://${req.headers.host || ''}${req.url}`,
+      httpVersion: req.httpVersion,
+      headers: store.redact(rawPairs(req.rawHeaders)),
+      body: new BodyCopy(store.options.maxBody),
+    };
+    this.upstreamRequest = null;
+    this.upstreamResponse = null;
+    this.response = {
+      status: 0,
+      httpVersion: req.httpVersion,
+      headers: [],
+      body: new BodyCopy(store.options.maxBody),
+    };
+
+    req.on('data', c => this.request.body.add(c));
+
+    const exchange = this;
+    const { writeHead, write, end } = res;
+    res.writeHead = function (status, ...args) {
+      exchange.respond(this, status, args.find(a => a && typeof a === 'object'));
+      return writeHead.call(this, status, ...args);
+    };
+    res.write = function (chunk, encoding, cb) {
+      exchange.response.body.add(chunk, encoding);
+      return write.call(this, chunk, encoding, cb);
+    };
+    res.end = function (chunk, encoding, cb) {
+      if (chunk && typeof chunk !== 'function') exchange.response.body.add(chunk, encoding);
+      return end.call(this, chunk, encoding, cb);
+    };
+
+    res.on('close', () => store.write(this.toJSON(res)));
+  }
+
+  /**
+   * The request as sent upstream. `payload` is a rewritten body
+   * sent instead of the client's.
+   */
+  upstreamRequestSent(target, method, headers, payload) {
+    const defaultPort = target.protocol === 'https' ? 443 : 80;
+    const port = target.port && target.port !== defaultPort ? `:${target.port}` : '';
+    this.sentAt = Date.now();
+
+    let body = null;
+    if (payload) {
+      body = new BodyCopy(this.store.options.maxBody);
+      body.add(payload);
+    }
+
+    this.upstreamRequest = {
+      method,
+      url: `${target.protocol}://${target.host}${port}${target.path}`,
+      httpVersion: '1.1',
+      headers: this.store.redact(objectPairs(headers)),
+      // null: the client's body, streamed through unchanged
+      body,
+    };
+  }
+
+  /**
+   * The upstream's response, before anything is rewritten.
+   */
+  upstreamResponseReceived(proxyRes) {
+    this.firstByteAt = Date.now();
+    this.upstreamResponse = {
+      status: proxyRes.statusCode,
+      statusText: proxyRes.statusMessage || '',
+      httpVersion: proxyRes.httpVersion,
+      headers: this.store.redact(rawPairs(proxyRes.rawHeaders)),
+      body: new BodyCopy(this.store.options.maxBody),
+    };
+    proxyRes.on('data', c => this.upstreamResponse.body.add(c));
+  }
+
+  respond(res, status, headers) {
+    // Headers set with setHeader() (x-request-id) plus the ones
+    // given to writeHead(), which win
+    const merged = {};
+    for (const [name, value] of objectPairs(res.getHeaders())) addHeader(merged, name, value);
+    const given = Array.isArray(headers)
+      ? (Array.isArray(headers[0]) ? headers : rawPairs(headers))
+      : objectPairs(headers || {});
+    const seen = new Set();
+    for (const [name, value] of given) {
+      const lower = name.toLowerCase();
+      if (!seen.has(lower)) delete merged[lower];
+      seen.add(lower);
+      addHeader(merged, lower, value);
+    }
+
+    this.response.status = status;
+    this.response.headers = this.store.redact(objectPairs(merged));
+  }
+
+  toJSON(res) {
+    const now = Date.now();
+    const record = this.record;
+    return {
+      id: record.id,
+      site: this.store.name,
+      time: new Date(this.startedAt).toISOString(),
+      // ms from the start: upstream request sent, its response
+      // headers received, client response closed
+      sentMs: this.sentAt === null ? null : this.sentAt - this.startedAt,
+      firstByteMs: this.firstByteAt === null ? null : this.firstByteAt - this.startedAt,
+      durationMs: now - this.startedAt,
+      clientIp: record.clientIp,
+      user: record.user,
+      upstream: record.upstream,
+      cache: record.cache,
+      route: record.route,
+      error: record.error,
+      aborted: !res.writableFinished,
+      request: withBody(this.request),
+      upstreamRequest: this.upstreamRequest && withBody(this.upstreamRequest),
+      upstreamResponse: this.upstreamResponse && withBody(this.upstreamResponse),
+      response: {
+        ...withBody(this.response),
+        statusText: http.STATUS_CODES[this.response.status] || '',
+      },
+    };
+  }
+}
+
+/**
+ * The first `limit` bytes of a body, and its full size.
+ */
+class BodyCopy {
+  constructor(limit) {
+    this.limit = limit;
+    this.size = 0;
+    this.chunks = [];
+    this.kept = 0;
+  }
+
+  add(chunk, encoding) {
+    if (!chunk) return;
+    const buf = typeof chunk === 'string'
+      ? Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+      : chunk;
+    this.size += buf.length;
+    if (this.kept >= this.limit) return;
+    const part = buf.subarray(0, this.limit - this.kept);
+    this.chunks.push(part);
+    this.kept += part.length;
+  }
+
+  toJSON() {
+    return {
+      size: this.size,
+      truncated: this.kept < this.size,
+      data: Buffer.concat(this.chunks).toString('base64'),
+    };
+  }
+}
+
+function withBody(part) {
+  return { ...part, body: part.body && part.body.toJSON() };
+}
+
+// ── Reading and HAR export ────────────────────────────────
+
+/**
+ * Export filter from user input: `from` / `to` as ISO 8601 times
+ * or epoch milliseconds, `path` as a glob of local paths. Throws
+ * on a value that can't be read.
+ */
+function parseCaptureFilter({ from, to, path: pathGlob } = {}) {
+  const time = (name, value) => {
+    if (!value) return null;
+    const ms = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`${name} must be an ISO 8601 time or epoch milliseconds, got "${value}"`);
+    return ms;
+  };
+
+  if (pathGlob && !pathGlob.startsWith('/') && !pathGlob.startsWith('*')) {
+    throw new Error(`path "${pathGlob}" must start with "/" or "*"`);
+  }
+
+  return {
+    from: time('from', from),
+    to: time('to', to),
+    path: pathGlob ? globToRegex(pathGlob) : null,
+  };
+}
+
+/**
+ * Captured exchanges of a site (its config's capture dir), oldest
+ * segment first, that match a filter from parseCaptureFilter().
+ */
+async function* readCaptures(siteConfig, filter) {
+  const dir = storeDir(siteConfig);
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => SEGMENT.test(f)).sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  for (let i = 0; i < files.length; i++) {
+    // Everything in a segment started before the next one did
+    const next = files[i + 1] ? parseInt(files[i + 1], 10) : Infinity;
+    if (filter.from !== null && next < filter.from) continue;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(dir, files[i])),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      let exchange;
+      try {
+        exchange = JSON.parse(line);
+      } catch {
+        // A line cut short by a crash
+        continue;
+      }
+
+      const time = Date.parse(exchange.time);
+      if (filter.from !== null && time < filter.from) continue;
+      if (filter.to !== null && time > filter.to) continue;
+      if (filter.path && !filter.path.test(new URL(exchange.request.url).pathname)) continue;
+      yield exchange;
+    }
+  }
+}
+
+/**
+ * Write the captures of `siteConfigs` matching `filter` to `out`
+ * as a HAR 1.2 document. The upstream side of each exchange is in
+ * the entry's `_upstreamRequest` / `_upstreamResponse`.
+ * @returns {Promise<number>} entries written
+ */
+async function writeHar(siteConfigs, filter, out) {
+  let count = 0;
+  await writeOut(out, '{"log":{"version":"1.2","creator":{"name":"proxy-mirror","version":"1.0"},"entries":[');
+
+  for (const siteConfig of siteConfigs) {
+    for await (const exchange of readCaptures(siteConfig, filter)) {
+      await writeOut(out, `${count === 0 ? '' : ','}\n${JSON.stringify(harEntry(exchange))}`);
+      count++;
+    }
+  }
+
+  await writeOut(out, '\n]}}\n');
+  return count;
+}
+
+function harEntry(exchange) {
+  const { sentMs, firstByteMs, durationMs } = exchange;
+
+  // Before the upstream request: reading the body, cache lookups
+  const timings = firstByteMs === null
+    ? { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: durationMs, receive: 0 }
+    : {
+      blocked: sentMs,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: firstByteMs - sentMs,
+      receive: durationMs - firstByteMs,
+    };
+
+  const entry = {
+    startedDateTime: exchange.time,
+    time: durationMs,
+    request: harRequest(exchange.request),
+    response: harResponse(exchange.response),
+    cache: {},
+    timings,
+    _id: exchange.id,
+    _site: exchange.site,
+    _clientIp: exchange.clientIp,
+  };
+
+  for (const key of ['user', 'upstream', 'cache', 'route', 'error', 'aborted']) {
+    if (exchange[key]) entry[`_${key}`] = exchange[key];
+  }
+  if (exchange.upstreamRequest) {
+    entry._upstreamRequest = harRequest({
+      ...exchange.upstreamRequest,
+      body: exchange.upstreamRequest.body || exchange.request.body,
+    });
+  }
+  if (exchange.upstreamResponse) {
+    entry._upstreamResponse = harResponse(exchange.upstreamResponse);
+  }
+  return entry;
+}
+
+function harRequest(request) {
+  const url = new URL(request.url);
+  const har = {
+    method: request.method,
+    url: request.url,
+    httpVersion: `HTTP/${request.httpVersion}`,
+    cookies: headerValues(request.headers, 'cookie').flatMap(cookieHeaderPairs),
+    headers: harHeaders(request.headers),
+    queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+    headersSize: -1,
+    bodySize: request.body.size,
+  };
+
+  if (request.body.size > 0) {
+    const mimeType = headerValues(request.headers, 'content-type')[0] || '';
+    const content = bodyContent(request.body, mimeType, headerValues(request.headers, 'content-encoding')[0]);
+    har.postData = { mimeType, params: [], text: content.text };
+    if (content.encoding) har.postData._encoding = content.encoding;
+    if (request.body.truncated) har.postData._truncated = true;
+  }
+  return har;
+}
+
+function harResponse(response) {
+  const mimeType = headerValues(response.headers, 'content-type')[0] || '';
+  const content = bodyContent(response.body, mimeType, headerValues(response.headers, 'content-encoding')[0]);
+
+  const har = {
+    status: response.status,
+    statusText: response.statusText,
+    httpVersion: `HTTP/${response.httpVersion}`,
+    cookies: headerValues(response.headers, 'set-cookie').map(harSetCookie),
+    headers: harHeaders(response.headers),
+    content: { size: content.size, mimeType, text: content.text },
+    redirectURL: headerValues(response.headers, 'location')[0] || '',
+    headersSize: -1,
+    bodySize: response.body.size,
+  };
+
+  if (content.encoding) har.content.encoding = content.encoding;
+  if (content.size > response.body.size) har.content.compression = content.size - response.body.size;
+  if (response.body.truncated) har.content._truncated = true;
+  return har;
+}
+
+/**
+ * A stored body as HAR content: decompressed when complete, as
+ * text for text types and base64 otherwise.
+ */
+function bodyContent(body, mimeType, contentEncoding) {
+  let data = Buffer.from(body.data, 'base64');
+
+  if (!body.truncated && data.length > 0) {
+    try {
+      data = decode(data, (contentEncoding || '').trim().toLowerCase());
+    } catch {
+      // Left as it was sent
+    }
+  }
+
+  const size = body.truncated ? body.size : data.length;
+  if (isTextContent(mimeType) || /^application\/x-www-form-urlencoded/i.test(mimeType)) {
+    return { size, text: data.toString('utf8') };
+  }
+  return { size, text: data.toString('base64'), encoding: data.length > 0 ? 'base64' : undefined };
+}
+
+function decode(data, encoding) {
+  switch (encoding) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(data);
+    case 'deflate':
+      // Some servers send raw deflate without the zlib wrapper
+      try {
+        return zlib.inflateSync(data);
+      } catch {
+        return zlib.inflateRawSync(data);
+      }
+    case 'br':
+      return zlib.brotliDecompressSync(data);
+    default:
+      return data;
+  }
+}
+
+function harSetCookie(value) {
+  const { nameValue, attributes } = parseCookie(value);
+  const eq = nameValue.indexOf('=');
+  const cookie = {
+    name: eq === -1 ? '' : nameValue.slice(0, eq).trim(),
+    value: eq === -1 ? nameValue : nameValue.slice(eq + 1).trim(),
+  };
+  if (typeof attributes.get('path') === 'string') cookie.path = attributes.get('path');
+  if (typeof attributes.get('domain') === 'string') cookie.domain = attributes.get('domain');
+  if (typeof attributes.get('expires') === 'string') {
+    const expires = new Date(attributes.get('expires'));
+    if (!Number.isNaN(expires.getTime())) cookie.expires = expires.toISOString();
+  }
+  cookie.httpOnly = attributes.has('httponly');
+  cookie.secure = attributes.has('secure');
+  if (typeof attributes.get('samesite') === 'string') cookie.sameSite = attributes.get('samesite');
+  return cookie;
+}
+
+function cookieHeaderPairs(header) {
+  return header.split(';').map(p => p.trim()).filter(Boolean).map((pair) => {
+    const eq = pair.indexOf('=');
+    return eq === -1
+      ? { name: '', value: pair }
+      : { name: pair.slice(0, eq).trim(), value: pair.slice(eq + 1).trim() };
+  });
+}
+
+// ── Helpers ───────────────────────────────────────────────
+
+function storeDir(siteConfig) {
+  return path.join(siteConfig.capture.dir, siteConfig.localSubdomain);
+}
+
+// [name, value, name, value, …] → [[name, value], …]
+function rawPairs(raw) {
+  const pairs = [];
+  for (let i = 0; i < raw.length; i += 2) pairs.push([raw[i], raw[i + 1]]);
+  return pairs;
+}
+
+// { name: value | [values] } → [[name, value], …]
+function objectPairs(headers) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value]).map(v => [name, String(v)])
+  );
+}
+
+function addHeader(headers, name, value) {
+  const lower = name.toLowerCase();
+  headers[lower] = lower in headers ? [].concat(headers[lower], value) : value;
+}
+
+function headerValues(pairs, name) {
+  return pairs.filter(([n]) => n.toLowerCase() === name).map(([, v]) => v);
+}
+
+function harHeaders(pairs) {
+  return pairs.map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Write to a stream, waiting while its buffer is full; rejects
+ * if it is closed first (a client that stopped an export).
+ */
+function writeOut(out, text) {
+  if (out.destroyed) return Promise.reject(new Error('output closed'));
+  if (out.write(text)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      out.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      out.off('drain', onDrain);
+      reject(new Error('output closed'));
+    };
+    out.once('drain', onDrain);
+    out.once('close', onClose);
+  });
+}
+
+module.exports = { CaptureStore, readCaptures, writeHar, parseCaptureFilter };
\ No newline at end of file
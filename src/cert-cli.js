@@ -0,0 +1,143 @@
+/**
+ * Certificate maintenance from the command line, against the same
+ * CERTS_DIR (and CA_* / CERT_* settings) as the gateway:
+ *
+ *   node src/cert-cli.js list
+ *   node src/cert-cli.js rotate <host>
+ *   node src/cert-cli.js rotate-ca
+ *   node src/cert-cli.js export [pem|der|p12] [--out FILE] [--password PASSWORD]
+ *
+ * A running gateway picks up rotated certificates by itself.
+ */
+
+const fs = require('fs');
+const { CertificateAuthority } = require('./cert-generator');
+const { createPkcs12 } = require('./x509');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CA_EXPIRING_DAYS = 30;
+
+const USAGE = `Usage: node src/cert-cli.js <command>
+
+Commands:
+  list                       CA and site certificates with expiry and names
+  rotate <host>              issue a new certificate for a site
+  rotate-ca                  replace the root CA (clients must trust the new one)
+  export [pem|der|p12]       write the CA certificate (default pem)
+      --out FILE             to FILE instead of stdout
+      --password PASSWORD    p12 only: integrity password (default empty)
+`;
+
+// Progress goes to stderr, so exports can be piped
+const logger = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+
+async function run(argv) {
+  const { args, options } = parseArgs(argv);
+  const [command, ...rest] = args;
+  const certs = new CertificateAuthority({ logger });
+
+  switch (command) {
+    case 'list':
+      return list(certs);
+    case 'rotate':
+      if (rest.length !== 1) return usage();
+      await certs.rotate(rest[0]);
+      return 0;
+    case 'rotate-ca':
+      await certs.rotateCA();
+      logger.log(`[CERT] Previous CA kept as ${certs.dir}/ca.old.crt; site certificates are re-issued as they are next used`);
+      return 0;
+    case 'export':
+      return exportCA(certs, rest[0] || 'pem', options);
+    default:
+      return usage();
+  }
+}
+
+async function list(certs) {
+  const rows = (await certs.list()).map(({ name, cert, issuedByCA }) => {
+    const notAfter = new Date(cert.validTo);
+    const days = Math.floor((notAfter.getTime() - Date.now()) / DAY_MS);
+    // Leaves this close to expiry are re-issued on their next use
+    const expiringDays = name === 'CA' ? CA_EXPIRING_DAYS : certs.renewBeforeMs / DAY_MS;
+    let status = 'ok';
+    if (!issuedByCA) status = 'other CA';
+    else if (days < 0) status = 'expired';
+    else if (days < expiringDays) status = 'expiring';
+
+    const names = name === 'CA'
+      ? cert.subject.split('\n').join(', ')
+      : (cert.subjectAltName || '').split(', ').map(n => n.replace(/^(DNS|IP Address):/, '')).join(', ');
+
+    return [name, describeKey(cert.publicKey), notAfter.toISOString().slice(0, 10), String(days), status, names];
+  });
+
+  const header = ['NAME', 'KEY', 'EXPIRES', 'DAYS', 'STATUS', 'NAMES'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  '));
+  }
+  return 0;
+}
+
+function describeKey(publicKey) {
+  const details = publicKey.asymmetricKeyDetails || {};
+  return publicKey.asymmetricKeyType === 'ec'
+    ? `ecdsa ${details.namedCurve}`
+    : `${publicKey.asymmetricKeyType} ${details.modulusLength}`;
+}
+
+async function exportCA(certs, format, { out, password = '' }) {
+  const { cert } = await certs.loadCA();
+
+  let data;
+  if (format === 'pem') data = cert.toString();
+  else if (format === 'der') data = cert.raw;
+  else if (format === 'p12') data = createPkcs12({ certs: [cert.raw], password, friendlyName: commonName(cert) });
+  else return usage();
+
+  if (out) {
+    fs.writeFileSync(out, data);
+    logger.log(`[CERT] Wrote CA certificate (${format}) to ${out}`);
+  } else if (format !== 'pem' && process.stdout.isTTY) {
+    logger.error(`error: not writing ${format} to a terminal; use --out FILE`);
+    return 1;
+  } else {
+    process.stdout.write(data);
+  }
+  return 0;
+}
+
+function commonName(cert) {
+  const line = cert.subject.split('\n').find(l => l.startsWith('CN='));
+  return line ? line.slice(3) : undefined;
+}
+
+// "--out x" / "--out=x" options, everything else positional
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) args.push(argv[i]);
+    else options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return { args, options };
+}
+
+function usage() {
+  process.stderr.write(USAGE);
+  return 2;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    code => process.exit(code),
+    (err) => {
+      logger.error(`error: ${err.message}`);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { run };
\ No newline at end of file
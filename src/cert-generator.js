@@ -1,146 +1,536 @@
-const { execSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
+const tls = require('tls');
+const { promisify } = require('util');
+const { createCertificate, subjectOf } = require('./x509');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
 
 const CERTS_DIR = process.env.CERTS_DIR || './certs';
+const CA_KEY_TYPE = process.env.CA_KEY_TYPE || 'rsa';
+const CERT_KEY_TYPE = process.env.CERT_KEY_TYPE || 'rsa';
+const CERT_CACHE_SIZE = parseInt(process.env.CERT_CACHE_SIZE || '1000', 10);
+const CA_SUBJECT = process.env.CA_SUBJECT || '/C=XX/ST=Proxy/L=Local/O=LocalGateway Monitoring/OU=IT/CN=LocalGateway Root CA';
+const CA_VALIDITY_DAYS = parseInt(process.env.CA_VALIDITY_DAYS || '3650', 10);
+const CERT_VALIDITY_DAYS = parseInt(process.env.CERT_VALIDITY_DAYS || '365', 10);
+const CERT_EXTRA_SANS = process.env.CERT_EXTRA_SANS || '';
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Leaves are re-issued, and the CA warned about, once this close to expiring
+const EXPIRY_WARNING_MS = 30 * DAY_MS;
+const EXPIRY_CHECK_INTERVAL_MS = DAY_MS;
+const WATCH_DEBOUNCE_MS = 250;
+
+// key type → crypto.generateKeyPair() arguments
+const KEY_TYPES = {
+  ca: {
+    rsa: ['rsa', { modulusLength: 4096 }],
+    ecdsa: ['ec', { namedCurve: 'P-384' }],
+  },
+  leaf: {
+    rsa: ['rsa', { modulusLength: 2048 }],
+    ecdsa: ['ec', { namedCurve: 'P-256' }],
+  },
+};
+
+const SUBJECT_FIELDS = ['C', 'ST', 'L', 'O', 'OU', 'CN'];
+
+// Names end up in file names, so nothing beyond a plain hostname
+const CERT_NAME = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
 
 /**
- * Generate the root CA if it doesn't already exist.
+ * The gateway's root CA and the leaf certificates it issues.
+ *
+ * Everything is generated in-process with Node's crypto (see
+ * x509.js) and kept in CERTS_DIR:
+ *
+ *   ca.key, ca.crt                 root CA, created on first start
+ *   ca.old.key, ca.old.crt         the CA before the last rotateCA()
+ *   sites/<host>.key, <host>.crt   leaves, issued on first use
+ *
+ * Leaves are cached in memory (least recently used dropped past
+ * `cacheSize`) and re-issued when they near expiry, were signed by
+ * another CA or no longer match the configured key type and names.
+ * With watch(), files replaced behind the gateway's back (by
+ * cert-cli.js) are picked up without a restart.
  */
-function ensureRootCA() {
-  ensureDir(CERTS_DIR);
+class CertificateAuthority {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir]
+   * @param {'rsa'|'ecdsa'} [options.caKeyType] - used when a new CA is created
+   * @param {'rsa'|'ecdsa'} [options.leafKeyType]
+   * @param {number} [options.cacheSize] - leaves kept in memory
+   * @param {string} [options.subject] - of a new CA, "/O=Example/CN=Example CA"
+   * @param {number} [options.caValidityDays]
+   * @param {number} [options.validityDays] - of leaves
+   * @param {string[]} [options.extraNames] - DNS names and IPs added to every leaf
+   * @param {{ log: Function, warn: Function }} [options.logger]
+   */
+  constructor({
+    dir = CERTS_DIR,
+    caKeyType = CA_KEY_TYPE,
+    leafKeyType = CERT_KEY_TYPE,
+    cacheSize = CERT_CACHE_SIZE,
+    subject = CA_SUBJECT,
+    caValidityDays = CA_VALIDITY_DAYS,
+    validityDays = CERT_VALIDITY_DAYS,
+    extraNames = splitList(CERT_EXTRA_SANS),
+    logger = console,
+  } = {}) {
+    this.dir = dir;
+    this.logger = logger;
+    this.caKeyType = this.checkKeyType('CA_KEY_TYPE', caKeyType);
+    this.leafKeyType = this.checkKeyType('CERT_KEY_TYPE', leafKeyType);
+    this.cacheSize = Math.max(1, cacheSize || 1);
+    this.subject = this.checkSubject(subject);
+    this.caValidityDays = this.checkDays('CA_VALIDITY_DAYS', caValidityDays, 3650);
+    this.validityDays = this.checkDays('CERT_VALIDITY_DAYS', validityDays, 365);
+    this.extraNames = this.checkNames(extraNames);
+    // Short-lived leaves are renewed halfway through instead
+    this.renewBeforeMs = Math.min(EXPIRY_WARNING_MS, this.validityDays * DAY_MS / 2);
 
-  const caKey = path.join(CERTS_DIR, 'ca.key');
-  const caCrt = path.join(CERTS_DIR, 'ca.crt');
+    // host → { key, cert, notAfter, context }, oldest use first
+    this.cache = new Map();
+    // host → Promise of an issuance in progress
+    this.pending = new Map();
+    this.caLoading = null;
 
-  if (fs.existsSync(caKey) && fs.existsSync(caCrt)) {
-    console.log('[CERT] Root CA already exists, skipping generation');
-    return { caKey, caCrt };
+    this.listeners = [];
+    this.watchers = [];
+    this.changedHosts = new Set();
+    this.changeTimer = null;
+    this.expiryTimer = null;
   }
 
-  console.log('[CERT] Generating root CA...');
+  get caKeyFile() {
+    return path.join(this.dir, 'ca.key');
+  }
 
-  // Generate CA private key
-  execSync(`openssl genrsa -out "${caKey}" 4096`, { stdio: 'pipe' });
+  get caCertFile() {
+    return path.join(this.dir, 'ca.crt');
+  }
 
-  // Generate CA certificate (valid 10 years)
-  execSync(
-    `openssl req -x509 -new -nodes ` +
-    `-key "${caKey}" ` +
-    `-sha256 -days 3650 ` +
-    `-out "${caCrt}" ` +
-    `-subj "/C=XX/ST=Proxy/L=Local/O=LocalGateway Monitoring/OU=IT/CN=LocalGateway Root CA"`,
-    { stdio: 'pipe' }
-  );
+  get sitesDir() {
+    return path.join(this.dir, 'sites');
+  }
 
-  console.log('[CERT] Root CA generated');
-  console.log(`[CERT]   ⚠️  Install ${caCrt} as a trusted CA to suppress browser warnings`);
-  console.log(`[CERT]   ⚠️  Or leave it untrusted — the warning is the notice`);
+  /**
+   * Register a callback for certificates that changed underneath
+   * the cache: `fn(host)` for one site, `fn(null)` for the CA.
+   */
+  onChange(fn) {
+    this.listeners.push(fn);
+  }
 
-  return { caKey, caCrt };
-}
+  /**
+   * Load the root CA, creating it if there is none yet.
+   * @returns {Promise<{ key: import('crypto').KeyObject, cert: import('crypto').X509Certificate }>}
+   */
+  loadCA() {
+    if (!this.caLoading) {
+      this.caLoading = this.readOrCreateCA().catch((err) => {
+        this.caLoading = null;
+        throw err;
+      });
+    }
+    return this.caLoading;
+  }
 
-/**
- * Generate a site certificate signed by the root CA.
- * @param {string} domain - e.g. "github.localgateway.com"
- * @returns {{ key: string, cert: string }} paths to key and cert files
- */
-function ensureSiteCert(domain) {
-  const sitesDir = path.join(CERTS_DIR, 'sites');
-  ensureDir(sitesDir);
-
-  const keyFile = path.join(sitesDir, `${domain}.key`);
-  const crtFile = path.join(sitesDir, `${domain}.crt`);
-  const csrFile = path.join(sitesDir, `${domain}.csr`);
-  const extFile = path.join(sitesDir, `${domain}.ext`);
-
-  if (fs.existsSync(keyFile) && fs.existsSync(crtFile)) {
-    console.log(`[CERT] Certificate for ${domain} already exists`);
-    return { key: keyFile, cert: crtFile };
-  }
-
-  const { caKey, caCrt } = ensureRootCA();
-
-  console.log(`[CERT] Generating certificate for ${domain}...`);
-
-  // Generate site private key
-  execSync(`openssl genrsa -out "${keyFile}" 2048`, { stdio: 'pipe' });
-
-  // Generate CSR
-  execSync(
-    `openssl req -new ` +
-    `-key "${keyFile}" ` +
-    `-out "${csrFile}" ` +
-    `-subj "/C=XX/ST=Proxy/L=Local/O=LocalGateway Monitoring/OU=IT/CN=${domain}"`,
-    { stdio: 'pipe' }
-  );
-
-  // Create extension file for SAN (Subject Alternative Names)
-  const extContent = [
-    'authorityKeyIdentifier=keyid,issuer',
-    'basicConstraints=CA:FALSE',
-    'keyUsage = digitalSignature, nonRepudiation, keyEncipherment, dataEncipherment',
-    'subjectAltName = @alt_names',
-    '',
-    '[alt_names]',
-    `DNS.1 = ${domain}`,
-    `DNS.2 = *.${domain}`,
-    'IP.1 = 127.0.0.1',
-    'IP.2 = ::1',
-  ].join('\n');
-
-  fs.writeFileSync(extFile, extContent);
-
-  // Sign with CA (valid 1 year)
-  execSync(
-    `openssl x509 -req ` +
-    `-in "${csrFile}" ` +
-    `-CA "${caCrt}" ` +
-    `-CAkey "${caKey}" ` +
-    `-CAcreateserial ` +
-    `-out "${crtFile}" ` +
-    `-days 365 ` +
-    `-sha256 ` +
-    `-extfile "${extFile}"`,
-    { stdio: 'pipe' }
-  );
-
-  // Clean up temp files
-  try {
-    fs.unlinkSync(csrFile);
-    fs.unlinkSync(extFile);
-  } catch (_) {}
-
-  console.log(`[CERT] Certificate for ${domain} generated`);
-
-  return { key: keyFile, cert: crtFile };
-}
+  async readOrCreateCA() {
+    if (!fs.existsSync(this.caKeyFile) || !fs.existsSync(this.caCertFile)) {
+      return this.createCA();
+    }
 
-/**
- * Generate certificates for all site configs.
- * @param {object[]} configs - Array of parsed site configs
- * @returns {Map<string, { key: Buffer, cert: Buffer }>} domain → { key, cert }
- */
-function generateAllCerts(configs) {
-  ensureRootCA();
+    const ca = await this.readCA();
+    this.logger.log('[CERT] Root CA already exists, skipping generation');
+    this.warnIfCAExpiring(ca.cert);
+    return ca;
+  }
+
+  async readCA() {
+    const [key, cert] = await Promise.all([
+      fs.promises.readFile(this.caKeyFile),
+      fs.promises.readFile(this.caCertFile),
+    ]);
+    return { key: crypto.createPrivateKey(key), cert: new crypto.X509Certificate(cert) };
+  }
 
-  const certMap = new Map();
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.keepOld] - keep a copy of the current CA as ca.old.*
+   */
+  async createCA({ keepOld = false } = {}) {
+    this.logger.log(`[CERT] Generating root CA (${this.caKeyType})...`);
 
-  for (const cfg of configs) {
-    const { key, cert } = ensureSiteCert(cfg.localSubdomain);
-    certMap.set(cfg.localSubdomain, {
-      key: fs.readFileSync(key),
-      cert: fs.readFileSync(cert),
+    const { publicKey, privateKey } = await generateKeyPair(...KEY_TYPES.ca[this.caKeyType]);
+    const now = Date.now();
+    const pem = createCertificate({
+      subject: this.subject,
+      publicKey,
+      signingKey: privateKey,
+      notBefore: new Date(now - DAY_MS),
+      notAfter: new Date(now + this.caValidityDays * DAY_MS),
+      isCA: true,
     });
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    if (keepOld) {
+      for (const ext of ['key', 'crt']) {
+        const file = path.join(this.dir, `ca.${ext}`);
+        if (fs.existsSync(file)) await fs.promises.copyFile(file, path.join(this.dir, `ca.old.${ext}`));
+      }
+    }
+    await writeFileAtomic(this.caKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), 0o600);
+    await writeFileAtomic(this.caCertFile, pem);
+
+    this.logger.log('[CERT] Root CA generated');
+    this.logger.log(`[CERT]   ⚠️  Install ${this.caCertFile} as a trusted CA to suppress browser warnings`);
+    this.logger.log(`[CERT]   ⚠️  Or leave it untrusted — the warning is the notice`);
+
+    return { key: privateKey, cert: new crypto.X509Certificate(pem) };
+  }
+
+  /**
+   * Replace the root CA with a new one (the old one is kept as
+   * ca.old.*). Leaves signed by the old CA are re-issued as they
+   * are next used.
+   */
+  async rotateCA() {
+    this.caLoading = this.createCA({ keepOld: true });
+    this.cache.clear();
+    return this.caLoading;
   }
 
-  return certMap;
+  /**
+   * Leaf certificate for a host (valid for the host, its
+   * subdomains, the loopback addresses and any extra names).
+   * @returns {Promise<{ key: string, cert: string, notAfter: number, context: import('tls').SecureContext }>}
+   */
+  certificate(host) {
+    host = String(host).toLowerCase();
+    if (!CERT_NAME.test(host)) {
+      return Promise.reject(new Error(`cannot issue a certificate for "${host}"`));
+    }
+
+    const cached = this.cache.get(host);
+    if (cached && cached.notAfter - this.renewBeforeMs > Date.now()) {
+      // Most recently used moves to the end
+      this.cache.delete(host);
+      this.cache.set(host, cached);
+      return Promise.resolve(cached);
+    }
+
+    return this.track(host, () => this.readOrIssue(host));
+  }
+
+  /**
+   * Issue a new certificate for a host even if the current one is
+   * still good.
+   */
+  rotate(host) {
+    host = String(host).toLowerCase();
+    if (!CERT_NAME.test(host)) {
+      return Promise.reject(new Error(`cannot issue a certificate for "${host}"`));
+    }
+    return this.track(host, async () => this.issue(host, await this.loadCA()));
+  }
+
+  /**
+   * TLS context presenting the host's leaf certificate.
+   * @returns {Promise<import('tls').SecureContext>}
+   */
+  secureContext(host) {
+    return this.certificate(host).then(entry => entry.context);
+  }
+
+  // One issuance per host at a time
+  track(host, work) {
+    let pending = this.pending.get(host);
+    if (!pending) {
+      pending = work().then((entry) => {
+        this.remember(host, entry);
+        return entry;
+      }).finally(() => this.pending.delete(host));
+      this.pending.set(host, pending);
+    }
+    return pending;
+  }
+
+  remember(host, entry) {
+    this.cache.delete(host);
+    this.cache.set(host, entry);
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  async readOrIssue(host) {
+    const ca = await this.loadCA();
+
+    try {
+      const [key, cert] = await Promise.all([
+        fs.promises.readFile(path.join(this.sitesDir, `${host}.key`), 'utf8'),
+        fs.promises.readFile(path.join(this.sitesDir, `${host}.crt`), 'utf8'),
+      ]);
+      const entry = this.toEntry(key, cert);
+      const x509 = new crypto.X509Certificate(cert);
+      if (this.isUsable(ca, x509, entry, host)) return entry;
+      if (entry.notAfter - this.renewBeforeMs <= Date.now()) {
+        this.logger.warn(`[CERT] Certificate for ${host} expires on ${x509.validTo}; re-issuing`);
+      }
+    } catch (err) {
+      // Missing or unreadable: issue a new one
+    }
+
+    return this.issue(host, ca);
+  }
+
+  async issue(host, ca) {
+    const { publicKey, privateKey } = await generateKeyPair(...KEY_TYPES.leaf[this.leafKeyType]);
+    const now = Date.now();
+    const cert = createCertificate({
+      subject: [...this.subject.filter(([type]) => type !== 'CN'), ['CN', host]],
+      issuer: subjectOf(ca.cert.raw),
+      publicKey,
+      signingKey: ca.key,
+      issuerPublicKey: ca.cert.publicKey,
+      notBefore: new Date(now - DAY_MS),
+      notAfter: new Date(now + this.validityDays * DAY_MS),
+      altNames: this.altNamesFor(host),
+    });
+    const key = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    await fs.promises.mkdir(this.sitesDir, { recursive: true });
+    await writeFileAtomic(path.join(this.sitesDir, `${host}.key`), key, 0o600);
+    await writeFileAtomic(path.join(this.sitesDir, `${host}.crt`), cert);
+
+    this.logger.log(`[CERT] Issued certificate for ${host} (${this.leafKeyType})`);
+    return this.toEntry(key, cert);
+  }
+
+  altNamesFor(host) {
+    return [...new Set([host, `*.${host}`, '127.0.0.1', '::1', ...this.extraNames])];
+  }
+
+  toEntry(key, cert) {
+    return {
+      key,
+      cert,
+      notAfter: new Date(new crypto.X509Certificate(cert).validTo).getTime(),
+      context: tls.createSecureContext({ key, cert }),
+    };
+  }
+
+  // Still valid for a while, signed by the current CA, right key
+  // type and names
+  isUsable(ca, x509, entry, host) {
+    const keyType = this.leafKeyType === 'ecdsa' ? 'ec' : 'rsa';
+    const dnsNames = (x509.subjectAltName || '').split(', ');
+    return entry.notAfter - this.renewBeforeMs > Date.now() &&
+      x509.publicKey.asymmetricKeyType === keyType &&
+      this.altNamesFor(host).every(name => (net.isIP(name) ? x509.checkIP(name) : dnsNames.includes(`DNS:${name}`))) &&
+      x509.checkIssued(ca.cert) &&
+      x509.verify(ca.cert.publicKey);
+  }
+
+  /**
+   * The CA and every site certificate on disk.
+   * @returns {Promise<{ name: string, cert: import('crypto').X509Certificate, issuedByCA: boolean }[]>}
+   */
+  async list() {
+    const ca = await this.readCA();
+    const entries = [{ name: 'CA', cert: ca.cert, issuedByCA: true }];
+
+    const files = fs.existsSync(this.sitesDir) ? await fs.promises.readdir(this.sitesDir) : [];
+    for (const file of files.filter(f => f.endsWith('.crt') && !f.startsWith('.')).sort()) {
+      try {
+        const cert = new crypto.X509Certificate(await fs.promises.readFile(path.join(this.sitesDir, file)));
+        entries.push({
+          name: file.slice(0, -'.crt'.length),
+          cert,
+          issuedByCA: cert.checkIssued(ca.cert) && cert.verify(ca.cert.publicKey),
+        });
+      } catch (err) {
+        this.logger.warn(`[CERT] Skipping ${file}: ${err.message}`);
+      }
+    }
+    return entries;
+  }
+
+  // ── Watching ────────────────────────────────────────────
+
+  /**
+   * Pick up certificates replaced on disk, and check daily for
+   * certificates close to expiry.
+   */
+  watch() {
+    if (this.watchers.length) return;
+
+    try {
+      fs.mkdirSync(this.sitesDir, { recursive: true });
+      this.watchers = [
+        fs.watch(this.dir, (eventType, filename) => {
+          if (filename === 'ca.crt' || filename === 'ca.key') this.scheduleChange(null);
+        }),
+        fs.watch(this.sitesDir, (eventType, filename) => {
+          const match = /^([^.].*)\.(crt|key)$/.exec(filename || '');
+          if (match) this.scheduleChange(match[1]);
+        }),
+      ];
+    } catch (err) {
+      this.logger.warn(`[CERT] Cannot watch ${this.dir}: ${err.message} (send SIGHUP to reload certificates)`);
+      this.unwatch();
+    }
+
+    for (const watcher of this.watchers) {
+      watcher.on('error', (err) => {
+        this.logger.warn(`[CERT] Watcher stopped: ${err.message} (send SIGHUP to reload certificates)`);
+        this.unwatch();
+      });
+    }
+
+    this.expiryTimer = setInterval(() => this.checkExpiry(), EXPIRY_CHECK_INTERVAL_MS);
+    this.expiryTimer.unref();
+  }
+
+  unwatch() {
+    for (const watcher of this.watchers) watcher.close();
+    this.watchers = [];
+  }
+
+  // `null` stands for the CA (and with it every leaf)
+  scheduleChange(host) {
+    this.changedHosts.add(host);
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(() => this.applyChanges(), WATCH_DEBOUNCE_MS);
+  }
+
+  async applyChanges() {
+    const hosts = [...this.changedHosts];
+    this.changedHosts.clear();
+
+    if (hosts.includes(null)) {
+      // Our own writes show up here too; nothing to do for those
+      const loaded = this.caLoading && await this.caLoading.catch(() => null);
+      const onDisk = await fs.promises.readFile(this.caCertFile, 'utf8').catch(() => null);
+      if (loaded && onDisk !== loaded.cert.toString()) return this.reload();
+    }
+
+    for (const host of hosts.filter(Boolean)) {
+      const cached = this.cache.get(host);
+      const onDisk = await fs.promises.readFile(path.join(this.sitesDir, `${host}.crt`), 'utf8').catch(() => null);
+      if (!cached || cached.cert === onDisk) continue;
+
+      this.cache.delete(host);
+      this.logger.log(`[CERT] Reloaded certificate for ${host}`);
+      this.notify(host);
+    }
+  }
+
+  /**
+   * Forget everything loaded so far; the CA and leaves are read
+   * again as they are next needed.
+   */
+  reload() {
+    this.caLoading = null;
+    this.cache.clear();
+    this.logger.log('[CERT] Reloading certificates');
+    this.notify(null);
+  }
+
+  notify(host) {
+    for (const fn of this.listeners) fn(host);
+  }
+
+  /**
+   * Warn about a CA close to expiry, and renew cached leaves that
+   * are due before they are next asked for.
+   */
+  async checkExpiry() {
+    try {
+      const ca = await this.loadCA();
+      this.warnIfCAExpiring(ca.cert);
+    } catch (err) {
+      this.logger.warn(`[CERT] Cannot load root CA: ${err.message}`);
+      return;
+    }
+
+    for (const [host, entry] of this.cache) {
+      if (entry.notAfter - this.renewBeforeMs > Date.now()) continue;
+      this.certificate(host).then(
+        () => this.notify(host),
+        err => this.logger.warn(`[CERT] Renewing certificate for ${host} failed: ${err.message}`)
+      );
+    }
+  }
+
+  warnIfCAExpiring(cert) {
+    const remaining = new Date(cert.validTo).getTime() - Date.now();
+    if (remaining > EXPIRY_WARNING_MS) return;
+    const when = remaining > 0 ? `expires on ${cert.validTo}` : `expired on ${cert.validTo}`;
+    this.logger.warn(`[CERT] Root CA ${when}; rotate it with \`node src/cert-cli.js rotate-ca\` and reinstall ${this.caCertFile} on clients`);
+  }
+
+  // ── Settings ────────────────────────────────────────────
+
+  checkKeyType(name, value) {
+    const type = String(value).toLowerCase();
+    if (KEY_TYPES.ca[type]) return type;
+    this.logger.warn(`[CERT] ${name} must be one of ${Object.keys(KEY_TYPES.ca).join(', ')}, got "${value}"; using rsa`);
+    return 'rsa';
+  }
+
+  checkSubject(value) {
+    const subject = parseSubject(value);
+    if (subject) return subject;
+    this.logger.warn(`[CERT] CA_SUBJECT must look like "/O=Example/CN=Example CA" (fields ${SUBJECT_FIELDS.join(', ')}), got "${value}"; using the default`);
+    return parseSubject('/C=XX/ST=Proxy/L=Local/O=LocalGateway Monitoring/OU=IT/CN=LocalGateway Root CA');
+  }
+
+  checkDays(name, value, fallback) {
+    if (Number.isInteger(value) && value > 0) return value;
+    this.logger.warn(`[CERT] ${name} must be a positive number of days, got "${value}"; using ${fallback}`);
+    return fallback;
+  }
+
+  checkNames(names) {
+    return names.map(n => n.toLowerCase()).filter((name) => {
+      if (net.isIP(name) || /^(\*\.)?[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/.test(name)) return true;
+      this.logger.warn(`[CERT] Ignoring invalid name "${name}" in CERT_EXTRA_SANS`);
+      return false;
+    });
+  }
+}
+
+/**
+ * "/C=XX/O=Example/CN=Example CA" → [['C', 'XX'], ['O', 'Example'], ['CN', 'Example CA']],
+ * or null if it isn't one.
+ */
+function parseSubject(value) {
+  const subject = [];
+  for (const part of String(value).split('/').filter(Boolean)) {
+    const eq = part.indexOf('=');
+    const type = part.slice(0, eq).trim().toUpperCase();
+    const text = part.slice(eq + 1).trim();
+    if (eq < 1 || !SUBJECT_FIELDS.includes(type) || !text) return null;
+    // countryName is a two-letter PrintableString
+    if (type === 'C' && !/^[A-Z]{2}$/i.test(text)) return null;
+    subject.push([type, text]);
+  }
+  return subject.some(([type]) => type === 'CN') ? subject : null;
+}
+
+function splitList(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+async function writeFileAtomic(filePath, content, mode) {
+  const tmp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp`);
+  await fs.promises.writeFile(tmp, content, { mode });
+  await fs.promises.rename(tmp, filePath);
 }
 
-module.exports = { ensureRootCA, ensureSiteCert, generateAllCerts };
\ No newline at end of file
+module.exports = { CertificateAuthority, CERTS_DIR };
\ No newline at end of file
@@ -0,0 +1,138 @@
+const zlib = require('zlib');
+
+/**
+ * Content-Encoding support for upstream and client connections.
+ *
+ * The proxy always asks the upstream for a compressed body. Bodies
+ * that get rewritten are decoded first and re-encoded for the
+ * client; everything else passes through in its original encoding
+ * as long as the client accepts it.
+ */
+
+// Preference order when the client rates several encodings equally
+const SUPPORTED_ENCODINGS = ['br', 'gzip', 'deflate'];
+
+const UPSTREAM_ACCEPT_ENCODING = 'gzip, deflate, br';
+
+/**
+ * Parse an Accept-Encoding header into a Map of coding → q-value.
+ */
+function parseAcceptEncoding(header) {
+  const accepted = new Map();
+  if (!header) return accepted;
+
+  for (const part of header.split(',')) {
+    const [coding, ...params] = part.trim().toLowerCase().split(';');
+    if (!coding) continue;
+
+    let q = 1;
+    for (const param of params) {
+      const [k, v] = param.trim().split('=');
+      if (k === 'q') q = parseFloat(v);
+    }
+
+    accepted.set(coding.trim(), Number.isNaN(q) ? 0 : q);
+  }
+
+  return accepted;
+}
+
+function qualityOf(accepted, encoding) {
+  if (accepted.has(encoding)) return accepted.get(encoding);
+  if (accepted.has('*')) return accepted.get('*');
+  return 0;
+}
+
+/**
+ * Whether a client sending `acceptHeader` can take a body
+ * encoded with `encoding` ("identity" is always acceptable
+ * unless explicitly refused).
+ */
+function acceptsEncoding(acceptHeader, encoding) {
+  const accepted = parseAcceptEncoding(acceptHeader);
+  if (encoding === 'identity') {
+    return !accepted.has('identity') || accepted.get('identity') > 0;
+  }
+  return qualityOf(accepted, encoding) > 0;
+}
+
+/**
+ * Pick the best supported encoding for a client, or null to
+ * send the body uncompressed.
+ */
+function negotiateEncoding(acceptHeader) {
+  const accepted = parseAcceptEncoding(acceptHeader);
+
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of SUPPORTED_ENCODINGS) {
+    const q = qualityOf(accepted, encoding);
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Normalize a response's Content-Encoding header. Returns
+ * "identity" for uncompressed bodies.
+ */
+function responseEncoding(headers) {
+  const value = (headers['content-encoding'] || '').trim().toLowerCase();
+  return value || 'identity';
+}
+
+function isSupportedEncoding(encoding) {
+  return encoding === 'identity' || SUPPORTED_ENCODINGS.includes(encoding);
+}
+
+/**
+ * @returns {import('stream').Transform|null} decompressor, or null for identity
+ */
+function createDecoder(encoding) {
+  switch (encoding) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Encoders flush after every write so streamed responses reach
+ * the client as they are produced instead of when a block fills.
+ * @returns {import('stream').Transform|null} compressor, or null for identity
+ */
+function createEncoder(encoding) {
+  switch (encoding) {
+    case 'gzip':
+      return zlib.createGzip({ flush: zlib.constants.Z_SYNC_FLUSH });
+    case 'deflate':
+      return zlib.createDeflate({ flush: zlib.constants.Z_SYNC_FLUSH });
+    case 'br':
+      return zlib.createBrotliCompress({
+        flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 },
+      });
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  UPSTREAM_ACCEPT_ENCODING,
+  acceptsEncoding,
+  negotiateEncoding,
+  responseEncoding,
+  isSupportedEncoding,
+  createDecoder,
+  createEncoder,
+};
\ No newline at end of file
@@ -1,27 +1,225 @@
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
 
-function parseConfFile(filePath) {
+const HOSTNAME = /^[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)*$/;
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const BOOLEAN_VALUES = ['true', 'false', '1', '0'];
+const REWRITE_MODES = ['text', 'html'];
+
+const KNOWN_SECTIONS = ['proxy', 'rewrites', 'headers.remove', 'headers.add', 'cache', 'upstream', 'replace', 'route', 'balance', 'cookie_jar', 'auth', 'capture', 'recording'];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CACHE_DEFAULTS = {
+  enabled: false,
+  memorySize: 64 * 1024 ** 2,
+  diskDir: '',
+  diskSize: 1024 ** 3,
+  maxObjectSize: 10 * 1024 ** 2,
+  staleIfError: 0,
+  hosts: [],
+};
+
+// dir = '' keeps sessions in memory only
+const COOKIE_JAR_DEFAULTS = {
+  enabled: false,
+  sessionCookie: 'proxy_session',
+  sessionTtlMs: 7 * 24 * 60 * 60 * 1000,
+  dir: '',
+  maxSessions: 10000,
+};
+
+// Bodies past max_body are stored cut short; max_body = 0 stores none
+const CAPTURE_DEFAULTS = {
+  enabled: false,
+  dir: '',
+  maxSize: 256 * 1024 ** 2,
+  maxBody: 1024 ** 2,
+  paths: [],
+  redactHeaders: ['authorization', 'proxy-authorization'],
+  redactCookies: [],
+};
+
+const RECORDING_MODES = ['record', 'replay', 'hybrid'];
+
+// mode = '' turns recording off; an empty miss_body serves an error page
+const RECORDING_DEFAULTS = {
+  mode: '',
+  dir: '',
+  keyHeaders: [],
+  ignoreParams: [],
+  missStatus: 404,
+  missBody: '',
+  missContentType: '',
+};
+
+const AUTH_TYPES = ['basic', 'login', 'oidc'];
+
+// type = '' leaves only the allow/deny lists; an empty secret
+// signs sessions with AUTH_SECRET or a per-process key
+const AUTH_DEFAULTS = {
+  type: '',
+  allow: [],
+  deny: [],
+  htpasswd: '',
+  realm: '',
+  users: [],
+  cookie: 'proxy_auth',
+  sessionTtlMs: 12 * 60 * 60 * 1000,
+  secret: '',
+  oidcIssuer: '',
+  oidcClientId: '',
+  oidcClientSecret: '',
+  oidcScopes: 'openid email profile',
+  oidcUserClaim: 'email',
+};
+
+// [auth] key → field for the plain string keys
+const AUTH_STRING_KEYS = {
+  htpasswd: 'htpasswd',
+  realm: 'realm',
+  secret: 'secret',
+  oidc_client_id: 'oidcClientId',
+  oidc_client_secret: 'oidcClientSecret',
+  oidc_scopes: 'oidcScopes',
+  oidc_user_claim: 'oidcUserClaim',
+};
+
+// Timeouts of 0 and circuit_threshold = 0 disable that check
+const UPSTREAM_DEFAULTS = {
+  connectTimeoutMs: 10 * 1000,
+  firstByteTimeoutMs: 60 * 1000,
+  idleTimeoutMs: 120 * 1000,
+  retries: 2,
+  retryBackoffMs: 100,
+  circuitThreshold: 5,
+  circuitCooldownMs: 30 * 1000,
+  proxy: '',              // '' = from HTTPS_PROXY/HTTP_PROXY, 'direct' = none
+  noProxy: [],
+};
+
+const PROXY_SCHEMES = ['http:', 'https:', 'socks5:', 'socks5h:'];
+
+const BALANCE_STRATEGIES = ['round_robin', 'least_connections', 'cookie_hash'];
+
+// Health checks are off until health_check_path is set;
+// max_fails = 0 turns passive ejection off
+const BALANCE_DEFAULTS = {
+  strategy: 'round_robin',
+  hashCookie: '',
+  healthCheckPath: '',
+  healthCheckIntervalMs: 10 * 1000,
+  healthCheckTimeoutMs: 2 * 1000,
+  maxFails: 3,
+  failTimeoutMs: 30 * 1000,
+};
+
+// [balance] key → { field, type } for the numeric keys
+const BALANCE_KEYS = {
+  health_check_interval: { field: 'healthCheckIntervalMs', type: 'duration' },
+  health_check_timeout: { field: 'healthCheckTimeoutMs', type: 'duration' },
+  max_fails: { field: 'maxFails', type: 'count' },
+  fail_timeout: { field: 'failTimeoutMs', type: 'duration' },
+};
+
+const REPLACE_SIDES = ['response', 'request', 'both'];
+const REGEX_FLAGS = /^[gimsu]*$/;
+
+// [route] action → the keys it uses besides the match keys
+const ROUTE_ACTIONS = {
+  block: ['status', 'body', 'content_type'],
+  redirect: ['status', 'location'],
+  respond: ['status', 'body', 'content_type'],
+  file: ['status', 'file', 'content_type'],
+  upstream: ['target_host', 'target_port', 'target_protocol'],
+};
+const ROUTE_ACTION_KEYS = new Set(Object.values(ROUTE_ACTIONS).flat());
+const ROUTE_DEFAULT_STATUS = { block: 403, redirect: 302, respond: 200, file: 200 };
+
+// [upstream] key → { field, type }
+const UPSTREAM_KEYS = {
+  connect_timeout: { field: 'connectTimeoutMs', type: 'duration' },
+  first_byte_timeout: { field: 'firstByteTimeoutMs', type: 'duration' },
+  idle_timeout: { field: 'idleTimeoutMs', type: 'duration' },
+  retries: { field: 'retries', type: 'count' },
+  retry_backoff: { field: 'retryBackoffMs', type: 'duration' },
+  circuit_threshold: { field: 'circuitThreshold', type: 'count' },
+  circuit_cooldown: { field: 'circuitCooldownMs', type: 'duration' },
+};
+
+/**
+ * Parse a .conf file.
+ * @param {string} filePath
+ * @param {object[]} [problems] - collects { file, line, severity, message }
+ */
+function parseConfFile(filePath, problems = []) {
   const content = fs.readFileSync(filePath, 'utf8');
+  return parseConfText(content, path.basename(filePath, '.conf'), problems, filePath);
+}
+
+/**
+ * Parse the contents of a .conf file.
+ *
+ * Anything suspicious is reported into `problems` with the line
+ * it came from rather than thrown, so one pass can list every
+ * issue in a file. Problems with severity "error" mean the config
+ * must not be used; "warning"s (unknown keys and sections) are
+ * ignored at runtime, as they always have been.
+ *
+ * @param {string} content - raw file text
+ * @param {string} defaultName - site name used when [proxy] has no `name`
+ * @param {object[]} [problems] - collects { file, line, severity, message }
+ * @param {string} [file] - file name used in reported problems
+ */
+function parseConfText(content, defaultName, problems = [], file = `${defaultName}.conf`) {
   const lines = content.split('\n');
 
   const config = {
-    name: path.basename(filePath, '.conf'),
+    name: defaultName,
     localSubdomain: '',
-    targetHost: '',
+    targetHost: '',         // first of `backends`
     targetProtocol: 'https',
     targetPort: 443,
+    backends: [],           // { host, port (0 = target_port), weight }
     rewrites: [],           // { externalHost, localPathPrefix, isWildcard }
     wildcardRewrites: [],   // { pattern (regex), rootDomain, localPathPrefix }
     headersRemove: [],
     headersAdd: {},
     rewriteContent: true,
+    rewriteMode: 'text',
+    rewriteDataAttributes: false,
+    injectShim: false,
     injectCookie: '',
+    enabled: true,
+    cache: { ...CACHE_DEFAULTS, hosts: [] },
+    upstream: { ...UPSTREAM_DEFAULTS },
+    balance: { ...BALANCE_DEFAULTS },
+    cookieJar: { ...COOKIE_JAR_DEFAULTS },
+    auth: { ...AUTH_DEFAULTS, allow: [], deny: [], users: [] },
+    capture: { ...CAPTURE_DEFAULTS, paths: [], redactHeaders: [...CAPTURE_DEFAULTS.redactHeaders], redactCookies: [] },
+    recording: { ...RECORDING_DEFAULTS, keyHeaders: [], ignoreParams: [] },
+    replaceRules: [],       // { match, regex, flags, with, contentTypes, paths, side }
+    routes: [],             // { name, methods, paths, pathRegex, headers, action, ... }
+    sourceLines: {},        // conf key → line it was set on (for diagnostics)
   };
 
+  const error = (line, message) => problems.push({ file, line, severity: 'error', message });
+  const warn = (line, message) => problems.push({ file, line, severity: 'warning', message });
+
+  // Every rewrite prefix with its line, for the overlap check
+  const prefixes = [];
+  // Line of each [replace] header, for rules missing `match`
+  const replaceLines = [];
+  // Line of each [route] header and of every key set in it
+  const routeLines = [];
+
   let currentSection = null;
+  let lineNo = 0;
 
   for (let rawLine of lines) {
+    lineNo++;
     const line = rawLine.trim();
 
     if (!line || line.startsWith('#')) continue;
@@ -29,6 +227,39 @@ function parseConfFile(filePath) {
     const sectionMatch = line.match(/^\[(.+)\]$/);
     if (sectionMatch) {
       currentSection = sectionMatch[1].toLowerCase().trim();
+      if (!KNOWN_SECTIONS.includes(currentSection)) {
+        warn(lineNo, `unknown section [${currentSection}]`);
+      }
+      // Having a [cache] section turns caching on
+      if (currentSection === 'cache') config.cache.enabled = true;
+      if (currentSection === 'cookie_jar') config.cookieJar.enabled = true;
+      if (currentSection === 'auth') config.sourceLines.auth = lineNo;
+      if (currentSection === 'recording') config.sourceLines.recording = lineNo;
+      if (currentSection === 'capture') {
+        config.capture.enabled = true;
+        config.sourceLines.capture = lineNo;
+      }
+      // Every [replace] section is one rule
+      if (currentSection === 'replace') {
+        config.replaceRules.push({
+          match: '', regex: false, flags: '', with: '', contentTypes: [], paths: [], side: 'response',
+        });
+        replaceLines.push(lineNo);
+      }
+      // …and every [route] section one routing rule
+      if (currentSection === 'route') {
+        config.routes.push({
+          name: '', methods: [], paths: [], pathRegex: '', headers: {}, action: '',
+          status: 0, location: '', file: '', body: '', contentType: '',
+          targetHost: '', targetPort: 0, targetProtocol: '',
+        });
+        routeLines.push({ line: lineNo, keys: new Map() });
+      }
+      continue;
+    }
+
+    if (currentSection === null) {
+      error(lineNo, 'setting outside of any [section]');
       continue;
     }
 
@@ -37,58 +268,657 @@ function parseConfFile(filePath) {
       const k = key.trim().toLowerCase();
       const v = rest.join('=').trim();
 
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [proxy], got "${line}"`);
+        continue;
+      }
+
+      if (config.sourceLines[k]) {
+        warn(lineNo, `${k} is set again (first set on line ${config.sourceLines[k]})`);
+      }
+      config.sourceLines[k] = lineNo;
+
       switch (k) {
         case 'name':
           config.name = v;
           break;
         case 'local_subdomain':
           config.localSubdomain = v;
+          if (v && !HOSTNAME.test(v)) error(lineNo, `local_subdomain "${v}" is not a valid hostname`);
           break;
         case 'target_host':
-          config.targetHost = v;
+          config.backends = parseBackends(v, lineNo, error);
+          config.targetHost = config.backends.length > 0 ? config.backends[0].host : '';
           break;
         case 'target_protocol':
           config.targetProtocol = v.replace(':', '');
+          if (!['http', 'https'].includes(config.targetProtocol)) {
+            error(lineNo, `target_protocol must be http or https, got "${v}"`);
+          }
           break;
         case 'target_port':
           config.targetPort = parseInt(v, 10);
+          if (!/^\d+$/.test(v) || config.targetPort < 1 || config.targetPort > 65535) {
+            error(lineNo, `target_port must be a number between 1 and 65535, got "${v}"`);
+          }
           break;
         case 'rewrite_content':
           config.rewriteContent = v.toLowerCase() === 'true' || v === '1';
+          checkBoolean(k, v, lineNo, error);
+          break;
+        case 'rewrite_mode':
+          config.rewriteMode = v.toLowerCase();
+          if (!REWRITE_MODES.includes(config.rewriteMode)) {
+            error(lineNo, `rewrite_mode must be ${REWRITE_MODES.join(' or ')}, got "${v}"`);
+          }
+          break;
+        case 'rewrite_data_attributes':
+          config.rewriteDataAttributes = v.toLowerCase() === 'true' || v === '1';
+          checkBoolean(k, v, lineNo, error);
+          break;
+        case 'inject_shim':
+          config.injectShim = v.toLowerCase() === 'true' || v === '1';
+          checkBoolean(k, v, lineNo, error);
           break;
         case 'inject_cookie':
           config.injectCookie = v;
           break;
+        case 'enabled':
+          config.enabled = v.toLowerCase() === 'true' || v === '1';
+          checkBoolean(k, v, lineNo, error);
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [proxy]`);
       }
     } else if (currentSection === 'rewrites') {
       const [key, ...rest] = line.split('=');
-      if (rest.length > 0) {
-        const externalHost = key.trim();
-        const localPathPrefix = rest.join('=').trim();
-
-        if (externalHost.startsWith('*.')) {
-          // Wildcard rewrite: *.google.com = /g
-          // Matches: anything.google.com, sub.anything.google.com, etc.
-          const rootDomain = externalHost.slice(2); // remove "*."
-          const escapedRoot = rootDomain.replace(/\./g, '\\.');
-          config.wildcardRewrites.push({
-            pattern: new RegExp(`^(.+)\\.${escapedRoot}$`),
-            rootDomain,
-            localPathPrefix,
-          });
-        } else {
-          config.rewrites.push({
-            externalHost,
-            localPathPrefix,
-          });
+      if (rest.length === 0) {
+        error(lineNo, `expected "host = /prefix" in [rewrites], got "${line}"`);
+        continue;
+      }
+
+      const externalHost = key.trim();
+      const localPathPrefix = rest.join('=').trim();
+
+      if (!localPathPrefix.startsWith('/')) {
+        error(lineNo, `rewrite prefix "${localPathPrefix}" must start with "/"`);
+      } else if (localPathPrefix === '/' || localPathPrefix.endsWith('/')) {
+        error(lineNo, `rewrite prefix "${localPathPrefix}" must not end with "/"`);
+      }
+
+      if (externalHost.startsWith('*.')) {
+        // Wildcard rewrite: *.google.com = /g
+        // Matches: anything.google.com, sub.anything.google.com, etc.
+        const rootDomain = externalHost.slice(2); // remove "*."
+        if (!HOSTNAME.test(rootDomain)) {
+          error(lineNo, `wildcard "${externalHost}" is not a valid *.domain pattern`);
         }
+        const escapedRoot = rootDomain.replace(/\./g, '\\.');
+        config.wildcardRewrites.push({
+          pattern: new RegExp(`^(.+)\\.${escapedRoot}$`),
+          rootDomain,
+          localPathPrefix,
+        });
+        prefixes.push({ prefix: localPathPrefix, wildcard: true, line: lineNo });
+      } else {
+        if (!HOSTNAME.test(externalHost)) {
+          error(lineNo, `rewrite host "${externalHost}" is not a valid hostname`);
+        }
+        config.rewrites.push({
+          externalHost,
+          localPathPrefix,
+        });
+        prefixes.push({ prefix: localPathPrefix, wildcard: false, line: lineNo });
       }
     } else if (currentSection === 'headers.remove') {
+      if (!HEADER_NAME.test(line)) error(lineNo, `"${line}" is not a valid header name`);
       config.headersRemove.push(line.toLowerCase());
     } else if (currentSection === 'headers.add') {
       const [key, ...rest] = line.split('=');
-      if (rest.length > 0) {
-        config.headersAdd[key.trim().toLowerCase()] = rest.join('=').trim();
+      if (rest.length === 0) {
+        error(lineNo, `expected "header = value" in [headers.add], got "${line}"`);
+        continue;
+      }
+      if (!HEADER_NAME.test(key.trim())) error(lineNo, `"${key.trim()}" is not a valid header name`);
+      config.headersAdd[key.trim().toLowerCase()] = rest.join('=').trim();
+    } else if (currentSection === 'cache') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [cache], got "${line}"`);
+        continue;
+      }
+
+      switch (k) {
+        case 'enabled':
+          config.cache.enabled = v.toLowerCase() === 'true' || v === '1';
+          checkBoolean(k, v, lineNo, error);
+          break;
+        case 'memory_size':
+        case 'disk_size':
+        case 'max_object_size': {
+          const bytes = parseSize(v);
+          if (bytes === null) {
+            error(lineNo, `${k} must be a size like 512KB, 64MB or 1GB, got "${v}"`);
+          } else {
+            config.cache[{ memory_size: 'memorySize', disk_size: 'diskSize', max_object_size: 'maxObjectSize' }[k]] = bytes;
+          }
+          break;
+        }
+        case 'disk_dir':
+          config.cache.diskDir = v;
+          break;
+        case 'stale_if_error':
+          config.cache.staleIfError = parseInt(v, 10);
+          if (!/^\d+$/.test(v)) error(lineNo, `stale_if_error must be a number of seconds, got "${v}"`);
+          break;
+        case 'hosts':
+          config.cache.hosts = v.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+          for (const host of config.cache.hosts) {
+            if (!HOSTNAME.test(host.startsWith('*.') ? host.slice(2) : host)) {
+              error(lineNo, `cache host "${host}" is not a valid hostname or *.domain pattern`);
+            }
+          }
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [cache]`);
+      }
+    } else if (currentSection === 'cookie_jar') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [cookie_jar], got "${line}"`);
+        continue;
+      }
+
+      switch (k) {
+        case 'enabled':
+          config.cookieJar.enabled = v.toLowerCase() === 'true' || v === '1';
+          checkBoolean(k, v, lineNo, error);
+          break;
+        case 'session_cookie':
+          config.cookieJar.sessionCookie = v;
+          if (!HEADER_NAME.test(v)) error(lineNo, `session_cookie "${v}" is not a valid cookie name`);
+          break;
+        case 'session_ttl': {
+          const ms = parseDuration(v);
+          if (!ms) {
+            error(lineNo, `session_ttl must be a duration like 12h or 7d, got "${v}"`);
+          } else {
+            config.cookieJar.sessionTtlMs = ms;
+          }
+          break;
+        }
+        case 'dir':
+          config.cookieJar.dir = v;
+          break;
+        case 'max_sessions':
+          config.cookieJar.maxSessions = parseInt(v, 10);
+          if (!/^[1-9]\d*$/.test(v)) error(lineNo, `max_sessions must be a positive whole number, got "${v}"`);
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [cookie_jar]`);
+      }
+    } else if (currentSection === 'auth') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [auth], got "${line}"`);
+        continue;
+      }
+      config.sourceLines[`auth.${k}`] = lineNo;
+
+      if (AUTH_STRING_KEYS[k]) {
+        config.auth[AUTH_STRING_KEYS[k]] = v;
+        continue;
+      }
+
+      switch (k) {
+        case 'type':
+          config.auth.type = v.toLowerCase();
+          if (!AUTH_TYPES.includes(config.auth.type)) {
+            error(lineNo, `type must be one of ${AUTH_TYPES.join(', ')}, got "${v}"`);
+          }
+          break;
+        case 'allow':
+        case 'deny':
+          config.auth[k] = v.split(',').map(a => a.trim()).filter(Boolean);
+          for (const address of config.auth[k]) {
+            if (!isAddressRange(address)) error(lineNo, `"${address}" is not an IP address or CIDR range`);
+          }
+          break;
+        case 'users':
+          config.auth.users = v.split(',').map(u => u.trim()).filter(Boolean);
+          break;
+        case 'cookie':
+          config.auth.cookie = v;
+          if (!HEADER_NAME.test(v)) error(lineNo, `cookie "${v}" is not a valid cookie name`);
+          break;
+        case 'session_ttl': {
+          const ms = parseDuration(v);
+          if (!ms) {
+            error(lineNo, `session_ttl must be a duration like 12h or 7d, got "${v}"`);
+          } else {
+            config.auth.sessionTtlMs = ms;
+          }
+          break;
+        }
+        case 'oidc_issuer':
+          config.auth.oidcIssuer = v.replace(/\/+$/, '');
+          if (!/^https?:\/\/[^/?#]+/i.test(v) || !URL.canParse(v)) {
+            error(lineNo, `oidc_issuer must be an http:// or https:// URL, got "${v}"`);
+          }
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [auth]`);
+      }
+    } else if (currentSection === 'capture') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [capture], got "${line}"`);
+        continue;
+      }
+
+      switch (k) {
+        case 'enabled':
+          config.capture.enabled = v.toLowerCase() === 'true' || v === '1';
+          checkBoolean(k, v, lineNo, error);
+          break;
+        case 'dir':
+          config.capture.dir = v;
+          break;
+        case 'max_size':
+        case 'max_body': {
+          const bytes = parseSize(v);
+          if (bytes === null || (k === 'max_size' && bytes === 0)) {
+            error(lineNo, `${k} must be a size like 512KB, 64MB or 1GB, got "${v}"`);
+          } else {
+            config.capture[k === 'max_size' ? 'maxSize' : 'maxBody'] = bytes;
+          }
+          break;
+        }
+        case 'paths':
+          config.capture.paths = v.split(',').map(p => p.trim()).filter(Boolean);
+          for (const glob of config.capture.paths) {
+            if (!glob.startsWith('/') && !glob.startsWith('*')) {
+              error(lineNo, `path "${glob}" must start with "/" or "*"`);
+            }
+          }
+          break;
+        case 'redact_headers':
+          config.capture.redactHeaders = v.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+          for (const name of config.capture.redactHeaders) {
+            if (!HEADER_NAME.test(name)) error(lineNo, `"${name}" is not a valid header name`);
+          }
+          break;
+        case 'redact_cookies':
+          config.capture.redactCookies = v.split(',').map(c => c.trim()).filter(Boolean);
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [capture]`);
+      }
+    } else if (currentSection === 'recording') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [recording], got "${line}"`);
+        continue;
+      }
+
+      switch (k) {
+        case 'mode':
+          config.recording.mode = v.toLowerCase();
+          if (!RECORDING_MODES.includes(config.recording.mode)) {
+            error(lineNo, `mode must be one of ${RECORDING_MODES.join(', ')}, got "${v}"`);
+          }
+          break;
+        case 'dir':
+          config.recording.dir = v;
+          break;
+        case 'key_headers':
+          config.recording.keyHeaders = v.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+          for (const name of config.recording.keyHeaders) {
+            if (!HEADER_NAME.test(name)) error(lineNo, `"${name}" is not a valid header name`);
+          }
+          break;
+        case 'ignore_params':
+          config.recording.ignoreParams = v.split(',').map(p => p.trim()).filter(Boolean);
+          break;
+        case 'miss_status':
+          config.recording.missStatus = parseInt(v, 10);
+          if (!/^\d+$/.test(v) || config.recording.missStatus < 200 || config.recording.missStatus > 599) {
+            error(lineNo, `miss_status must be an HTTP status code, got "${v}"`);
+          }
+          break;
+        case 'miss_body':
+          config.recording.missBody = unquote(v);
+          break;
+        case 'miss_content_type':
+          config.recording.missContentType = v;
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [recording]`);
+      }
+    } else if (currentSection === 'upstream') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [upstream], got "${line}"`);
+        continue;
+      }
+
+      if (k === 'proxy') {
+        config.upstream.proxy = v.toLowerCase() === 'direct' ? 'direct' : v;
+        if (config.upstream.proxy !== 'direct' && !isProxyUrl(v)) {
+          error(lineNo, `proxy must be an http://, https:// or socks5:// URL or "direct", got "${v}"`);
+        }
+        continue;
+      }
+      if (k === 'no_proxy') {
+        config.upstream.noProxy = v.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+        continue;
+      }
+
+      const spec = UPSTREAM_KEYS[k];
+      if (!spec) {
+        warn(lineNo, `unknown key "${k}" in [upstream]`);
+        continue;
+      }
+
+      const value = spec.type === 'duration'
+        ? parseDuration(v)
+        : (/^\d+$/.test(v) ? parseInt(v, 10) : null);
+
+      if (value === null) {
+        error(lineNo, spec.type === 'duration'
+          ? `${k} must be a duration like 500ms, 10s or 2m, got "${v}"`
+          : `${k} must be a whole number, got "${v}"`);
+      } else {
+        config.upstream[spec.field] = value;
+      }
+    } else if (currentSection === 'balance') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [balance], got "${line}"`);
+        continue;
+      }
+      config.sourceLines[`balance.${k}`] = lineNo;
+
+      if (k === 'strategy') {
+        config.balance.strategy = v.toLowerCase();
+        if (!BALANCE_STRATEGIES.includes(config.balance.strategy)) {
+          error(lineNo, `strategy must be one of ${BALANCE_STRATEGIES.join(', ')}, got "${v}"`);
+        }
+        continue;
+      }
+      if (k === 'hash_cookie') {
+        config.balance.hashCookie = v;
+        continue;
+      }
+      if (k === 'health_check_path') {
+        config.balance.healthCheckPath = v;
+        if (!v.startsWith('/')) error(lineNo, `health_check_path must start with "/", got "${v}"`);
+        continue;
+      }
+
+      const spec = BALANCE_KEYS[k];
+      if (!spec) {
+        warn(lineNo, `unknown key "${k}" in [balance]`);
+        continue;
+      }
+
+      const value = spec.type === 'duration'
+        ? parseDuration(v)
+        : (/^\d+$/.test(v) ? parseInt(v, 10) : null);
+
+      if (value === null) {
+        error(lineNo, spec.type === 'duration'
+          ? `${k} must be a duration like 500ms, 10s or 2m, got "${v}"`
+          : `${k} must be a whole number, got "${v}"`);
+      } else {
+        config.balance[spec.field] = value;
+      }
+    } else if (currentSection === 'replace') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+      const rule = config.replaceRules[config.replaceRules.length - 1];
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [replace], got "${line}"`);
+        continue;
+      }
+
+      switch (k) {
+        case 'match': {
+          const regex = v.match(/^\/(.+)\/([a-z]*)$/s);
+          if (regex) {
+            rule.regex = true;
+            rule.match = regex[1];
+            rule.flags = regex[2].replace('g', '');
+            try {
+              if (!REGEX_FLAGS.test(regex[2])) throw new Error(`unsupported flags "${regex[2]}"`);
+              new RegExp(rule.match, rule.flags);
+            } catch (err) {
+              error(lineNo, `match ${v} is not a valid regular expression: ${err.message}`);
+            }
+          } else {
+            rule.regex = false;
+            rule.match = unquote(v);
+          }
+          break;
+        }
+        case 'with':
+          rule.with = unquote(v);
+          break;
+        case 'content_types':
+          rule.contentTypes = v.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+          for (const type of rule.contentTypes) {
+            if (!/^[a-z0-9!#$&^_.+-]+\/(\*|[a-z0-9!#$&^_.+-]+)$/.test(type)) {
+              error(lineNo, `content type "${type}" must look like text/html or text/*`);
+            }
+          }
+          break;
+        case 'paths':
+          rule.paths = v.split(',').map(p => p.trim()).filter(Boolean);
+          for (const glob of rule.paths) {
+            if (!glob.startsWith('/') && !glob.startsWith('*')) {
+              error(lineNo, `path "${glob}" must start with "/" or "*"`);
+            }
+          }
+          break;
+        case 'side':
+          rule.side = v.toLowerCase();
+          if (!REPLACE_SIDES.includes(rule.side)) {
+            error(lineNo, `side must be response, request or both, got "${v}"`);
+          }
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [replace]`);
+      }
+    } else if (currentSection === 'route') {
+      const [key, ...rest] = line.split('=');
+      const k = key.trim().toLowerCase();
+      const v = rest.join('=').trim();
+      const route = config.routes[config.routes.length - 1];
+
+      if (rest.length === 0) {
+        error(lineNo, `expected "key = value" in [route], got "${line}"`);
+        continue;
+      }
+      routeLines[routeLines.length - 1].keys.set(k, lineNo);
+
+      if (k.startsWith('header.')) {
+        const name = k.slice('header.'.length);
+        if (!HEADER_NAME.test(name)) error(lineNo, `"${name}" is not a valid header name`);
+        route.headers[name] = v;
+        continue;
+      }
+
+      switch (k) {
+        case 'name':
+          route.name = v;
+          break;
+        case 'methods':
+          route.methods = v.split(',').map(m => m.trim().toUpperCase()).filter(Boolean);
+          for (const method of route.methods) {
+            if (!HEADER_NAME.test(method)) error(lineNo, `"${method}" is not a valid method`);
+          }
+          break;
+        case 'paths':
+          route.paths = v.split(',').map(p => p.trim()).filter(Boolean);
+          for (const glob of route.paths) {
+            if (!glob.startsWith('/') && !glob.startsWith('*')) {
+              error(lineNo, `path "${glob}" must start with "/" or "*"`);
+            }
+          }
+          break;
+        case 'path_regex':
+          route.pathRegex = v;
+          try {
+            new RegExp(v);
+          } catch (err) {
+            error(lineNo, `path_regex is not a valid regular expression: ${err.message}`);
+          }
+          break;
+        case 'action':
+          route.action = v.toLowerCase();
+          if (!ROUTE_ACTIONS[route.action]) {
+            error(lineNo, `action must be one of ${Object.keys(ROUTE_ACTIONS).join(', ')}, got "${v}"`);
+          }
+          break;
+        case 'status':
+          route.status = parseInt(v, 10);
+          if (!/^\d+$/.test(v) || route.status < 100 || route.status > 599) {
+            error(lineNo, `status must be an HTTP status code, got "${v}"`);
+          }
+          break;
+        case 'location':
+          route.location = v;
+          break;
+        case 'file':
+          route.file = v;
+          break;
+        case 'body':
+          route.body = unquote(v);
+          break;
+        case 'content_type':
+          route.contentType = v;
+          break;
+        case 'target_host':
+          route.targetHost = v;
+          if (!HOSTNAME.test(v)) error(lineNo, `target_host "${v}" is not a valid hostname`);
+          break;
+        case 'target_port':
+          route.targetPort = parseInt(v, 10);
+          if (!/^\d+$/.test(v) || route.targetPort < 1 || route.targetPort > 65535) {
+            error(lineNo, `target_port must be a number between 1 and 65535, got "${v}"`);
+          }
+          break;
+        case 'target_protocol':
+          route.targetProtocol = v.replace(':', '');
+          if (!['http', 'https'].includes(route.targetProtocol)) {
+            error(lineNo, `target_protocol must be http or https, got "${v}"`);
+          }
+          break;
+        default:
+          warn(lineNo, `unknown key "${k}" in [route]`);
+      }
+    }
+  }
+
+  // ── Whole-file checks ──
+  if (!config.localSubdomain) {
+    error(config.sourceLines.local_subdomain || 0, 'local_subdomain is required in [proxy]');
+  }
+  if (!config.targetHost) {
+    error(config.sourceLines.target_host || 0, 'target_host is required in [proxy]');
+  }
+
+  if (config.balance.strategy === 'cookie_hash' && !config.balance.hashCookie) {
+    error(config.sourceLines['balance.strategy'], 'strategy = cookie_hash needs hash_cookie');
+  }
+
+  const { auth } = config;
+  if ((auth.type === 'basic' || auth.type === 'login') && !auth.htpasswd) {
+    error(config.sourceLines['auth.type'], `type = ${auth.type} needs htpasswd`);
+  }
+  if (auth.type === 'oidc') {
+    for (const key of ['oidc_issuer', 'oidc_client_id']) {
+      if (!config.sourceLines[`auth.${key}`]) error(config.sourceLines['auth.type'], `type = oidc needs ${key}`);
+    }
+  }
+  if (config.sourceLines.auth && !auth.type && auth.allow.length === 0 && auth.deny.length === 0) {
+    warn(config.sourceLines.auth, '[auth] without type, allow or deny has no effect');
+  }
+
+  if (config.sourceLines.recording && !config.recording.mode) {
+    error(config.sourceLines.recording, '[recording] needs mode');
+  }
+  if (config.recording.mode && !config.recording.dir) {
+    error(config.sourceLines.recording, '[recording] needs dir');
+  }
+
+  if (config.capture.enabled && !config.capture.dir) {
+    error(config.sourceLines.capture, '[capture] needs dir');
+  }
+
+  config.replaceRules.forEach((rule, i) => {
+    if (!rule.match) error(replaceLines[i], '[replace] needs a non-empty match');
+  });
+
+  config.routes.forEach((route, i) => {
+    const { line, keys } = routeLines[i];
+    const used = ROUTE_ACTIONS[route.action];
+
+    if (!route.action) {
+      error(line, '[route] needs an action');
+      return;
+    }
+    if (!used) return;
+
+    const required = { redirect: 'location', file: 'file', upstream: 'target_host' }[route.action];
+    if (required && !keys.has(required)) {
+      error(line, `[route] with action = ${route.action} needs ${required}`);
+    }
+    if (route.action === 'redirect' && route.status && (route.status < 300 || route.status > 399)) {
+      error(keys.get('status'), `a redirect status must be 3xx, got ${route.status}`);
+    }
+    for (const [key, keyLine] of keys) {
+      if (ROUTE_ACTION_KEYS.has(key) && !used.includes(key)) {
+        warn(keyLine, `${key} is ignored with action = ${route.action}`);
+      }
+    }
+
+    route.status = route.status || ROUTE_DEFAULT_STATUS[route.action] || 0;
+  });
+
+  // The shim's <script> tag is added by the body rewriter
+  if (config.injectShim && !config.rewriteContent) {
+    warn(config.sourceLines.inject_shim, 'inject_shim has no effect while rewrite_content is false');
+  }
+
+  for (let i = 0; i < prefixes.length; i++) {
+    for (let j = 0; j < i; j++) {
+      const reason = prefixOverlap(prefixes[j], prefixes[i]);
+      if (reason) {
+        error(prefixes[i].line, `rewrite prefix "${prefixes[i].prefix}" ${reason} "${prefixes[j].prefix}" (line ${prefixes[j].line})`);
       }
     }
   }
@@ -96,35 +926,510 @@ function parseConfFile(filePath) {
   return config;
 }
 
-function loadAllConfigs(confDir) {
-  const configs = [];
+/**
+ * "a.example.com, b.example.com:8443 weight=3" → backends.
+ * A backend without a port uses target_port.
+ */
+function parseBackends(value, lineNo, error) {
+  const backends = [];
 
-  if (!fs.existsSync(confDir)) {
-    console.error(`[CONFIG] Config directory not found: ${confDir}`);
-    return configs;
+  for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [address, ...options] = entry.split(/\s+/);
+    const match = address.match(/^([^:]+)(?::(\d+))?$/);
+    const backend = { host: match ? match[1] : address, port: 0, weight: 1 };
+
+    if (!match || !HOSTNAME.test(backend.host)) {
+      error(lineNo, `target_host "${address}" is not a valid hostname`);
+    }
+    if (match && match[2]) {
+      backend.port = parseInt(match[2], 10);
+      if (backend.port < 1 || backend.port > 65535) {
+        error(lineNo, `port of "${address}" must be between 1 and 65535`);
+      }
+    }
+    for (const option of options) {
+      const weight = option.match(/^weight=(\d+)$/i);
+      if (weight && parseInt(weight[1], 10) > 0) {
+        backend.weight = parseInt(weight[1], 10);
+      } else {
+        error(lineNo, `unknown backend option "${option}" (expected weight=N with N > 0)`);
+      }
+    }
+
+    backends.push(backend);
   }
 
-  const files = fs.readdirSync(confDir).filter(f => f.endsWith('.conf'));
+  return backends;
+}
 
-  if (files.length === 0) {
-    console.warn(`[CONFIG] No .conf files found in ${confDir}`);
-    return configs;
+function formatBackends(config) {
+  // A target_host changed without updating backends (e.g. through
+  // the admin API) replaces them
+  const backends = config.backends && config.backends.length > 0 &&
+    config.backends[0].host === config.targetHost
+    ? config.backends
+    : [{ host: config.targetHost, port: 0, weight: 1 }];
+
+  return backends.map(b =>
+    `${b.host}${b.port ? `:${b.port}` : ''}${b.weight !== 1 ? ` weight=${b.weight}` : ''}`
+  ).join(', ');
+}
+
+// "10.0.0.0/8", "192.168.1.5", "fd00::/8"
+function isAddressRange(value) {
+  const [address, bits, ...rest] = value.split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return false;
+  if (bits === undefined) return true;
+  return /^\d+$/.test(bits) && parseInt(bits, 10) <= (version === 4 ? 32 : 128);
+}
+
+function isProxyUrl(value) {
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+    return PROXY_SCHEMES.includes(url.protocol) && Boolean(url.hostname) && url.pathname.length <= 1;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * "64MB" → bytes. Plain numbers are bytes; returns null if invalid.
+ */
+function parseSize(value) {
+  const match = value.trim().toLowerCase().match(/^(\d+)\s*(b|kb|mb|gb)?$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * SIZE_UNITS[match[2] || 'b'];
+}
+
+/**
+ * "10s" → milliseconds. Plain numbers are seconds; returns null if invalid.
+ */
+function parseDuration(value) {
+  const match = value.trim().toLowerCase().match(/^(\d+)\s*(ms|s|m|h|d)?$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'];
+}
+
+function formatDuration(ms) {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (ms >= DURATION_UNITS[unit] && ms % DURATION_UNITS[unit] === 0) {
+      return `${ms / DURATION_UNITS[unit]}${unit}`;
+    }
+  }
+  return `${ms}ms`;
+}
+
+function formatSize(bytes) {
+  for (const unit of ['gb', 'mb', 'kb']) {
+    if (bytes >= SIZE_UNITS[unit] && bytes % SIZE_UNITS[unit] === 0) {
+      return `${bytes / SIZE_UNITS[unit]}${unit.toUpperCase()}`;
+    }
+  }
+  return String(bytes);
+}
+
+/**
+ * A value that is a valid JSON string ("…") is unquoted, so it
+ * can keep surrounding spaces, be empty or contain \n. Anything
+ * else (e.g. `"key":"value"`) is taken as written.
+ */
+function unquote(value) {
+  if (!value.startsWith('"')) return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (typeof parsed === 'string') return parsed;
+  } catch (err) {
+    // not a quoted string
+  }
+  return value;
+}
+
+/**
+ * Inverse of unquote(): quote a value only when it wouldn't
+ * read back the same.
+ */
+function quote(value, { regexLike = false } = {}) {
+  const needsQuotes = value === '' || value !== value.trim() || value.startsWith('"') ||
+    /[\r\n]/.test(value) || (regexLike && value.startsWith('/'));
+  return needsQuotes ? JSON.stringify(value) : value;
+}
+
+function checkBoolean(key, value, lineNo, error) {
+  if (!BOOLEAN_VALUES.includes(value.toLowerCase())) {
+    error(lineNo, `${key} must be true or false, got "${value}"`);
+  }
+}
+
+/**
+ * Explain how two rewrite prefixes collide, or return null.
+ * Explicit prefixes match `/p` and `/p/...`; wildcard prefixes
+ * match `/p--sub/...`.
+ */
+function prefixOverlap(a, b) {
+  if (a.prefix === b.prefix) {
+    return a.wildcard === b.wildcard ? 'duplicates' : null;
+  }
+
+  const covers = (outer, inner) => outer.wildcard
+    ? inner.prefix.startsWith(outer.prefix + '--')
+    : inner.prefix.startsWith(outer.prefix + '/');
+
+  if (covers(a, b)) return 'is shadowed by';
+  if (covers(b, a)) return 'shadows';
+  return null;
+}
+
+/**
+ * Report sites in different files that claim the same
+ * local_subdomain. The first file (by name) keeps it.
+ * @param {{ file: string, config: object }[]} entries
+ */
+function findDuplicateSubdomains(entries) {
+  const problems = [];
+  const owners = new Map();
+
+  for (const { file, config } of entries) {
+    if (!config.localSubdomain) continue;
+
+    const owner = owners.get(config.localSubdomain);
+    if (owner) {
+      problems.push({
+        file,
+        line: config.sourceLines.local_subdomain || 0,
+        severity: 'error',
+        message: `local_subdomain "${config.localSubdomain}" is already used by ${owner}`,
+      });
+    } else {
+      owners.set(config.localSubdomain, file);
+    }
   }
 
-  for (const file of files) {
+  return problems;
+}
+
+/**
+ * Parse and validate every .conf file in a directory.
+ * @returns {{ entries: { file: string, config: object, problems: object[] }[], problems: object[] }}
+ */
+function checkConfigDir(confDir) {
+  if (!fs.existsSync(confDir)) {
+    return {
+      entries: [],
+      problems: [{ file: confDir, line: 0, severity: 'error', message: 'config directory not found' }],
+    };
+  }
+
+  const files = fs.readdirSync(confDir).filter(f => f.endsWith('.conf')).sort();
+  const entries = [];
+  const problems = [];
+
+  for (const name of files) {
+    const file = path.join(confDir, name);
+    const fileProblems = [];
     try {
-      const config = parseConfFile(path.join(confDir, file));
-      configs.push(config);
-      console.log(`[CONFIG] Loaded: ${file} -> ${config.localSubdomain} => ${config.targetHost}`);
-      if (config.wildcardRewrites.length > 0) {
-        console.log(`[CONFIG]   Wildcards: ${config.wildcardRewrites.map(w => '*.' + w.rootDomain).join(', ')}`);
-      }
+      const config = parseConfFile(file, fileProblems);
+      entries.push({ file, config, problems: fileProblems });
     } catch (err) {
-      console.error(`[CONFIG] Failed to parse ${file}: ${err.message}`);
+      fileProblems.push({ file, line: 0, severity: 'error', message: err.message });
+    }
+    problems.push(...fileProblems.sort((a, b) => a.line - b.line));
+  }
+
+  const usable = entries.filter(e => !hasErrors(e.problems));
+  problems.push(...findDuplicateSubdomains(usable));
+
+  return { entries, problems };
+}
+
+function hasErrors(problems) {
+  return problems.some(p => p.severity === 'error');
+}
+
+/**
+ * "file:line: severity: message", in the style of compiler output.
+ */
+function formatProblem({ file, line, severity, message }) {
+  return `${file}${line ? `:${line}` : ''}: ${severity}: ${message}`;
+}
+
+function loadAllConfigs(confDir) {
+  const { entries, problems } = checkConfigDir(confDir);
+
+  if (entries.length === 0 && problems.length === 0) {
+    console.warn(`[CONFIG] No .conf files found in ${confDir}`);
+  }
+
+  for (const problem of problems) {
+    const log = problem.severity === 'error' ? console.error : console.warn;
+    log(`[CONFIG] ${formatProblem(problem)}`);
+  }
+
+  const rejected = new Set(problems.filter(p => p.severity === 'error').map(p => p.file));
+  const configs = [];
+
+  for (const { file, config } of entries) {
+    if (rejected.has(file)) {
+      console.error(`[CONFIG] Skipped: ${path.basename(file)}`);
+      continue;
+    }
+    configs.push(config);
+    console.log(`[CONFIG] Loaded: ${path.basename(file)} -> ${config.localSubdomain} => ${config.targetHost}`);
+    if (config.wildcardRewrites.length > 0) {
+      console.log(`[CONFIG]   Wildcards: ${config.wildcardRewrites.map(w => '*.' + w.rootDomain).join(', ')}`);
     }
   }
 
   return configs;
 }
 
-module.exports = { parseConfFile, loadAllConfigs };
\ No newline at end of file
+/**
+ * Serialize a site config back into .conf text. The inverse of
+ * parseConfText (comments and key order are not preserved).
+ */
+function serializeConfig(config) {
+  const lines = [
+    `# Generated by proxy-mirror`,
+    '',
+    '[proxy]',
+    `name = ${config.name}`,
+    `local_subdomain = ${config.localSubdomain}`,
+    `target_host = ${formatBackends(config)}`,
+    `target_protocol = ${config.targetProtocol}`,
+    `target_port = ${config.targetPort}`,
+    `rewrite_content = ${config.rewriteContent ? 'true' : 'false'}`,
+  ];
+
+  if (config.rewriteMode && config.rewriteMode !== 'text') {
+    lines.push(`rewrite_mode = ${config.rewriteMode}`);
+  }
+  if (config.rewriteDataAttributes) {
+    lines.push('rewrite_data_attributes = true');
+  }
+  if (config.injectShim) {
+    lines.push('inject_shim = true');
+  }
+  if (config.injectCookie) {
+    lines.push(`inject_cookie = ${config.injectCookie}`);
+  }
+  if (config.enabled === false) {
+    lines.push('enabled = false');
+  }
+
+  const rewrites = [
+    ...config.rewrites.map(rw => `${rw.externalHost} = ${rw.localPathPrefix}`),
+    ...config.wildcardRewrites.map(wc => `*.${wc.rootDomain} = ${wc.localPathPrefix}`),
+  ];
+  if (rewrites.length > 0) {
+    lines.push('', '[rewrites]', ...rewrites);
+  }
+
+  if (config.headersRemove.length > 0) {
+    lines.push('', '[headers.remove]', ...config.headersRemove);
+  }
+
+  const added = Object.entries(config.headersAdd);
+  if (added.length > 0) {
+    lines.push('', '[headers.add]', ...added.map(([k, v]) => `${k} = ${v}`));
+  }
+
+  const cache = { ...CACHE_DEFAULTS, ...config.cache };
+  if (JSON.stringify(cache) !== JSON.stringify(CACHE_DEFAULTS)) {
+    lines.push(
+      '', '[cache]',
+      `enabled = ${cache.enabled ? 'true' : 'false'}`,
+      `memory_size = ${formatSize(cache.memorySize)}`,
+      `max_object_size = ${formatSize(cache.maxObjectSize)}`,
+      `stale_if_error = ${cache.staleIfError}`
+    );
+    if (cache.diskDir) {
+      lines.push(`disk_dir = ${cache.diskDir}`, `disk_size = ${formatSize(cache.diskSize)}`);
+    }
+    if (cache.hosts.length > 0) {
+      lines.push(`hosts = ${cache.hosts.join(', ')}`);
+    }
+  }
+
+  const upstream = { ...UPSTREAM_DEFAULTS, ...config.upstream };
+  const upstreamLines = Object.entries(UPSTREAM_KEYS)
+    .filter(([, spec]) => upstream[spec.field] !== UPSTREAM_DEFAULTS[spec.field])
+    .map(([key, spec]) =>
+      `${key} = ${spec.type === 'duration' ? formatDuration(upstream[spec.field]) : upstream[spec.field]}`
+    );
+  if (upstream.proxy) upstreamLines.push(`proxy = ${upstream.proxy}`);
+  if (upstream.noProxy.length > 0) upstreamLines.push(`no_proxy = ${upstream.noProxy.join(', ')}`);
+  if (upstreamLines.length > 0) {
+    lines.push('', '[upstream]', ...upstreamLines);
+  }
+
+  const balance = { ...BALANCE_DEFAULTS, ...config.balance };
+  const balanceLines = [];
+  if (balance.strategy !== BALANCE_DEFAULTS.strategy) balanceLines.push(`strategy = ${balance.strategy}`);
+  if (balance.hashCookie) balanceLines.push(`hash_cookie = ${balance.hashCookie}`);
+  if (balance.healthCheckPath) balanceLines.push(`health_check_path = ${balance.healthCheckPath}`);
+  for (const [key, spec] of Object.entries(BALANCE_KEYS)) {
+    if (balance[spec.field] !== BALANCE_DEFAULTS[spec.field]) {
+      balanceLines.push(`${key} = ${spec.type === 'duration' ? formatDuration(balance[spec.field]) : balance[spec.field]}`);
+    }
+  }
+  if (balanceLines.length > 0) {
+    lines.push('', '[balance]', ...balanceLines);
+  }
+
+  const jar = { ...COOKIE_JAR_DEFAULTS, ...config.cookieJar };
+  if (JSON.stringify(jar) !== JSON.stringify(COOKIE_JAR_DEFAULTS)) {
+    lines.push('', '[cookie_jar]', `enabled = ${jar.enabled ? 'true' : 'false'}`);
+    if (jar.sessionCookie !== COOKIE_JAR_DEFAULTS.sessionCookie) lines.push(`session_cookie = ${jar.sessionCookie}`);
+    if (jar.sessionTtlMs !== COOKIE_JAR_DEFAULTS.sessionTtlMs) lines.push(`session_ttl = ${formatDuration(jar.sessionTtlMs)}`);
+    if (jar.dir) lines.push(`dir = ${jar.dir}`);
+    if (jar.maxSessions !== COOKIE_JAR_DEFAULTS.maxSessions) lines.push(`max_sessions = ${jar.maxSessions}`);
+  }
+
+  const auth = { ...AUTH_DEFAULTS, ...config.auth };
+  if (JSON.stringify(auth) !== JSON.stringify(AUTH_DEFAULTS)) {
+    lines.push('', '[auth]');
+    if (auth.type) lines.push(`type = ${auth.type}`);
+    if (auth.allow.length > 0) lines.push(`allow = ${auth.allow.join(', ')}`);
+    if (auth.deny.length > 0) lines.push(`deny = ${auth.deny.join(', ')}`);
+    if (auth.users.length > 0) lines.push(`users = ${auth.users.join(', ')}`);
+    if (auth.cookie !== AUTH_DEFAULTS.cookie) lines.push(`cookie = ${auth.cookie}`);
+    if (auth.sessionTtlMs !== AUTH_DEFAULTS.sessionTtlMs) lines.push(`session_ttl = ${formatDuration(auth.sessionTtlMs)}`);
+    if (auth.oidcIssuer) lines.push(`oidc_issuer = ${auth.oidcIssuer}`);
+    for (const [key, field] of Object.entries(AUTH_STRING_KEYS)) {
+      if (auth[field] !== AUTH_DEFAULTS[field]) lines.push(`${key} = ${auth[field]}`);
+    }
+  }
+
+  const capture = { ...CAPTURE_DEFAULTS, ...config.capture };
+  if (JSON.stringify(capture) !== JSON.stringify(CAPTURE_DEFAULTS)) {
+    lines.push('', '[capture]', `enabled = ${capture.enabled ? 'true' : 'false'}`);
+    if (capture.dir) lines.push(`dir = ${capture.dir}`);
+    if (capture.maxSize !== CAPTURE_DEFAULTS.maxSize) lines.push(`max_size = ${formatSize(capture.maxSize)}`);
+    if (capture.maxBody !== CAPTURE_DEFAULTS.maxBody) lines.push(`max_body = ${formatSize(capture.maxBody)}`);
+    if (capture.paths.length > 0) lines.push(`paths = ${capture.paths.join(', ')}`);
+    if (capture.redactHeaders.join() !== CAPTURE_DEFAULTS.redactHeaders.join()) {
+      lines.push(`redact_headers = ${capture.redactHeaders.join(', ')}`);
+    }
+    if (capture.redactCookies.length > 0) lines.push(`redact_cookies = ${capture.redactCookies.join(', ')}`);
+  }
+
+  const recording = { ...RECORDING_DEFAULTS, ...config.recording };
+  if (recording.mode) {
+    lines.push('', '[recording]', `mode = ${recording.mode}`, `dir = ${recording.dir}`);
+    if (recording.keyHeaders.length > 0) lines.push(`key_headers = ${recording.keyHeaders.join(', ')}`);
+    if (recording.ignoreParams.length > 0) lines.push(`ignore_params = ${recording.ignoreParams.join(', ')}`);
+    if (recording.missStatus !== RECORDING_DEFAULTS.missStatus) lines.push(`miss_status = ${recording.missStatus}`);
+    if (recording.missBody) lines.push(`miss_body = ${quote(recording.missBody)}`);
+    if (recording.missContentType) lines.push(`miss_content_type = ${recording.missContentType}`);
+  }
+
+  for (const rule of config.replaceRules) {
+    lines.push(
+      '', '[replace]',
+      `match = ${rule.regex ? `/${rule.match}/${rule.flags}` : quote(rule.match, { regexLike: true })}`,
+      `with = ${quote(rule.with)}`
+    );
+    if (rule.contentTypes.length > 0) lines.push(`content_types = ${rule.contentTypes.join(', ')}`);
+    if (rule.paths.length > 0) lines.push(`paths = ${rule.paths.join(', ')}`);
+    if (rule.side !== 'response') lines.push(`side = ${rule.side}`);
+  }
+
+  for (const route of config.routes) {
+    lines.push('', '[route]');
+    if (route.name) lines.push(`name = ${route.name}`);
+    if (route.methods.length > 0) lines.push(`methods = ${route.methods.join(', ')}`);
+    if (route.paths.length > 0) lines.push(`paths = ${route.paths.join(', ')}`);
+    if (route.pathRegex) lines.push(`path_regex = ${route.pathRegex}`);
+    for (const [name, value] of Object.entries(route.headers)) {
+      lines.push(`header.${name} = ${value}`);
+    }
+    lines.push(`action = ${route.action}`);
+    if (route.status && route.status !== ROUTE_DEFAULT_STATUS[route.action]) {
+      lines.push(`status = ${route.status}`);
+    }
+    if (route.location) lines.push(`location = ${route.location}`);
+    if (route.file) lines.push(`file = ${route.file}`);
+    if (route.body) lines.push(`body = ${quote(route.body)}`);
+    if (route.contentType) lines.push(`content_type = ${route.contentType}`);
+    if (route.targetHost) lines.push(`target_host = ${route.targetHost}`);
+    if (route.targetPort) lines.push(`target_port = ${route.targetPort}`);
+    if (route.targetProtocol) lines.push(`target_protocol = ${route.targetProtocol}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Plain-JSON view of a parsed config (drops compiled RegExps).
+ */
+function describeConfig(config) {
+  return {
+    name: config.name,
+    localSubdomain: config.localSubdomain,
+    targetHost: config.targetHost,
+    targetProtocol: config.targetProtocol,
+    targetPort: config.targetPort,
+    backends: config.backends.map(b => ({ ...b })),
+    rewrites: config.rewrites.map(rw => ({
+      externalHost: rw.externalHost,
+      localPathPrefix: rw.localPathPrefix,
+    })),
+    wildcardRewrites: config.wildcardRewrites.map(wc => ({
+      rootDomain: wc.rootDomain,
+      localPathPrefix: wc.localPathPrefix,
+    })),
+    headersRemove: [...config.headersRemove],
+    headersAdd: { ...config.headersAdd },
+    rewriteContent: config.rewriteContent,
+    rewriteMode: config.rewriteMode,
+    rewriteDataAttributes: config.rewriteDataAttributes,
+    injectShim: config.injectShim,
+    injectCookie: config.injectCookie,
+    enabled: config.enabled,
+    cache: { ...config.cache, hosts: [...config.cache.hosts] },
+    upstream: { ...config.upstream },
+    balance: { ...config.balance },
+    cookieJar: { ...config.cookieJar },
+    auth: {
+      ...config.auth,
+      allow: [...config.auth.allow],
+      deny: [...config.auth.deny],
+      users: [...config.auth.users],
+    },
+    capture: {
+      ...config.capture,
+      paths: [...config.capture.paths],
+      redactHeaders: [...config.capture.redactHeaders],
+      redactCookies: [...config.capture.redactCookies],
+    },
+    recording: {
+      ...config.recording,
+      keyHeaders: [...config.recording.keyHeaders],
+      ignoreParams: [...config.recording.ignoreParams],
+    },
+    replaceRules: config.replaceRules.map(rule => ({
+      ...rule,
+      contentTypes: [...rule.contentTypes],
+      paths: [...rule.paths],
+    })),
+    routes: config.routes.map(route => ({
+      ...route,
+      methods: [...route.methods],
+      paths: [...route.paths],
+      headers: { ...route.headers },
+    })),
+  };
+}
+
+module.exports = {
+  parseConfFile,
+  parseConfText,
+  loadAllConfigs,
+  checkConfigDir,
+  findDuplicateSubdomains,
+  hasErrors,
+  formatProblem,
+  serializeConfig,
+  describeConfig,
+  isAddressRange,
+};
\ No newline at end of file
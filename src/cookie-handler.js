@@ -1,8 +1,28 @@
 /**
- * Handles bidirectional cookie domain rewriting.
- * Only rewrites the domain= attribute. Everything else untouched.
+ * Handles bidirectional cookie rewriting.
+ *
+ * Set-Cookie from the upstream is adjusted so the browser keeps
+ * the cookie for the same URLs under the local origin:
+ *
+ *   - Domain is moved to the local subdomain
+ *   - Path gains the local prefix of the host that set it
+ *     (api.example.com = /api: Path=/v1 → Path=/api/v1)
+ *   - host-only cookies of [rewrites] and wildcard hosts are
+ *     renamed (session → api~session) so equally named cookies of
+ *     different hosts can't overwrite each other
+ *   - on sites served over plain HTTP, Secure is dropped,
+ *     SameSite=None becomes Lax, and __Host-/__Secure- names
+ *     (which browsers only accept over HTTPS) become __Host_/__Secure_
+ *
+ * The request Cookie header is mapped back: names are restored and
+ * a cookie renamed for one host is only sent to that host.
  */
 
+const COOKIE_PREFIX = /^__(Host|Secure)-/i;
+// Same prefixes as sent by the browser of a plain HTTP site
+const LOCAL_COOKIE_PREFIX = /^__(Host|Secure)_/i;
+const TAG_SEPARATOR = '~';
+
 function parseCookie(raw) {
   const parts = raw.split(';').map(p => p.trim());
   const nameValue = parts[0];
@@ -37,9 +57,12 @@ function serializeCookie({ nameValue, attributes }) {
 }
 
 function buildCookieHandler(siteConfig) {
+  const secureLocal = siteConfig.targetProtocol === 'https';
+
   // Collect ALL upstream domains — explicit + wildcard roots
   const upstreamDomains = [
     siteConfig.targetHost,
+    ...siteConfig.backends.map(b => b.host),
     ...siteConfig.rewrites.map(r => r.externalHost),
   ];
 
@@ -64,22 +87,106 @@ function buildCookieHandler(siteConfig) {
     }
   }
 
-  function rewriteSetCookies(setCookieHeaders) {
+  // Hosts served at the root of the local origin
+  const mainHosts = new Set([
+    siteConfig.targetHost,
+    ...siteConfig.backends.map(b => b.host),
+  ].map(h => h.toLowerCase()));
+
+  const rewriteTags = new Set(siteConfig.rewrites.map(rw => tagFor(rw.localPathPrefix)));
+  const wildcardTags = siteConfig.wildcardRewrites.map(wc => `${tagFor(wc.localPathPrefix)}--`);
+
+  /**
+   * Local path prefix an upstream host is served under; '' for
+   * the target host, its backends and hosts the site doesn't map.
+   */
+  function prefixFor(host) {
+    host = host.toLowerCase();
+    if (mainHosts.has(host)) return '';
+
+    const rw = siteConfig.rewrites.find(r => r.externalHost.toLowerCase() === host);
+    if (rw) return rw.localPathPrefix;
+
+    for (const wc of siteConfig.wildcardRewrites) {
+      const root = wc.rootDomain.toLowerCase();
+      if (host.endsWith(`.${root}`)) {
+        return `${wc.localPathPrefix}--${host.slice(0, -root.length - 1)}`;
+      }
+    }
+    return '';
+  }
+
+  function isTag(tag) {
+    return rewriteTags.has(tag) || wildcardTags.some(t => tag.startsWith(t) && tag.length > t.length);
+  }
+
+  /**
+   * Upstream cookie name → the name the browser keeps.
+   */
+  function localName(name, tag) {
+    const prefix = (COOKIE_PREFIX.exec(name) || [''])[0];
+    const base = name.slice(prefix.length);
+    const tagged = tag ? `${tag}${TAG_SEPARATOR}${base}` : base;
+    if (!prefix) return tagged;
+    return secureLocal ? `${prefix}${tagged}` : `${prefix.slice(0, -1)}_${tagged}`;
+  }
+
+  /**
+   * Name sent by the browser → { name, tag } for the upstream.
+   */
+  function upstreamName(name) {
+    let prefix = (COOKIE_PREFIX.exec(name) || [''])[0];
+    if (!prefix && !secureLocal) {
+      const local = LOCAL_COOKIE_PREFIX.exec(name);
+      if (local) prefix = local[0];
+    }
+    const base = name.slice(prefix.length);
+    const upstreamPrefix = prefix ? `${prefix.slice(0, -1)}-` : '';
+
+    const sep = base.indexOf(TAG_SEPARATOR);
+    if (sep > 0 && isTag(base.slice(0, sep))) {
+      return { name: `${upstreamPrefix}${base.slice(sep + 1)}`, tag: base.slice(0, sep) };
+    }
+    return { name: `${upstreamPrefix}${base}`, tag: '' };
+  }
+
+  /**
+   * Rewrite the Set-Cookie headers of a response from `upstream`
+   * (the host and path the request went to; the target host if
+   * omitted).
+   */
+  function rewriteSetCookies(setCookieHeaders, upstream) {
     if (!setCookieHeaders) return [];
 
     const cookies = Array.isArray(setCookieHeaders)
       ? setCookieHeaders
       : [setCookieHeaders];
 
+    const host = (upstream ? upstream.host : siteConfig.targetHost).toLowerCase();
+    const prefix = prefixFor(host);
+
     return cookies.map(raw => {
       const parsed = parseCookie(raw);
+      const eqIdx = parsed.nameValue.indexOf('=');
+      const name = eqIdx === -1 ? '' : parsed.nameValue.slice(0, eqIdx).trim();
+
+      const domain = typeof parsed.attributes.get('domain') === 'string'
+        ? parsed.attributes.get('domain').replace(/^\./, '').toLowerCase()
+        : '';
+      const hostOnly = !domain || domain === host;
+      // __Host- cookies must stay host-only with Path=/
+      const keepHostPrefix = secureLocal && /^__Host-/i.test(name);
 
-      if (parsed.attributes.has('domain')) {
-        const originalDomain = parsed.attributes.get('domain')
-          .replace(/^\./, '');
+      if (name) {
+        const tag = hostOnly && prefix ? tagFor(prefix) : '';
+        parsed.nameValue = `${localName(name, tag)}=${parsed.nameValue.slice(eqIdx + 1).trim()}`;
+      }
 
+      if (keepHostPrefix) {
+        parsed.attributes.delete('domain');
+      } else if (domain) {
         const matches = rootDomains.some(root =>
-          originalDomain === root || originalDomain.endsWith('.' + root)
+          domain === root || domain.endsWith('.' + root)
         );
 
         if (matches) {
@@ -89,18 +196,75 @@ function buildCookieHandler(siteConfig) {
         parsed.attributes.set('domain', siteConfig.localSubdomain);
       }
 
+      // Scope the cookie to the prefix its host is served under;
+      // domain cookies are shared with other hosts and keep their path
+      if (hostOnly && prefix && !keepHostPrefix) {
+        let cookiePath = parsed.attributes.get('path');
+        if (typeof cookiePath !== 'string' || !cookiePath.startsWith('/')) {
+          cookiePath = defaultPath(upstream ? upstream.path : '/');
+        }
+        parsed.attributes.set('path', cookiePath === '/' ? prefix : `${prefix}${cookiePath}`);
+      }
+
+      if (!secureLocal) {
+        parsed.attributes.delete('secure');
+        const sameSite = parsed.attributes.get('samesite');
+        if (typeof sameSite === 'string' && sameSite.toLowerCase() === 'none') {
+          parsed.attributes.set('samesite', 'Lax');
+        }
+      }
+
       return serializeCookie(parsed);
     });
   }
 
+  /**
+   * The browser's Cookie header as `upstream` should see it: names
+   * restored, cookies renamed for other hosts left out. Where a host
+   * has its own cookie and a shared one of the same name, its own
+   * wins. Returns '' if nothing is left.
+   */
+  function rewriteCookieHeader(header, upstream) {
+    if (!header) return '';
+
+    const tag = tagFor(prefixFor(upstream.host));
+    const pairs = header.split(';').map(p => p.trim()).filter(Boolean).map((pair) => {
+      const eqIdx = pair.indexOf('=');
+      if (eqIdx === -1) return { name: '', tag: '', raw: pair };
+      const { name, tag: cookieTag } = upstreamName(pair.slice(0, eqIdx).trim());
+      return { name, tag: cookieTag, raw: `${name}=${pair.slice(eqIdx + 1).trim()}` };
+    });
+
+    const own = new Set(pairs.filter(p => tag && p.tag === tag).map(p => p.name));
+
+    return pairs
+      .filter(p => (p.tag ? p.tag === tag : !own.has(p.name)))
+      .map(p => p.raw)
+      .join('; ');
+  }
+
   function getInjectCookies() {
     return siteConfig.injectCookie || '';
   }
 
   return {
     rewriteSetCookies,
+    rewriteCookieHeader,
     getInjectCookies,
   };
 }
 
-module.exports = { buildCookieHandler, parseCookie, serializeCookie };
\ No newline at end of file
+// "/api" → "api", "/g--lens" → "g--lens", "/static/v1" → "static_v1"
+function tagFor(prefix) {
+  return prefix.replace(/^\//, '').replace(/[^A-Za-z0-9.-]/g, '_');
+}
+
+// RFC 6265 §5.1.4: the request path up to its last "/"
+function defaultPath(requestPath) {
+  const p = (requestPath || '/').split('?')[0];
+  if (!p.startsWith('/')) return '/';
+  const last = p.lastIndexOf('/');
+  return last <= 0 ? '/' : p.slice(0, last);
+}
+
+module.exports = { buildCookieHandler, parseCookie, serializeCookie, defaultPath };
\ No newline at end of file
@@ -0,0 +1,448 @@
+/**
+ * Server-side cookie jars ([cookie_jar] sections).
+ *
+ * Instead of handing upstream cookies to the browser (rewritten to
+ * the local domain), the proxy keeps them per client session and
+ * sends them upstream itself, matching domain, path, expiry and
+ * Secure the way a browser would (RFC 6265 §5.3, §5.4) against the
+ * real upstream host — the target host, a [rewrites] host or one
+ * under a wildcard. The browser only holds the proxy's session
+ * cookie, issued when an upstream first sets a cookie.
+ *
+ * Cookies without HttpOnly are still passed to the browser too,
+ * so scripts that read them (CSRF tokens) keep working; the jar's
+ * copy wins when both are sent.
+ *
+ * With `dir` set, sessions are saved to <dir>/<local_subdomain>.json
+ * and survive restarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseCookie, defaultPath } = require('./cookie-handler');
+
+const SAVE_DEBOUNCE_MS = 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+// Per session, like a browser's per-domain limits
+const MAX_COOKIES = 300;
+const MAX_COOKIE_BYTES = 4096;
+
+class CookieJar {
+  /**
+   * @param {object} siteConfig
+   * @param {string} fingerprint - settings the jar was built from
+   */
+  constructor(siteConfig, fingerprint) {
+    this.name = siteConfig.name;
+    this.options = siteConfig.cookieJar;
+    this.secure = siteConfig.targetProtocol === 'https';
+    this.file = this.options.dir
+      ? path.join(this.options.dir, `${siteConfig.localSubdomain}.json`)
+      : '';
+    this.fingerprint = fingerprint;
+
+    // token (the client's cookie value) → session, least recently seen first
+    this.sessions = new Map();
+    // public id (admin API) → session
+    this.byId = new Map();
+
+    this.saveTimer = null;
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+
+    if (this.file) this.load();
+  }
+
+  /**
+   * The jar's side of one client request.
+   * @param {import('http').IncomingMessage} req
+   * @param {{ protocol: string, host: string, path: string }} upstream
+   */
+  forRequest(req, upstream) {
+    return new JarRequest(this, req, upstream);
+  }
+
+  /**
+   * Session the request's session cookie belongs to, if still valid.
+   */
+  find(req) {
+    const token = readCookie(req.headers.cookie, this.options.sessionCookie);
+    const session = token ? this.sessions.get(token) : null;
+    if (!session || this.isExpired(session)) return null;
+
+    // lastSeen is written out now and then, not on every request
+    if (Date.now() - session.lastSeen > PRUNE_INTERVAL_MS) this.scheduleSave();
+    session.lastSeen = Date.now();
+    // Most recently seen moves to the end
+    this.sessions.delete(token);
+    this.sessions.set(token, session);
+    return session;
+  }
+
+  create() {
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(8).toString('hex'),
+      token: crypto.randomBytes(32).toString('base64url'),
+      created: now,
+      lastSeen: now,
+      // When the client's session cookie was last (re)sent
+      cookieIssued: 0,
+      cookies: [],
+    };
+    this.sessions.set(session.token, session);
+    this.byId.set(session.id, session);
+
+    while (this.sessions.size > this.options.maxSessions) {
+      this.remove(this.sessions.values().next().value);
+    }
+    this.scheduleSave();
+    return session;
+  }
+
+  /**
+   * Store an upstream's Set-Cookie headers (RFC 6265 §5.3).
+   * @returns {object[]} the stored cookies that scripts may read
+   */
+  store(session, upstream, setCookieHeaders) {
+    const now = Date.now();
+    const visible = [];
+    session.cookies = session.cookies.filter(c => c.expires === null || c.expires > now);
+
+    for (const raw of setCookieHeaders) {
+      const cookie = parseSetCookie(raw, upstream, now);
+      if (!cookie) continue;
+
+      const index = session.cookies.findIndex(c =>
+        c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path
+      );
+      if (index !== -1) {
+        cookie.created = session.cookies[index].created;
+        session.cookies.splice(index, 1);
+      }
+
+      // Expires in the past: a deletion
+      if (cookie.expires !== null && cookie.expires <= now) continue;
+
+      session.cookies.push(cookie);
+      if (!cookie.httpOnly) visible.push(raw);
+    }
+
+    if (session.cookies.length > MAX_COOKIES) {
+      session.cookies.sort((a, b) => a.created - b.created);
+      session.cookies.splice(0, session.cookies.length - MAX_COOKIES);
+    }
+
+    this.scheduleSave();
+    return visible;
+  }
+
+  /**
+   * Stored cookies to send with a request to `upstream`
+   * (RFC 6265 §5.4), longest path first.
+   * @returns {object[]}
+   */
+  cookiesFor(session, upstream) {
+    const now = Date.now();
+    const host = upstream.host.toLowerCase();
+    const requestPath = (upstream.path || '/').split('?')[0] || '/';
+
+    return session.cookies
+      .filter(c =>
+        (c.expires === null || c.expires > now) &&
+        (c.hostOnly ? host === c.domain : domainMatches(host, c.domain)) &&
+        pathMatches(requestPath, c.path) &&
+        (!c.secure || upstream.protocol === 'https')
+      )
+      .sort((a, b) => b.path.length - a.path.length || a.created - b.created);
+  }
+
+  /**
+   * Set-Cookie for the client's session cookie, when it is new or
+   * its expiry needs pushing out; null otherwise.
+   */
+  sessionCookie(session) {
+    const ttl = this.options.sessionTtlMs;
+    if (session.cookieIssued && Date.now() - session.cookieIssued < ttl / 2) return null;
+
+    session.cookieIssued = Date.now();
+    this.scheduleSave();
+    return [
+      `${this.options.sessionCookie}=${session.token}`,
+      'Path=/',
+      `Max-Age=${Math.floor(ttl / 1000)}`,
+      'HttpOnly',
+      'SameSite=Lax',
+      ...(this.secure ? ['Secure'] : []),
+    ].join('; ');
+  }
+
+  isExpired(session) {
+    return Date.now() - session.lastSeen > this.options.sessionTtlMs;
+  }
+
+  // ── Admin ───────────────────────────────────────────────
+
+  /**
+   * Every live session, cookie values left out.
+   */
+  list() {
+    const now = Date.now();
+    return [...this.sessions.values()]
+      .filter(s => !this.isExpired(s))
+      .map(s => ({
+        id: s.id,
+        created: new Date(s.created).toISOString(),
+        lastSeen: new Date(s.lastSeen).toISOString(),
+        expires: new Date(s.lastSeen + this.options.sessionTtlMs).toISOString(),
+        cookies: s.cookies
+          .filter(c => c.expires === null || c.expires > now)
+          .map(c => ({
+            name: c.name,
+            domain: c.hostOnly ? c.domain : `.${c.domain}`,
+            path: c.path,
+            expires: c.expires === null ? null : new Date(c.expires).toISOString(),
+            secure: c.secure,
+            httpOnly: c.httpOnly,
+          })),
+      }));
+  }
+
+  /**
+   * End a session by its id; returns false if there is none.
+   */
+  revoke(id) {
+    const session = this.byId.get(id);
+    if (!session) return false;
+    this.remove(session);
+    this.scheduleSave();
+    return true;
+  }
+
+  revokeAll() {
+    const count = this.sessions.size;
+    this.sessions.clear();
+    this.byId.clear();
+    this.scheduleSave();
+    return count;
+  }
+
+  remove(session) {
+    this.sessions.delete(session.token);
+    this.byId.delete(session.id);
+  }
+
+  prune() {
+    let removed = 0;
+    for (const session of this.sessions.values()) {
+      if (this.isExpired(session)) {
+        this.remove(session);
+        removed++;
+      }
+    }
+    if (removed) this.scheduleSave();
+  }
+
+  // ── Persistence ─────────────────────────────────────────
+
+  load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[COOKIES] ${this.name}: cannot read ${this.file}: ${err.message}`);
+      }
+      return;
+    }
+
+    for (const session of Array.isArray(data.sessions) ? data.sessions : []) {
+      if (!session || typeof session.token !== 'string' || !Array.isArray(session.cookies)) continue;
+      if (this.isExpired(session)) continue;
+      this.sessions.set(session.token, session);
+      this.byId.set(session.id, session);
+    }
+    console.log(`[COOKIES] ${this.name}: loaded ${this.sessions.size} session(s) from ${this.file}`);
+  }
+
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((err) => {
+        console.error(`[COOKIES] ${this.name}: cannot write ${this.file}: ${err.message}`);
+      });
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  serialize() {
+    return JSON.stringify({ sessions: [...this.sessions.values()] });
+  }
+
+  async save() {
+    const tmp = `${this.file}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tmp, this.serialize(), { mode: 0o600 });
+    await fs.promises.rename(tmp, this.file);
+  }
+
+  /**
+   * Write out pending changes right away and stop timers (the jar
+   * is being replaced, or the process is exiting).
+   */
+  close() {
+    clearInterval(this.pruneTimer);
+    this.flush();
+  }
+
+  /**
+   * Write out pending changes right away.
+   */
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(`${this.file}.tmp`, this.serialize(), { mode: 0o600 });
+      fs.renameSync(`${this.file}.tmp`, this.file);
+    } catch (err) {
+      console.error(`[COOKIES] ${this.name}: cannot write ${this.file}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * One client request's view of the jar. The session is created
+ * the first time an upstream sets a cookie for a client without one.
+ */
+class JarRequest {
+  constructor(jar, req, upstream) {
+    this.jar = jar;
+    this.req = req;
+    this.upstream = upstream;
+    this.session = jar.find(req);
+  }
+
+  /**
+   * Cookie header for the upstream: the session's stored cookies,
+   * then the client's own (minus the session cookie and any the
+   * jar has a value for). '' if there are none.
+   * @param {string} clientCookie - the client's Cookie header, mapped for the upstream
+   */
+  requestCookie(clientCookie) {
+    const stored = this.session ? this.jar.cookiesFor(this.session, this.upstream) : [];
+    const names = new Set(stored.map(c => c.name));
+    names.add(this.jar.options.sessionCookie);
+
+    const own = (clientCookie || '')
+      .split(';')
+      .map(p => p.trim())
+      .filter(p => p && !names.has(p.split('=')[0].trim()));
+
+    return [...stored.map(c => `${c.name}=${c.value}`), ...own].join('; ');
+  }
+
+  /**
+   * Keep the upstream's Set-Cookie headers in the jar.
+   * @param {string[]} setCookieHeaders
+   * @param {{ rewriteSetCookies: Function }} cookies - the site's cookie handler
+   * @returns {string[]} Set-Cookie values for the client
+   */
+  responseCookies(setCookieHeaders, cookies) {
+    if (setCookieHeaders.length > 0 && !this.session) this.session = this.jar.create();
+    if (!this.session) return [];
+
+    const visible = setCookieHeaders.length > 0
+      ? this.jar.store(this.session, this.upstream, setCookieHeaders)
+      : [];
+    const own = this.jar.sessionCookie(this.session);
+    return [...cookies.rewriteSetCookies(visible, this.upstream), ...(own ? [own] : [])];
+  }
+}
+
+/**
+ * Parse one Set-Cookie header received from `upstream`; null if
+ * it must be ignored.
+ */
+function parseSetCookie(raw, upstream, now) {
+  if (raw.length > MAX_COOKIE_BYTES) return null;
+
+  const { nameValue, attributes } = parseCookie(raw);
+  const eq = nameValue.indexOf('=');
+  if (eq < 1) return null;
+
+  const name = nameValue.slice(0, eq).trim();
+  const value = nameValue.slice(eq + 1).trim();
+  const host = upstream.host.toLowerCase();
+  const secureRequest = upstream.protocol === 'https';
+
+  // Max-Age wins over Expires
+  let expires = null;
+  const maxAge = attributes.get('max-age');
+  if (typeof maxAge === 'string' && /^-?\d+$/.test(maxAge)) {
+    expires = parseInt(maxAge, 10) <= 0 ? 0 : now + parseInt(maxAge, 10) * 1000;
+  } else if (typeof attributes.get('expires') === 'string') {
+    const date = Date.parse(attributes.get('expires'));
+    if (!Number.isNaN(date)) expires = date;
+  }
+
+  let domain = host;
+  let hostOnly = true;
+  const domainAttr = attributes.get('domain');
+  if (typeof domainAttr === 'string' && domainAttr.replace(/^\./, '')) {
+    domain = domainAttr.replace(/^\./, '').toLowerCase();
+    // Only the host itself or a parent of it, and never a bare TLD
+    if (!domainMatches(host, domain) || (!domain.includes('.') && domain !== host)) return null;
+    hostOnly = false;
+  }
+
+  let cookiePath = attributes.get('path');
+  if (typeof cookiePath !== 'string' || !cookiePath.startsWith('/')) {
+    cookiePath = defaultPath(upstream.path);
+  }
+
+  const secure = attributes.has('secure');
+  if (secure && !secureRequest) return null;
+
+  // Cookie prefixes (RFC 6265bis §4.1.3)
+  if (name.startsWith('__Secure-') && !secure) return null;
+  if (name.startsWith('__Host-') && (!secure || !hostOnly || cookiePath !== '/')) return null;
+
+  const sameSite = attributes.get('samesite');
+  return {
+    name,
+    value,
+    domain,
+    hostOnly,
+    path: cookiePath,
+    expires,
+    secure,
+    httpOnly: attributes.has('httponly'),
+    sameSite: typeof sameSite === 'string' ? sameSite.toLowerCase() : '',
+    created: now,
+  };
+}
+
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// RFC 6265 §5.1.4
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq !== -1 && part.slice(0, eq).trim() === name) return part.slice(eq + 1).trim();
+  }
+  return '';
+}
+
+module.exports = { CookieJar };
\ No newline at end of file
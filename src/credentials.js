@@ -0,0 +1,49 @@
+/**
+ * Which parts of a request tell its user apart, for the features
+ * that must not hand one user's responses to another (recording,
+ * the response cache).
+ */
+
+// Cookies the gateway itself sets or sends: the [auth] sign-in and
+// its state, the cookie jar session and inject_cookie's cookies
+function gatewayCookies(siteConfig) {
+  const names = [];
+  if (siteConfig.auth.type === 'login' || siteConfig.auth.type === 'oidc') {
+    names.push(siteConfig.auth.cookie, `${siteConfig.auth.cookie}_state`);
+  }
+  if (siteConfig.cookieJar.enabled) names.push(siteConfig.cookieJar.sessionCookie);
+  for (const part of (siteConfig.injectCookie || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) names.push(part.slice(0, eq).trim());
+  }
+  return names;
+}
+
+/**
+ * Names of the request headers that identify its user to the
+ * upstream: Authorization, and Cookie whenever the client sends a
+ * cookie of its own, holds a cookie jar session or is signed in by
+ * [auth]. The gate has already removed its credentials, so those
+ * are checked by the user it found.
+ * @param {object} req
+ * @param {object} siteConfig
+ * @param {{ user?: string|null, jarRequest?: object|null }} [context]
+ * @returns {string[]}
+ */
+function credentialHeaders(req, siteConfig, { user = null, jarRequest = null } = {}) {
+  const names = new Set();
+  if (req.headers.authorization) names.add('authorization');
+  if (user) names.add(siteConfig.auth.type === 'basic' ? 'authorization' : 'cookie');
+  if (jarRequest && jarRequest.session) names.add('cookie');
+
+  const own = new Set(gatewayCookies(siteConfig));
+  const clientCookies = (req.headers.cookie || '')
+    .split(';')
+    .map(p => p.trim())
+    .filter(p => p && !own.has(p.split('=')[0].trim()));
+  if (clientCookies.length > 0) names.add('cookie');
+
+  return [...names];
+}
+
+module.exports = { credentialHeaders, gatewayCookies };
\ No newline at end of file
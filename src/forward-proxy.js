@@ -0,0 +1,272 @@
+/**
+ * Forward-proxy mode (FORWARD_PROXY_PORT).
+ *
+ * Browsers configured to use the gateway as their HTTP proxy need
+ * no /etc/hosts entries. Connections to a host some site mirrors
+ * are intercepted and served through that site as if the client
+ * had asked for its local subdomain:
+ *
+ *   CONNECT github.com:443      TLS terminated with a certificate
+ *   GET /login                  for github.com from the gateway CA,
+ *                               → github.localgateway.com/login
+ *
+ * Plain `http://` requests (absolute-form) are mapped the same way.
+ * Every other host is tunnelled (or forwarded) untouched, on ports
+ * 80 and 443 and never to this host or link-local addresses.
+ * Only clients on the `allow` list are served at all.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const tls = require('tls');
+const { agentFor, connectTo } = require('./outbound-proxy');
+const { addressList, matches } = require('./auth');
+
+// Connections the gateway opens on a client's behalf go through the
+// outbound proxy from the environment, like any site without its own
+const DEFAULT_POLICY = { proxy: '', noProxy: [] };
+
+// First byte of a TLS ClientHello record
+const TLS_HANDSHAKE = 0x16;
+
+// The only ports relayed to for hosts no site mirrors
+const RELAYED_PORTS = new Set([80, 443]);
+
+// Never relayed to: this host (the admin and metrics ports among
+// others) and link-local addresses (cloud metadata services)
+const REFUSED_TARGETS = addressList([
+  '0.0.0.0/8', '127.0.0.0/8', '169.254.0.0/16', '::/128', '::1/128', 'fe80::/10',
+]);
+
+const HOP_BY_HOP = [
+  'connection', 'keep-alive', 'proxy-connection', 'proxy-authorization',
+  'proxy-authenticate', 'te', 'trailer', 'transfer-encoding', 'upgrade',
+];
+
+/**
+ * @param {object} params
+ * @param {import('net').BlockList} params.allow - client addresses served
+ * @param {(host: string) => { config: object, prefix: string }|null} params.resolveHost
+ * @param {(host: string) => Promise<import('tls').SecureContext>} params.secureContext - certificate to present for a host
+ * @param {(req, res) => void} params.handleRequest
+ * @param {(req, socket, head) => void} params.handleUpgrade
+ * @returns {import('http').Server}
+ */
+function createForwardProxy({ allow, resolveHost, secureContext, handleRequest, handleUpgrade }) {
+  // Intercepted connections are handed to this server, which never
+  // listens itself; socket → host the client asked to CONNECT to
+  const intercepted = http.createServer(onIntercepted);
+  const targets = new WeakMap();
+
+  intercepted.on('upgrade', (req, socket, head) => {
+    toLocal(req, targets.get(req.socket));
+    handleUpgrade(req, socket, head);
+  });
+
+  function onIntercepted(req, res) {
+    toLocal(req, targets.get(req.socket));
+    handleRequest(req, res);
+  }
+
+  // Point the request at the site's local subdomain, so the normal
+  // handler routes it (a site removed since the CONNECT gets the
+  // landing page)
+  function toLocal(req, host) {
+    const match = resolveHost(host || '');
+    if (!match) return;
+    req.headers.host = match.config.localSubdomain;
+    req.url = match.prefix + req.url;
+  }
+
+  const server = http.createServer((req, res) => {
+    // Origin-form: a client talking to the port directly
+    if (!/^http:\/\//i.test(req.url)) return handleRequest(req, res);
+
+    let url;
+    try {
+      url = new URL(req.url);
+    } catch (err) {
+      res.writeHead(400, { 'content-type': 'text/plain; charset=utf-8' });
+      return res.end('Bad request URL\n');
+    }
+
+    if (resolveHost(url.hostname)) {
+      req.url = url.pathname + url.search;
+      toLocal(req, url.hostname);
+      return handleRequest(req, res);
+    }
+
+    forwardPlain(req, res, url);
+  });
+
+  server.on('connection', (socket) => {
+    const address = unmapped(socket.remoteAddress || '');
+    if (!matches(allow, address)) {
+      console.warn(`[FORWARD] Refused client ${address} (not in FORWARD_PROXY_ALLOW)`);
+      socket.destroy();
+    }
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    if (/^http:\/\//i.test(req.url) && URL.canParse(req.url)) {
+      const url = new URL(req.url);
+      req.url = url.pathname + url.search;
+      toLocal(req, url.hostname);
+    }
+    handleUpgrade(req, socket, head);
+  });
+
+  server.on('connect', (req, clientSocket, head) => {
+    clientSocket.on('error', () => {});
+
+    const { host, port } = parseAuthority(req.url);
+    if (!host) {
+      return clientSocket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    }
+
+    if (!resolveHost(host)) return tunnel(clientSocket, head, host, port);
+
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head.length) clientSocket.unshift(head);
+
+    // TLS or plain HTTP (ws:// through a proxy) is told apart by
+    // the first byte the client sends
+    clientSocket.once('data', (chunk) => {
+      clientSocket.pause();
+      clientSocket.unshift(chunk);
+
+      if (chunk[0] === TLS_HANDSHAKE) {
+        secureContext(host).then((context) => {
+          const tlsSocket = new tls.TLSSocket(clientSocket, {
+            isServer: true,
+            secureContext: context,
+            ALPNProtocols: ['http/1.1'],
+          });
+          tlsSocket.on('error', () => clientSocket.destroy());
+          targets.set(tlsSocket, host);
+          intercepted.emit('connection', tlsSocket);
+        }, (err) => {
+          console.error(`[FORWARD] No certificate for ${host}: ${err.message}`);
+          clientSocket.destroy();
+        });
+      } else {
+        targets.set(clientSocket, host);
+        intercepted.emit('connection', clientSocket);
+        clientSocket.resume();
+      }
+    });
+  });
+
+  return server;
+}
+
+/**
+ * "github.com:443" → { host, port }; IPv6 literals in brackets.
+ * Host names are limited to letters, digits, dots and dashes, as
+ * they end up in certificate file names.
+ */
+function parseAuthority(authority) {
+  const match = /^(?:\[([0-9a-f:.]+)\]|([a-z0-9.-]+))(?::(\d+))?$/i.exec(authority || '');
+  if (!match) return { host: '', port: 0 };
+  return { host: (match[1] || match[2]).toLowerCase(), port: parseInt(match[3] || '443', 10) };
+}
+
+/**
+ * The address to relay to for a host no site mirrors, or an error
+ * with the status to refuse it with: a port other than 80 or 443,
+ * or a name for (or address of) this host or a link-local address.
+ */
+function relayTarget(host, port, callback) {
+  const refused = (message) => {
+    console.warn(`[FORWARD] Refused ${host}:${port}: ${message}`);
+    callback(Object.assign(new Error(message), { status: 403 }));
+  };
+  if (!RELAYED_PORTS.has(port)) return refused('port not allowed');
+
+  // Names are resolved here and the address checked is the one used
+  dns.lookup(host.replace(/^\[|\]$/g, ''), { all: true }, (err, addresses) => {
+    if (err) return callback(Object.assign(err, { status: 502 }));
+    if (addresses.some(a => matches(REFUSED_TARGETS, unmapped(a.address)))) return refused('address not allowed');
+    callback(null, addresses[0].address);
+  });
+}
+
+// IPv4 clients of a dual-stack socket show up as ::ffff:a.b.c.d
+function unmapped(address) {
+  const v4 = address.replace(/^::ffff:/i, '');
+  return v4 !== address && /^\d+\.\d+\.\d+\.\d+$/.test(v4) ? v4 : address;
+}
+
+// A host no site mirrors: bytes are relayed as they are
+function tunnel(clientSocket, head, host, port) {
+  relayTarget(host, port, (err, address) => {
+    if (err) {
+      const status = `${err.status} ${http.STATUS_CODES[err.status]}`;
+      return clientSocket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    }
+    relay(clientSocket, head, host, address, port);
+  });
+}
+
+function relay(clientSocket, head, host, address, port) {
+  connectTo(DEFAULT_POLICY, { protocol: 'https', host: address, port }, (err, upstreamSocket) => {
+    if (err) {
+      console.error(`[FORWARD] Tunnel to ${host}:${port} failed: ${err.message}`);
+      return clientSocket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+    }
+
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head.length) upstreamSocket.write(head);
+
+    upstreamSocket.on('error', () => clientSocket.destroy());
+    clientSocket.on('close', () => upstreamSocket.destroy());
+    upstreamSocket.on('close', () => clientSocket.destroy());
+    upstreamSocket.pipe(clientSocket);
+    clientSocket.pipe(upstreamSocket);
+  });
+}
+
+// Plain http:// request for a host no site mirrors
+function forwardPlain(req, res, url) {
+  const port = parseInt(url.port || '80', 10);
+  relayTarget(url.hostname, port, (err, address) => {
+    if (err) {
+      req.resume();
+      res.writeHead(err.status, { 'content-type': 'text/plain; charset=utf-8' });
+      return res.end(`${http.STATUS_CODES[err.status]}: ${err.message}\n`);
+    }
+    sendPlain(req, res, url, { protocol: 'http', host: address, port });
+  });
+}
+
+function sendPlain(req, res, url, target) {
+  const headers = { ...req.headers };
+  for (const name of HOP_BY_HOP) delete headers[name];
+
+  const proxyReq = http.request({
+    hostname: target.host,
+    port: target.port,
+    path: url.pathname + url.search,
+    method: req.method,
+    headers,
+    agent: agentFor(DEFAULT_POLICY, target),
+  }, (proxyRes) => {
+    const responseHeaders = { ...proxyRes.headers };
+    for (const name of HOP_BY_HOP) delete responseHeaders[name];
+    res.writeHead(proxyRes.statusCode, responseHeaders);
+    proxyRes.pipe(res);
+  });
+
+  proxyReq.on('error', (err) => {
+    if (res.headersSent) return res.destroy();
+    res.writeHead(502, { 'content-type': 'text/plain; charset=utf-8' });
+    res.end(`Bad Gateway: ${err.message}\n`);
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) proxyReq.destroy();
+  });
+
+  req.pipe(proxyReq);
+}
+
+module.exports = { createForwardProxy };
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * Path glob → RegExp: `*` matches anything (including `/`),
+ * `?` a single character.
+ */
+function globToRegex(glob, flags = '') {
+  const source = glob
+    .split('')
+    .map(c => (c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, flags);
+}
+
+module.exports = { globToRegex };
\ No newline at end of file
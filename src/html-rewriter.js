@@ -0,0 +1,384 @@
+/**
+ * Streaming HTML rewriter for `rewrite_mode = html`.
+ *
+ * Instead of replacing hosts anywhere in the body, the markup is
+ * tokenized and only URL-bearing attributes are rewritten:
+ * href (including <base href>), src, action, poster and friends,
+ * srcset candidates, url() in inline style attributes, the URL in
+ * <meta http-equiv="refresh"> and, when enabled, data-* values.
+ * <script> and <style> contents are code rather than visible text
+ * and go through the text rewriter; other text, comments and
+ * <textarea>/<title> contents are left alone.
+ *
+ * Attribute values are entity-decoded before rewriting, so hosts
+ * written as `https&#x3A;&#x2F;&#x2F;…` are found too.
+ */
+
+const URL_ATTRIBUTES = new Set([
+  'href', 'src', 'action', 'formaction', 'poster', 'cite',
+  'background', 'data', 'manifest', 'longdesc', 'codebase', 'xlink:href',
+]);
+
+const SRCSET_ATTRIBUTES = new Set(['srcset', 'imagesrcset']);
+
+// Elements whose content is not markup
+const SCRIPT_ELEMENTS = new Set(['script', 'style']);
+const VERBATIM_ELEMENTS = new Set(['textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes']);
+
+// A start tag longer than this (e.g. a huge data: URI) is passed
+// through untouched rather than buffered whole
+const MAX_TAG_LENGTH = 1024 * 1024;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  sol: '/', colon: ':', period: '.', quest: '?', equals: '=',
+  num: '#', percnt: '%', lpar: '(', rpar: ')', comma: ',', nbsp: ' ',
+};
+
+const TAG_NAME = /[A-Za-z][^\s/>]*/y;
+const ATTR_NAME = /[^\s/>=]+/y;
+const UNQUOTED_VALUE = /[^\s>]*/y;
+const WHITESPACE = /[\s/]*/y;
+const SPACES = /\s*/y;
+
+function decodeEntities(value) {
+  if (!value.includes('&')) return value;
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+function encodeAttribute(value, quote) {
+  const escaped = value.replace(/&/g, '&amp;');
+  return quote === "'" ? escaped.replace(/'/g, '&#39;') : escaped.replace(/"/g, '&quot;');
+}
+
+function matchAt(regex, text, index) {
+  regex.lastIndex = index;
+  const match = regex.exec(text);
+  return match ? match[0] : '';
+}
+
+/**
+ * Parse the start tag at `start` (which points at "<").
+ * Returns null when the tag doesn't end within `text`.
+ */
+function parseStartTag(text, start) {
+  const name = matchAt(TAG_NAME, text, start + 1);
+  let i = start + 1 + name.length;
+  const attrs = [];
+
+  for (;;) {
+    i += matchAt(WHITESPACE, text, i).length;
+    if (i >= text.length) return null;
+
+    if (text[i] === '>') {
+      return {
+        name: name.toLowerCase(),
+        attrs,
+        end: i + 1,
+        selfClosing: text[i - 1] === '/',
+      };
+    }
+
+    const attrName = matchAt(ATTR_NAME, text, i) || text[i];
+    const attr = { name: attrName.toLowerCase(), value: null, valueStart: -1, valueEnd: -1, quote: '' };
+    i += attrName.length;
+
+    let j = i + matchAt(SPACES, text, i).length;
+    if (j >= text.length) return null;
+
+    if (text[j] === '=') {
+      j += 1 + matchAt(SPACES, text, j + 1).length;
+      if (j >= text.length) return null;
+
+      if (text[j] === '"' || text[j] === "'") {
+        const close = text.indexOf(text[j], j + 1);
+        if (close === -1) return null;
+        attr.quote = text[j];
+        attr.valueStart = j + 1;
+        attr.valueEnd = close;
+        i = close + 1;
+      } else {
+        const value = matchAt(UNQUOTED_VALUE, text, j);
+        // The value might continue in the next chunk
+        if (j + value.length >= text.length) return null;
+        attr.valueStart = j;
+        attr.valueEnd = j + value.length;
+        i = attr.valueEnd;
+      }
+
+      attr.value = text.slice(attr.valueStart, attr.valueEnd);
+    }
+
+    attrs.push(attr);
+  }
+}
+
+/**
+ * Rewrite the URL of each candidate in a srcset value
+ * ("a.png 1x, //cdn.example.com/b.png 2x").
+ */
+function rewriteSrcset(value, rewriteUrl) {
+  let out = '';
+  let i = 0;
+
+  while (i < value.length) {
+    const lead = value.slice(i).match(/^[\s,]*/)[0];
+    out += lead;
+    i += lead.length;
+
+    let url = value.slice(i).match(/^\S*/)[0];
+    // Commas right after a URL separate candidates
+    const trailing = url.match(/,*$/)[0];
+    url = url.slice(0, url.length - trailing.length);
+    out += rewriteUrl(url) + trailing;
+    i += url.length + trailing.length;
+
+    if (trailing) continue;
+
+    // Descriptors run to the next comma outside parentheses
+    let depth = 0;
+    let j = i;
+    for (; j < value.length; j++) {
+      if (value[j] === '(') depth++;
+      else if (value[j] === ')') depth = Math.max(0, depth - 1);
+      else if (value[j] === ',' && depth === 0) break;
+    }
+    out += value.slice(i, j);
+    i = j;
+  }
+
+  return out;
+}
+
+/**
+ * @param {object} options
+ * @param {(text: string) => string} options.rewriteText - the site's text rewriter
+ * @param {() => { write(text: string): string, end(): string }} options.createTextProcessor -
+ *   streaming text rewriter for <script>/<style> contents
+ * @param {boolean} [options.dataAttributes] - also rewrite data-* attributes
+ * @returns {{ write(text: string): string, end(): string }}
+ */
+function createHtmlRewriter({ rewriteText, createTextProcessor, dataAttributes = false }) {
+  let buffer = '';
+
+  // Inside <script>, <style>, <textarea>, …: the element name and,
+  // for scripts and styles, the text processor for its content
+  let rawElement = null;
+  let rawProcessor = null;
+
+  // Passing something through verbatim up to this terminator
+  // (a comment's "-->", a doctype's ">")
+  let skipUntil = null;
+
+  // Passing an oversized start tag through: null, or the quote
+  // character of the value being skipped ('' outside values)
+  let oversizedQuote = null;
+
+  // A URL is rewritten like any text: its own host and any URL
+  // embedded in its query string (e.g. ?next=https%3A%2F%2F…)
+  const rewriteUrl = rewriteText;
+
+  function rewriteValue(attr, fn) {
+    const decoded = decodeEntities(attr.value);
+    const rewritten = fn(decoded);
+    if (rewritten === decoded) return null;
+    const encoded = encodeAttribute(rewritten, attr.quote || '"');
+    return attr.quote ? encoded : `"${encoded}"`;
+  }
+
+  /**
+   * @param {string} text - the buffer holding the tag
+   * @param {object} tag - parseStartTag() result for the tag at `start`
+   */
+  function rewriteTag(text, start, tag) {
+    const isRefresh = tag.name === 'meta' && tag.attrs.some(a =>
+      a.name === 'http-equiv' && (a.value || '').trim().toLowerCase() === 'refresh'
+    );
+
+    const edits = [];
+    for (const attr of tag.attrs) {
+      if (attr.value === null) continue;
+
+      let replacement = null;
+      if (URL_ATTRIBUTES.has(attr.name)) {
+        replacement = rewriteValue(attr, rewriteUrl);
+      } else if (SRCSET_ATTRIBUTES.has(attr.name)) {
+        replacement = rewriteValue(attr, v => rewriteSrcset(v, rewriteUrl));
+      } else if (attr.name === 'style') {
+        replacement = rewriteValue(attr, v => v.replace(
+          /(url\(\s*['"]?)([^'")]*)/gi,
+          (m, open, url) => open + rewriteUrl(url)
+        ));
+      } else if (attr.name === 'content' && isRefresh) {
+        replacement = rewriteValue(attr, v => v.replace(
+          /(url\s*=\s*['"]?)(.*)$/i,
+          (m, open, url) => open + rewriteUrl(url)
+        ));
+      } else if (dataAttributes && attr.name.startsWith('data-')) {
+        replacement = rewriteValue(attr, rewriteText);
+      }
+
+      if (replacement !== null) {
+        edits.push({ start: attr.valueStart, end: attr.valueEnd, replacement });
+      }
+    }
+
+    let out = '';
+    let pos = start;
+    for (const edit of edits) {
+      out += text.slice(pos, edit.start) + edit.replacement;
+      pos = edit.end;
+    }
+    return out + text.slice(pos, tag.end);
+  }
+
+  function drain(final) {
+    let out = '';
+    let i = 0;
+    const text = buffer;
+
+    while (i < text.length) {
+      if (skipUntil) {
+        const idx = text.indexOf(skipUntil, i);
+        if (idx === -1) {
+          // Keep a possible partial terminator for the next chunk
+          const keep = final ? text.length : Math.max(i, text.length - skipUntil.length + 1);
+          out += text.slice(i, keep);
+          i = keep;
+          break;
+        }
+        out += text.slice(i, idx + skipUntil.length);
+        i = idx + skipUntil.length;
+        skipUntil = null;
+        continue;
+      }
+
+      if (oversizedQuote !== null) {
+        let j = i;
+        for (; j < text.length; j++) {
+          const c = text[j];
+          if (oversizedQuote) {
+            if (c === oversizedQuote) oversizedQuote = '';
+          } else if (c === '"' || c === "'") {
+            oversizedQuote = c;
+          } else if (c === '>') {
+            break;
+          }
+        }
+        if (j === text.length) {
+          out += text.slice(i);
+          i = j;
+          break;
+        }
+        out += text.slice(i, j + 1);
+        i = j + 1;
+        oversizedQuote = null;
+        continue;
+      }
+
+      if (rawElement) {
+        const closing = new RegExp(`</${rawElement}[\\s/>]`, 'ig');
+        closing.lastIndex = i;
+        const match = closing.exec(text);
+
+        if (!match) {
+          // A closing tag may be split across chunks
+          const keep = final ? text.length : Math.max(i, text.length - rawElement.length - 3);
+          const content = text.slice(i, keep);
+          out += rawProcessor ? rawProcessor.write(content) : content;
+          if (final && rawProcessor) out += rawProcessor.end();
+          i = keep;
+          break;
+        }
+
+        const content = text.slice(i, match.index);
+        out += rawProcessor ? rawProcessor.write(content) + rawProcessor.end() : content;
+        rawElement = null;
+        rawProcessor = null;
+        i = match.index;
+        continue;
+      }
+
+      const lt = text.indexOf('<', i);
+      if (lt === -1) {
+        out += text.slice(i);
+        i = text.length;
+        break;
+      }
+      out += text.slice(i, lt);
+      i = lt;
+
+      // Too short to tell what kind of markup this is yet
+      if (!final && text.length - i < 9) break;
+
+      if (text.startsWith('<!--', i)) {
+        out += '<!--';
+        i += 4;
+        skipUntil = '-->';
+      } else if (/^<!\[CDATA\[/i.test(text.slice(i, i + 9))) {
+        skipUntil = ']]>';
+      } else if (text[i + 1] === '!' || text[i + 1] === '?' || text[i + 1] === '/') {
+        out += text.slice(i, i + 2);
+        i += 2;
+        skipUntil = '>';
+      } else if (/[A-Za-z]/.test(text[i + 1] || '')) {
+        const tag = parseStartTag(text, i);
+
+        if (!tag) {
+          if (!final && text.length - i <= MAX_TAG_LENGTH) break;
+          // Oversized (or cut off at the end of the body)
+          out += text[i];
+          i += 1;
+          oversizedQuote = '';
+          continue;
+        }
+
+        out += rewriteTag(text, i, tag);
+        i = tag.end;
+
+        if (!tag.selfClosing && SCRIPT_ELEMENTS.has(tag.name)) {
+          rawElement = tag.name;
+          rawProcessor = createTextProcessor();
+        } else if (!tag.selfClosing && VERBATIM_ELEMENTS.has(tag.name)) {
+          rawElement = tag.name;
+          rawProcessor = null;
+        }
+      } else {
+        out += '<';
+        i += 1;
+      }
+    }
+
+    buffer = text.slice(i);
+    return out;
+  }
+
+  return {
+    write(text) {
+      buffer += text;
+      return drain(false);
+    },
+    end() {
+      return drain(true);
+    },
+  };
+}
+
+/**
+ * Rewrite a complete HTML document.
+ */
+function rewriteHtml(html, options) {
+  const rewriter = createHtmlRewriter(options);
+  return rewriter.write(html) + rewriter.end();
+}
+
+module.exports = { createHtmlRewriter, rewriteHtml, decodeEntities, rewriteSrcset };
\ No newline at end of file
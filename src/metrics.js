@@ -0,0 +1,232 @@
+const http = require('http');
+
+/**
+ * Minimal Prometheus instrumentation: labeled counters and
+ * histograms rendered in the text exposition format.
+ */
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const REWRITE_BUCKETS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels) {
+  return labelNames.map(n => labels[n] === undefined ? '' : String(labels[n])).join('\u0000');
+}
+
+function renderLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${renderLabels(this.labelNames, key.split('\u0000'))} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.series) {
+      const values = key.split('\u0000');
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${renderLabels(this.labelNames, values, `le="${le}"`)} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${renderLabels(this.labelNames, values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${renderLabels(this.labelNames, values)} ${series.sum}`);
+      lines.push(`${this.name}_count${renderLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * The proxy's metric set. Unrouted requests (landing page,
+ * CORS preflights) carry no site and aren't counted.
+ *
+ * Label values must come from a bounded set: hosts named by
+ * clients are folded by upstreamLabel() and server names into
+ * the configured subdomains, or `other`.
+ */
+class ProxyMetrics {
+  /**
+   * @param {object} [options]
+   * @param {(name: string) => object|null} [options.findSite] - site config by name
+   */
+  constructor({ findSite = () => null } = {}) {
+    this.findSite = findSite;
+
+    this.requests = new Counter(
+      'proxy_requests_total',
+      'Requests handled, by site, upstream host and status class.',
+      ['site', 'upstream', 'status_class']
+    );
+    this.upstreamLatency = new Histogram(
+      'proxy_upstream_latency_seconds',
+      'Time from receiving a request until the upstream response headers arrived.',
+      ['site', 'upstream']
+    );
+    this.duration = new Histogram(
+      'proxy_request_duration_seconds',
+      'Time from receiving a request until the last response byte was sent.',
+      ['site', 'upstream']
+    );
+    this.bytesIn = new Counter(
+      'proxy_request_bytes_total',
+      'Request body bytes received from clients.',
+      ['site', 'upstream']
+    );
+    this.bytesOut = new Counter(
+      'proxy_response_bytes_total',
+      'Response body bytes sent to clients.',
+      ['site', 'upstream']
+    );
+    this.rewriteTime = new Histogram(
+      'proxy_rewrite_seconds',
+      'Time spent rewriting each response body.',
+      ['site'],
+      REWRITE_BUCKETS
+    );
+    this.badGateway = new Counter(
+      'proxy_upstream_errors_total',
+      'Requests answered with 502 or 504 because the upstream request failed or timed out.',
+      ['site', 'upstream']
+    );
+    this.retries = new Counter(
+      'proxy_upstream_retries_total',
+      'Upstream requests retried after a connection error or timeout.',
+      ['site', 'upstream']
+    );
+    this.circuitRejections = new Counter(
+      'proxy_circuit_rejections_total',
+      'Requests answered with 503 because the upstream host\'s circuit breaker was open.',
+      ['site', 'upstream']
+    );
+    this.cacheResults = new Counter(
+      'proxy_cache_requests_total',
+      'Requests to sites with a cache, by result (HIT, MISS, REVALIDATED, STALE, BYPASS).',
+      ['site', 'result']
+    );
+    this.tlsHandshakes = new Counter(
+      'proxy_tls_handshakes_total',
+      'Completed TLS handshakes, by SNI server name (a configured local subdomain, or other).',
+      ['servername']
+    );
+
+    this.all = [
+      this.requests, this.upstreamLatency, this.duration, this.bytesIn,
+      this.bytesOut, this.rewriteTime, this.badGateway, this.retries,
+      this.circuitRejections, this.cacheResults, this.tlsHandshakes,
+    ];
+  }
+
+  /**
+   * Record a finished request from its access log line.
+   */
+  observeRequest(line) {
+    if (!line.site) return;
+
+    const labels = { site: line.site, upstream: upstreamLabel(this.findSite(line.site), upstreamHost(line.upstream)) };
+
+    this.requests.inc({ ...labels, status_class: `${String(line.status)[0]}xx` });
+    this.duration.observe(labels, line.durationMs / 1000);
+    this.bytesIn.inc(labels, line.requestBytes);
+    this.bytesOut.inc(labels, line.responseBytes);
+
+    if (line.cache) {
+      this.cacheResults.inc({ site: line.site, result: line.cache });
+    }
+
+    if (line.upstreamFirstByteMs !== null) {
+      this.upstreamLatency.observe(labels, line.upstreamFirstByteMs / 1000);
+    }
+  }
+
+  render() {
+    return this.all.map(m => m.render()).join('\n\n') + '\n';
+  }
+
+  createServer() {
+    return http.createServer((req, res) => {
+      if (req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found\n');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(this.render());
+    });
+  }
+}
+
+/**
+ * `upstream` label for a host a site's request went to. Hosts under
+ * a wildcard rewrite are chosen by clients (`/g--<anything>/`), so
+ * they share one `*.<root>` series; the site's configured hosts keep
+ * their own.
+ */
+function upstreamLabel(siteConfig, host) {
+  if (!siteConfig || !host) return host;
+  host = host.toLowerCase();
+
+  const known = [
+    siteConfig.targetHost,
+    ...(siteConfig.backends || []).map(b => b.host),
+    ...siteConfig.rewrites.map(rw => rw.externalHost),
+    ...(siteConfig.routes || []).map(r => r.targetHost),
+  ];
+  if (known.some(h => h && h.toLowerCase() === host)) return host;
+
+  const wildcard = siteConfig.wildcardRewrites.find(wc => host.endsWith(`.${wc.rootDomain.toLowerCase()}`));
+  return wildcard ? `*.${wildcard.rootDomain.toLowerCase()}` : 'other';
+}
+
+function upstreamHost(upstream) {
+  if (!upstream) return '';
+  const idx = upstream.lastIndexOf(':');
+  return idx === -1 ? upstream : upstream.slice(0, idx);
+}
+
+module.exports = { ProxyMetrics, Counter, Histogram, upstreamLabel };
\ No newline at end of file
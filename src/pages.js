@@ -0,0 +1,168 @@
+/**
+ * HTML pages the proxy serves itself: the landing page for
+ * unmatched hosts, error pages for failed upstream requests and
+ * the [auth] login and access-denied pages.
+ */
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; max-width: 900px; margin: 40px auto; padding: 0 20px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 8px 12px; text-align: left; }
+  th { background: #f5f5f5; }
+  code { background: #f0f0f0; padding: 2px 6px; border-radius: 3px; }
+  .warn { background: #fff3cd; border: 1px solid #ffc107; padding: 12px; border-radius: 4px; margin: 16px 0; }
+  .error { background: #f8d7da; border: 1px solid #f5c2c7; padding: 12px; border-radius: 4px; margin: 16px 0; }
+  .muted { color: #666; font-size: 0.9em; }
+  .up { color: #198754; }
+  form { max-width: 360px; }
+  label { display: block; margin: 12px 0 4px; }
+  input[type=text], input[type=password] { width: 100%; padding: 8px; box-sizing: border-box; }
+  button, .button { margin-top: 16px; padding: 8px 16px; display: inline-block; }
+  .down { color: #dc3545; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {object[]} routes - site configs, from router.listRoutes()
+ * @param {{ httpPort: number, httpsPort: number, forwardProxyPort?: number }} ports
+ * @param {Map<string, object[]>} [backends] - local subdomain →
+ *   Balancer#status() for balanced sites
+ */
+function landingPage(routes, { httpPort, httpsPort, forwardProxyPort }, backends = new Map()) {
+  const rows = routes.map(c => {
+    const proto = c.targetProtocol === 'https' ? 'https' : 'http';
+    const port = c.targetProtocol === 'https' ? httpsPort : httpPort;
+    const status = backends.get(c.localSubdomain);
+    const upstream = status
+      ? status.map(backendLine).join('<br>')
+      : `${c.targetProtocol}://${c.targetHost}`;
+    return `<tr>
+      <td><strong>${c.name}</strong></td>
+      <td><a href="${proto}://${c.localSubdomain}:${port}">
+        ${c.localSubdomain}:${port}</a></td>
+      <td>${upstream}</td>
+      <td>${proto.toUpperCase()}</td>
+    </tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html><head><title>Local Gateway Proxy</title>
+<style>${STYLE}</style></head>
+<body>
+  <h1>🌐 Local Gateway Proxy</h1>
+  <div class="warn">
+    ⚠️ <strong>Notice:</strong> All traffic through this gateway is monitored.
+    Self-signed certificates are used intentionally.
+  </div>
+  <p>No site matched your <code>Host</code> header. Available sites:</p>
+  <table>
+    <tr><th>Name</th><th>Local Address</th><th>Upstream</th><th>Protocol</th></tr>
+    ${rows}
+  </table>
+  <h3>Setup</h3>
+  <p>Add these lines to <code>/etc/hosts</code>:</p>
+  <pre>${routes.map(c => `127.0.0.1  ${c.localSubdomain}`).join('\n')}</pre>${forwardProxyPort ? `
+  <p>Or set this gateway, port <code>${forwardProxyPort}</code>, as your browser's HTTP and HTTPS proxy
+    and open the upstream sites under their own names.</p>` : ''}
+</body></html>`;
+}
+
+function backendLine(b) {
+  const title = b.lastError ? ` title="${escapeHtml(b.lastError)}"` : '';
+  return `<span class="${b.state === 'up' ? 'up' : 'down'}"${title}>●</span> ` +
+    `${escapeHtml(`${b.host}:${b.port}`)} <span class="muted">` +
+    `${b.state}${b.weight !== 1 ? `, weight ${b.weight}` : ''}, ${b.active} active</span>`;
+}
+
+/**
+ * Page for a request the proxy couldn't complete.
+ * @param {object} info
+ * @param {number} info.status - 502, 503 or 504
+ * @param {string} info.title - e.g. "Bad Gateway"
+ * @param {string} info.site - site name
+ * @param {string} info.upstream - upstream host
+ * @param {string} info.message - what went wrong
+ * @param {string} info.requestId
+ */
+function errorPage({ status, title, site, upstream, message, requestId }) {
+  return `<!DOCTYPE html>
+<html><head><title>${status} ${escapeHtml(title)}</title>
+<style>${STYLE}</style></head>
+<body>
+  <h1>🌐 ${status} ${escapeHtml(title)}</h1>
+  <div class="error">
+    The proxy could not get a response for <strong>${escapeHtml(site)}</strong>
+    from <code>${escapeHtml(upstream)}</code>.
+  </div>
+  <p>${escapeHtml(message)}</p>
+  <p class="muted">Request ID: <code>${escapeHtml(requestId)}</code></p>
+</body></html>`;
+}
+
+/**
+ * Sign-in page of a site with [auth] type = login or oidc.
+ * @param {object} info
+ * @param {string} info.site - site name
+ * @param {string} info.action - form target (login) or sign-in link (oidc)
+ * @param {string} info.next - local path to return to
+ * @param {boolean} [info.oidc] - link to the identity provider instead of a form
+ * @param {string} [info.error] - why the last attempt failed
+ * @param {string} [info.message] - e.g. "Signed out"
+ */
+function loginPage({ site, action, next, oidc = false, error = '', message = '' }) {
+  const notice = error
+    ? `<div class="error">${escapeHtml(error)}</div>`
+    : message ? `<div class="warn">${escapeHtml(message)}</div>` : '';
+  const body = oidc
+    ? `<p><a class="button" href="${escapeHtml(`${action}?next=${encodeURIComponent(next)}`)}">Sign in</a></p>`
+    : `<form method="post" action="${escapeHtml(action)}">
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <label for="username">Username</label>
+    <input type="text" id="username" name="username" autocomplete="username" autofocus required>
+    <label for="password">Password</label>
+    <input type="password" id="password" name="password" autocomplete="current-password" required>
+    <button type="submit">Sign in</button>
+  </form>`;
+
+  return `<!DOCTYPE html>
+<html><head><title>Sign in – ${escapeHtml(site)}</title>
+<style>${STYLE}</style></head>
+<body>
+  <h1>🌐 ${escapeHtml(site)}</h1>
+  ${notice}
+  <p>This mirror requires you to sign in.</p>
+  ${body}
+</body></html>`;
+}
+
+/**
+ * Page for a request [auth] refused (403).
+ * @param {object} info
+ * @param {string} info.site - site name
+ * @param {string} info.reason - e.g. "Address 10.1.2.3 is not allowed"
+ * @param {string} info.requestId
+ * @param {string} [info.logout] - sign-out link, for a signed-in user
+ */
+function deniedPage({ site, reason, requestId, logout = '' }) {
+  return `<!DOCTYPE html>
+<html><head><title>403 Forbidden</title>
+<style>${STYLE}</style></head>
+<body>
+  <h1>🌐 403 Forbidden</h1>
+  <div class="error">
+    You don't have access to <strong>${escapeHtml(site)}</strong>.
+  </div>
+  <p>${escapeHtml(reason)}</p>${logout ? `
+  <p><a href="${escapeHtml(logout)}">Sign in as someone else</a></p>` : ''}
+  <p class="muted">Request ID: <code>${escapeHtml(requestId)}</code></p>
+</body></html>`;
+}
+
+module.exports = { landingPage, errorPage, loginPage, deniedPage, escapeHtml };
\ No newline at end of file
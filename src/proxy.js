@@ -1,16 +1,42 @@
+const fs = require('fs');
 const http = require('http');
 const https = require('https');
-const tls = require('tls');
-const { loadAllConfigs } = require('./config-parser');
-const { buildRewriter } = require('./rewriter');
-const { buildCookieHandler } = require('./cookie-handler');
-const { generateAllCerts } = require('./cert-generator');
+const path = require('path');
+const { pipeline } = require('stream');
+const SiteRegistry = require('./site-registry');
+const { checkConfigDir, formatProblem, isAddressRange } = require('./config-parser');
+const { createAdminServer } = require('./admin');
+const AccessLogger = require('./access-log');
+const { ProxyMetrics, upstreamLabel } = require('./metrics');
+const { createTextFrameRewriter } = require('./websocket');
+const compression = require('./compression');
+const { requestUpstream, CircuitBreaker } = require('./upstream-request');
+const { agentFor } = require('./outbound-proxy');
+const pages = require('./pages');
+const { createForwardProxy } = require('./forward-proxy');
+const { addressList } = require('./auth');
+const { credentialHeaders } = require('./credentials');
+const { CertificateAuthority } = require('./cert-generator');
+const { SHIM_PATH } = require('./shim');
+const { readBody, MAX_BODY_BYTES } = require('./request-rewriter');
 const Router = require('./router');
 
 // ── Settings ──────────────────────────────────────────────
 const CONF_DIR = process.env.CONF_DIR || './conf';
 const HTTP_PORT = parseInt(process.env.HTTP_PORT || '80', 10);
 const HTTPS_PORT = parseInt(process.env.HTTPS_PORT || '443', 10);
+const ADMIN_PORT = parseInt(process.env.ADMIN_PORT || '0', 10);
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const ACCESS_LOG_FORMAT = process.env.ACCESS_LOG_FORMAT || 'json';
+const ACCESS_LOG_FILE = process.env.ACCESS_LOG_FILE || '';
+const ACCESS_LOG_MAX_SIZE = parseInt(process.env.ACCESS_LOG_MAX_SIZE || String(10 * 1024 * 1024), 10);
+const ACCESS_LOG_MAX_FILES = parseInt(process.env.ACCESS_LOG_MAX_FILES || '5', 10);
+const METRICS_PORT = parseInt(process.env.METRICS_PORT || '0', 10);
+const FORWARD_PROXY_PORT = parseInt(process.env.FORWARD_PROXY_PORT || '0', 10);
+// This host and private networks
+const FORWARD_PROXY_ALLOW = (process.env.FORWARD_PROXY_ALLOW ||
+  '127.0.0.0/8, ::1, 10.0.0.0/8, 172.16.0.0/12, 192.168.0.0/16, fc00::/7')
+  .split(',').map(a => a.trim()).filter(Boolean);
 
 const HOP_BY_HOP = new Set([
   'connection', 'keep-alive', 'proxy-authenticate',
@@ -18,37 +44,81 @@ const HOP_BY_HOP = new Set([
   'transfer-encoding', 'upgrade',
 ]);
 
+// Content types for files served by [route] rules
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+};
+
 const FALLBACK_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
 
+// ── Check-only mode ───────────────────────────────────────
+// `node src/proxy.js --check [dir]` validates the conf directory
+// and exits without starting any server (non-zero on problems).
+if (process.argv.includes('--check')) {
+  const arg = process.argv[process.argv.indexOf('--check') + 1];
+  process.exit(checkConfigs(arg && !arg.startsWith('-') ? arg : CONF_DIR));
+}
+
 // ── Bootstrap ─────────────────────────────────────────────
-const configs = loadAllConfigs(CONF_DIR);
+const registry = new SiteRegistry(CONF_DIR, {
+  httpPort: HTTP_PORT,
+  httpsPort: HTTPS_PORT,
+});
 
-if (configs.length === 0) {
-  console.error('[FATAL] No valid site configs loaded. Exiting.');
-  process.exit(1);
-}
+const certs = new CertificateAuthority();
 
-const httpsConfigs = configs.filter(c => c.targetProtocol === 'https');
+const accessLog = new AccessLogger({
+  format: ACCESS_LOG_FORMAT === 'off' ? 'json' : ACCESS_LOG_FORMAT,
+  sink: ACCESS_LOG_FORMAT === 'off' ? { write() {} } : null,
+  file: ACCESS_LOG_FILE,
+  maxBytes: ACCESS_LOG_MAX_SIZE,
+  maxFiles: ACCESS_LOG_MAX_FILES,
+});
 
-let certMap = new Map();
-if (httpsConfigs.length > 0) {
-  console.log('\n[CERT] Generating certificates for HTTPS sites...');
-  certMap = generateAllCerts(httpsConfigs);
-}
+const metrics = new ProxyMetrics({
+  findSite: name => registry.current.configs.find(c => c.name === name) || null,
+});
+accessLog.onFinish(line => metrics.observeRequest(line));
+
+// "host:port" → CircuitBreaker, shared by every site using that upstream.
+// Wildcard rewrites let clients name any number of hosts, so breakers
+// that know nothing (closed, no failures) or went unused for
+// BREAKER_IDLE_MS are dropped every BREAKER_SWEEP_MS.
+const breakers = new Map();
+const BREAKER_IDLE_MS = 10 * 60 * 1000;
+const BREAKER_SWEEP_MS = 60 * 1000;
 
-const router = new Router(configs);
+setInterval(() => {
+  const idleSince = Date.now() - BREAKER_IDLE_MS;
+  for (const [key, breaker] of breakers) {
+    if ((breaker.state === 'closed' && breaker.failures === 0) || breaker.lastUsed < idleSince) {
+      breakers.delete(key);
+    }
+  }
+}, BREAKER_SWEEP_MS).unref();
 
-const rewriters = new Map();
-const cookieHandlers = new Map();
+registry.reload();
 
-for (const cfg of configs) {
-  const port = cfg.targetProtocol === 'https' ? HTTPS_PORT : HTTP_PORT;
-  rewriters.set(cfg.localSubdomain, buildRewriter(cfg, port));
-  cookieHandlers.set(cfg.localSubdomain, buildCookieHandler(cfg));
+if (registry.current.configs.length === 0) {
+  console.error('[FATAL] No valid site configs loaded. Exiting.');
+  process.exit(1);
 }
 
 // ── Core proxy logic ──────────────────────────────────────
-function handleRequest(req, res) {
+function handleRequest(req, res, record = accessLog.track(req, res)) {
   if (req.method === 'OPTIONS') {
     res.writeHead(204, {
       'access-control-allow-origin': '*',
@@ -59,6 +129,10 @@ function handleRequest(req, res) {
     return res.end();
   }
 
+  const {
+    router, rewriters, requestRewriters, cookieHandlers, caches, shims, balancers, cookieJars, gates, captures,
+    recordings,
+  } = registry.current;
   const siteConfig = router.resolve(req);
 
   if (!siteConfig) {
@@ -66,234 +140,1006 @@ function handleRequest(req, res) {
     return res.end(landingPage());
   }
 
-  const upstream = router.getUpstream(siteConfig, req.url);
+  record.site = siteConfig.name;
+
+  // Rules, the gate and the upstream all see the target in origin
+  // form with its path in one canonical spelling
+  const target = router.originForm(req, siteConfig);
+  if (target === null) {
+    res.writeHead(400, { 'content-type': 'text/plain; charset=utf-8' });
+    return res.end('Bad request target\n');
+  }
+  req.url = router.normalizeUrl(target);
+
+  // [auth] is checked before anything else of the site is served
+  const gate = gates.get(siteConfig.localSubdomain);
+  if (gate && !gate.admit(req, res, record)) return;
+
+  const capture = captures.get(siteConfig.localSubdomain);
+  const exchange = capture ? capture.begin(req, res, record) : null;
+
+  // The runtime shim is served by the proxy itself, never upstream
+  const shim = shims.get(siteConfig.localSubdomain);
+  if (shim && req.url.split('?')[0] === SHIM_PATH) {
+    res.writeHead(200, {
+      'content-type': 'application/javascript; charset=utf-8',
+      'content-length': Buffer.byteLength(shim),
+      'cache-control': 'no-cache',
+    });
+    return res.end(req.method === 'HEAD' ? undefined : shim);
+  }
+
+  // [route] rules: answered here, or sent to another upstream
+  const route = router.matchRoute(siteConfig, req);
+  if (route) {
+    record.route = route.label;
+    if (route.action !== 'upstream') return sendRouteResponse(req, res, siteConfig, route);
+  }
+
+  const upstream = route
+    ? router.getRouteUpstream(siteConfig, route, req.url)
+    : router.getUpstream(siteConfig, req.url);
   const rewrite = rewriters.get(siteConfig.localSubdomain);
+  const requestRewriter = requestRewriters.get(siteConfig.localSubdomain);
   const cookies = cookieHandlers.get(siteConfig.localSubdomain);
+  const cache = caches.get(siteConfig.localSubdomain) || null;
+  const jar = cookieJars.get(siteConfig.localSubdomain);
+  const jarRequest = jar ? jar.forRequest(req, upstream) : null;
+  const recording = recordings.get(siteConfig.localSubdomain) || null;
+  // Responses for a particular user are only saved if the key tells users apart
+  const records = Boolean(recording && recording.records) &&
+    recording.mayRecord(credentialHeaders(req, siteConfig, { user: record.user, jarRequest }));
   const localPort = siteConfig.targetProtocol === 'https' ? HTTPS_PORT : HTTP_PORT;
 
-  // ── Build upstream headers ──
-  const headers = {};
-  for (const [k, v] of Object.entries(req.headers)) {
-    if (!HOP_BY_HOP.has(k)) headers[k] = v;
-  }
+  // Requests for the site's own target_host are spread over its backends
+  const balancer = !route && upstream.host === siteConfig.targetHost
+    ? balancers.get(siteConfig.localSubdomain) || null
+    : null;
 
-  headers.host = upstream.host;
-  delete headers['accept-encoding'];
+  record.upstream = `${upstream.host}:${upstream.port}`;
 
-  if (!headers['user-agent']) {
-    headers['user-agent'] = FALLBACK_UA;
-  }
+  // Keyed on target_host, so every backend shares the entries.
+  // Responses to a client's own cookies or a cookie jar session are
+  // never shared ([auth] sign-ins don't reach the upstream, so they
+  // don't count), and recording sites fetch everything from the upstream.
+  const shareable = credentialHeaders(req, siteConfig, { jarRequest }).length === 0;
+  const cacheKey = cache && shareable && !(recording && recording.mode === 'record')
+    ? cache.keyFor(req, upstream)
+    : null;
 
-  // ── Cookie handling: outgoing ──
-  const injectCookies = cookies.getInjectCookies();
-  if (injectCookies) {
-    headers['cookie'] = headers['cookie']
-      ? `${headers['cookie']}; ${injectCookies}`
-      : injectCookies;
+  // Form and JSON bodies are read whole so local URLs in them
+  // can be mapped back to the upstream (and [replace] rules run)
+  if (requestRewriter.wantsBody(req)) {
+    return readBody(req, MAX_BODY_BYTES).then((body) => {
+      forward(null, requestRewriter.rewriteBody(body, req.headers['content-type'], req.url));
+    }, (err) => {
+      record.error = err.message;
+      if (err.code !== 'BODY_TOO_LARGE') {
+        // Client gone or the body broken off: nobody to answer
+        return res.destroy();
+      }
+      // The rest of the body is never read
+      res.on('finish', () => req.destroy());
+      res.writeHead(413, { 'content-type': 'text/plain; charset=utf-8', connection: 'close' });
+      res.end('Request body too large\n');
+    });
   }
 
-  const transport = upstream.protocol === 'https' ? https : http;
+  if (!cacheKey) return forward(null);
 
-  const options = {
-    hostname: upstream.host,
-    port: upstream.port,
-    path: upstream.path,
-    method: req.method,
-    headers,
-  };
+  cache.lookup(cacheKey, req).then((entry) => {
+    if (res.destroyed) return;
+    if (entry && cache.isFresh(entry, req.headers)) {
+      return sendCached(req, res, record, cache, entry, 'HIT');
+    }
+    forward(entry);
+  }, (err) => {
+    console.error(`[CACHE] ${siteConfig.name}: lookup failed: ${err.message}`);
+    forward(null);
+  });
 
-  console.log(
-    `[PROXY] ${siteConfig.name.padEnd(12)} ${req.method.padEnd(7)} ` +
-    `${upstream.protocol}://${upstream.host}${upstream.path}`
-  );
+  /**
+   * Send the request upstream. `cached` is a stale entry to
+   * revalidate (and to fall back on if the upstream fails);
+   * `payload` is a rewritten body to send instead of streaming
+   * the client's. Replay and hybrid sites look in the recording
+   * first (`lookedUp` once they have).
+   */
+  function forward(cached, payload, lookedUp = false) {
+    if (recording && recording.mode !== 'record' && !lookedUp) {
+      return replay(cached, payload);
+    }
+
+    const backend = balancer ? balancer.pick(req) : null;
+    const target = backend ? { ...upstream, host: backend.host, port: backend.port } : upstream;
+    record.upstream = `${target.host}:${target.port}`;
+
+    const headers = buildUpstreamHeaders(req, target, cookies, jarRequest);
+    headers['accept-encoding'] = compression.UPSTREAM_ACCEPT_ENCODING;
+    headers[AccessLogger.REQUEST_ID_HEADER] = record.id;
+    requestRewriter.rewriteHeaders(headers);
+
+    if (payload) {
+      headers['content-length'] = String(payload.length);
+    }
 
-  const proxyReq = transport.request(options, (proxyRes) => {
-    const chunks = [];
-    proxyRes.on('data', c => chunks.push(c));
-    proxyRes.on('end', () => {
-      let body = Buffer.concat(chunks);
-      const contentType = proxyRes.headers['content-type'] || '';
-
-      body = rewrite(body, contentType);
-
-      // ── Build response headers ──
-      // Use raw headers to preserve ALL Set-Cookie headers.
-      // Node's proxyRes.headers merges duplicate header names,
-      // but rawHeaders keeps every single one.
-      const resHeaders = {};
-      const rawSetCookies = [];
-
-      // Collect headers from raw pairs to avoid merging
-      const rawH = proxyRes.rawHeaders;
-      for (let i = 0; i < rawH.length; i += 2) {
-        const key = rawH[i];
-        const val = rawH[i + 1];
-        const keyLower = key.toLowerCase();
-
-        if (HOP_BY_HOP.has(keyLower)) continue;
-
-        if (keyLower === 'set-cookie') {
-          // Collect ALL Set-Cookie headers individually
-          rawSetCookies.push(val);
+    // Revalidate with our own validators; a client's conditional
+    // headers are answered from the entry instead
+    if (cached) {
+      delete headers['if-none-match'];
+      delete headers['if-modified-since'];
+      Object.assign(headers, cache.validators(cached));
+    }
+
+    // A 304 to the client's copy is nothing to record
+    if (records) {
+      delete headers['if-none-match'];
+      delete headers['if-modified-since'];
+    }
+
+    if (exchange) exchange.upstreamRequestSent(target, req.method, headers, payload);
+
+    const transport = target.protocol === 'https' ? https : http;
+
+    const options = {
+      hostname: target.host,
+      port: target.port,
+      path: target.path,
+      method: req.method,
+      headers,
+      agent: agentFor(siteConfig.upstream, target),
+    };
+
+    if (backend) {
+      balancer.acquire(backend);
+      res.on('close', () => balancer.release(backend));
+    }
+
+    const upstreamReq = requestUpstream({
+      transport,
+      options,
+      body: req,
+      payload,
+      policy: siteConfig.upstream,
+      breaker: breakerFor(target),
+      onRetry: (attempt, err) => {
+        console.warn(`[UPSTREAM] ${siteConfig.name}: ${err.message}, retry ${attempt}/${siteConfig.upstream.retries}`);
+        metrics.retries.inc({ site: siteConfig.name, upstream: upstreamLabel(siteConfig, target.host) });
+      },
+    }, (err, proxyRes) => {
+      if (backend) {
+        if (err) {
+          if (err.code !== 'CIRCUIT_OPEN') balancer.failure(backend, err);
         } else {
-          // For other headers, last value wins (same as Node default)
-          resHeaders[keyLower] = val;
+          balancer.success(backend);
         }
       }
+      if (err) return upstreamFailed(err);
 
-      // Remove headers per config
-      for (const h of siteConfig.headersRemove) {
-        delete resHeaders[h];
+      accessLog.firstByte(record);
+      if (exchange) exchange.upstreamResponseReceived(proxyRes);
+
+      respond(proxyRes, cached, records ? recording.keyFor(req, upstream) : null);
+    });
+
+    function upstreamFailed(err) {
+      // The client hung up first; nobody is left to answer
+      if (res.destroyed) return;
+
+      record.error = err.message;
+
+      if (cached && cache.canServeStale(cached)) {
+        console.error(`[ERROR] ${siteConfig.name}: ${err.message} (serving stale)`);
+        return sendCached(req, res, record, cache, cached, 'STALE');
       }
 
-      // ── Cookie handling: incoming ──
-      // Now we have EVERY Set-Cookie from upstream, none lost
-      if (rawSetCookies.length > 0) {
-        const rewritten = cookies.rewriteSetCookies(rawSetCookies);
-        if (rewritten.length > 0) {
-          resHeaders['set-cookie'] = rewritten;
-        }
+      sendUpstreamError(res, record, siteConfig, target, err);
+    }
+
+    // Abort the upstream request (or a pending retry) if the
+    // client disconnects before the response has been delivered.
+    res.on('close', () => {
+      if (!res.writableFinished) upstreamReq.abort();
+    });
+  }
+
+  /**
+   * Answer from the site's recording. Hybrid sites fetch (and
+   * record) what it doesn't have; replay sites send the miss
+   * response.
+   */
+  function replay(cached, payload) {
+    const key = recording.keyFor(req, upstream);
+
+    // Hold the body until it is known where it goes
+    req.pause();
+
+    recording.lookup(key).then((entry) => {
+      if (res.destroyed) return;
+
+      req.resume();
+      if (!entry && recording.mode === 'hybrid') return forward(cached, payload, true);
+
+      if (!entry) {
+        record.recording = 'MISS';
+        return sendRecordingMiss(res, record, siteConfig, upstream, key);
       }
 
-      // Add headers per config
-      for (const [k, v] of Object.entries(siteConfig.headersAdd)) {
-        resHeaders[k] = v;
+      record.recording = 'REPLAYED';
+      accessLog.firstByte(record);
+      respond(recording.replay(key, entry), cached, null);
+    }).catch((err) => {
+      console.error(`[RECORDING] ${siteConfig.name}: cannot replay ${key.file}: ${err.message}`);
+      record.error = err.message;
+      if (res.headersSent) return res.destroy();
+      sendUpstreamError(res, record, siteConfig, upstream, err);
+    });
+  }
+
+  /**
+   * Send an upstream response (or a recorded one standing in for
+   * it) to the client. `recordKey` also saves it in the site's
+   * recording.
+   */
+  function respond(proxyRes, cached, recordKey) {
+    if (cached && proxyRes.statusCode === 304) {
+      proxyRes.resume();
+      cache.refresh(cacheKey, cached, proxyRes.headers);
+      return sendCached(req, res, record, cache, cached, 'REVALIDATED');
+    }
+
+    if (cached && proxyRes.statusCode >= 500 && cache.canServeStale(cached)) {
+      proxyRes.resume();
+      return sendCached(req, res, record, cache, cached, 'STALE');
+    }
+
+    const contentType = proxyRes.headers['content-type'] || '';
+    const upstreamEncoding = compression.responseEncoding(proxyRes.headers);
+
+    // Text bodies are rewritten on the fly; everything else
+    // (downloads, media, event streams of other types) is piped
+    // straight through with its original length.
+    // Bodies in an encoding we can't decode are never rewritten.
+    const rewriteStream = hasResponseBody(req, proxyRes) &&
+      compression.isSupportedEncoding(upstreamEncoding)
+      ? rewrite.stream(contentType, req.url)
+      : null;
+
+    // ── Content-Encoding ──
+    // Rewritten bodies are decoded, then re-encoded for the client.
+    // Untouched bodies keep the upstream encoding unless the client
+    // can't accept it, in which case they are decoded.
+    let decoder = null;
+    let encoder = null;
+    let clientEncoding = upstreamEncoding;
+
+    if (rewriteStream) {
+      decoder = compression.createDecoder(upstreamEncoding);
+      clientEncoding = compression.negotiateEncoding(req.headers['accept-encoding']) || 'identity';
+      encoder = compression.createEncoder(clientEncoding);
+    } else if (
+      hasResponseBody(req, proxyRes) &&
+      !compression.acceptsEncoding(req.headers['accept-encoding'], upstreamEncoding)
+    ) {
+      decoder = compression.createDecoder(upstreamEncoding);
+      if (decoder) clientEncoding = 'identity';
+    }
+
+    // ── Build response headers ──
+    // Use raw headers to preserve ALL Set-Cookie headers.
+    // Node's proxyRes.headers merges duplicate header names,
+    // but rawHeaders keeps every single one.
+    const resHeaders = {};
+    const rawSetCookies = [];
+
+    // Collect headers from raw pairs to avoid merging
+    const rawH = proxyRes.rawHeaders;
+    for (let i = 0; i < rawH.length; i += 2) {
+      const key = rawH[i];
+      const val = rawH[i + 1];
+      const keyLower = key.toLowerCase();
+
+      if (HOP_BY_HOP.has(keyLower)) continue;
+
+      if (keyLower === 'set-cookie') {
+        // Collect ALL Set-Cookie headers individually
+        rawSetCookies.push(val);
+      } else {
+        // For other headers, last value wins (same as Node default)
+        resHeaders[keyLower] = val;
       }
+    }
 
-      resHeaders['content-length'] = body.length;
+    // Remove headers per config
+    for (const h of siteConfig.headersRemove) {
+      delete resHeaders[h];
+    }
+
+    // ── Cookie handling: incoming ──
+    // Now we have EVERY Set-Cookie from upstream, none lost
+    // (with a cookie jar, also on responses without any, which
+    // may need to refresh the session cookie)
+    if (rawSetCookies.length > 0 || jarRequest) {
+      const rewritten = jarRequest
+        ? jarRequest.responseCookies(rawSetCookies, cookies)
+        : cookies.rewriteSetCookies(rawSetCookies, upstream);
+      if (rewritten.length > 0) {
+        resHeaders['set-cookie'] = rewritten;
+      }
+    }
 
-      // Rewrite Location on redirects
-      if (resHeaders.location) {
-        const localProto = siteConfig.targetProtocol === 'https' ? 'https' : 'http';
-        const localOrigin = `${localProto}://${siteConfig.localSubdomain}:${localPort}`;
+    // Add headers per config
+    for (const [k, v] of Object.entries(siteConfig.headersAdd)) {
+      resHeaders[k] = v;
+    }
 
+    // The rewritten or re-encoded length isn't known up front;
+    // without a content-length Node falls back to chunked encoding.
+    if (rewriteStream || decoder) {
+      delete resHeaders['content-length'];
+
+      if (clientEncoding === 'identity') {
+        delete resHeaders['content-encoding'];
+      } else {
+        resHeaders['content-encoding'] = clientEncoding;
+      }
+
+      resHeaders.vary = appendVary(resHeaders.vary, 'Accept-Encoding');
+    }
+
+    // Rewrite Location on redirects
+    if (resHeaders.location) {
+      const localProto = siteConfig.targetProtocol === 'https' ? 'https' : 'http';
+      const localOrigin = `${localProto}://${siteConfig.localSubdomain}:${localPort}`;
+
+      resHeaders.location = resHeaders.location.replace(
+        new RegExp(`https?://${escapeRegex(siteConfig.targetHost)}`, 'g'),
+        localOrigin
+      );
+      for (const rw of siteConfig.rewrites) {
         resHeaders.location = resHeaders.location.replace(
-          new RegExp(`https?://${escapeRegex(siteConfig.targetHost)}`, 'g'),
-          localOrigin
+          new RegExp(`https?://${escapeRegex(rw.externalHost)}`, 'g'),
+          `${localOrigin}${rw.localPathPrefix}`
         );
-        for (const rw of siteConfig.rewrites) {
-          resHeaders.location = resHeaders.location.replace(
-            new RegExp(`https?://${escapeRegex(rw.externalHost)}`, 'g'),
-            `${localOrigin}${rw.localPathPrefix}`
-          );
-        }
       }
+    }
+
+    // ── Cache store ──
+    // The body is copied where it is final but not yet encoded
+    // for this client: after the rewriter, or straight from the
+    // upstream when it passes through untouched.
+    let collector = null;
+    if (cacheKey && req.method === 'GET' && hasResponseBody(req, proxyRes)) {
+      const entry = cache.prepare(req, proxyRes.statusCode, proxyRes.headers, resHeaders, {
+        encoding: rewriteStream ? 'identity' : upstreamEncoding,
+        compress: Boolean(rewriteStream),
+      });
+      if (entry) collector = cache.collector(cacheKey, entry);
+    }
+    if (cache) {
+      record.cache = cacheKey ? 'MISS' : 'BYPASS';
+      resHeaders['x-cache'] = record.cache;
+    }
+
+    // ── Recording ──
+    // Saved as received, before any rewriting or decoding
+    const recorder = recordKey ? recording.recorder(recordKey, proxyRes) : null;
+    if (recorder) record.recording = 'RECORDED';
+
+    res.writeHead(proxyRes.statusCode, resHeaders);
 
-      res.writeHead(proxyRes.statusCode, resHeaders);
-      res.end(body);
+    // pipeline() propagates backpressure from the client socket
+    // and tears down both sides if either one fails.
+    const stages = rewriteStream
+      ? [proxyRes, recorder, decoder, rewriteStream, collector, encoder, res]
+      : [proxyRes, recorder, collector, decoder, res];
+
+    pipeline(...stages.filter(Boolean), (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`[ERROR] ${siteConfig.name}: response stream: ${err.message}`);
+        record.error = err.message;
+      }
+      if (rewriteStream) {
+        metrics.rewriteTime.observe({ site: siteConfig.name }, rewriteStream.rewriteSeconds);
+      }
     });
+  }
+}
+
+/**
+ * Answer a failed upstream request with an error page:
+ * 503 while the host's circuit is open, 504 on a timeout,
+ * 502 for anything else.
+ */
+function sendUpstreamError(res, record, siteConfig, upstream, err) {
+  const labels = { site: siteConfig.name, upstream: upstreamLabel(siteConfig, upstream.host) };
+  let status = 502;
+  let title = 'Bad Gateway';
+  const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+
+  if (err.code === 'CIRCUIT_OPEN') {
+    status = 503;
+    title = 'Service Unavailable';
+    headers['Retry-After'] = String(Math.ceil(err.retryAfterMs / 1000));
+    metrics.circuitRejections.inc(labels);
+  } else {
+    if (err.code === 'UPSTREAM_TIMEOUT') {
+      status = 504;
+      title = 'Gateway Timeout';
+    }
+    console.error(`[ERROR] ${siteConfig.name}: ${err.message}`);
+    metrics.badGateway.inc(labels);
+  }
+
+  res.writeHead(status, headers);
+  res.end(pages.errorPage({
+    status,
+    title,
+    site: siteConfig.name,
+    upstream: upstream.host,
+    message: err.message,
+    requestId: record.id,
+  }));
+}
+
+/**
+ * Answer a request a replay site has no recording of, with the
+ * [recording] miss response or an error page.
+ */
+function sendRecordingMiss(res, record, siteConfig, upstream, key) {
+  const { missStatus: status, missBody, missContentType } = siteConfig.recording;
+
+  if (missBody) {
+    res.writeHead(status, {
+      'content-type': missContentType || 'text/plain; charset=utf-8',
+      'content-length': Buffer.byteLength(missBody),
+    });
+    return res.end(missBody);
+  }
+
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(pages.errorPage({
+    status,
+    title: http.STATUS_CODES[status] || 'Not Recorded',
+    site: siteConfig.name,
+    upstream: upstream.host,
+    message: `Not in the recording: ${key.method} ${key.url}`,
+    requestId: record.id,
+  }));
+}
+
+/**
+ * Answer a request matched by a [route] rule with
+ * action = block, redirect, respond or file.
+ */
+function sendRouteResponse(req, res, siteConfig, route) {
+  // The body (if any) is not needed
+  req.resume();
+
+  if (route.action === 'redirect') {
+    const location = route.location.replace(/\$(\d)/g, (m, n) => route.captures[n] || '');
+    res.writeHead(route.status, { location, 'content-length': 0 });
+    return res.end();
+  }
+
+  if (route.action === 'file') {
+    const filePath = path.resolve(CONF_DIR, route.file);
+    return fs.stat(filePath, (err, stat) => {
+      if (err || !stat.isFile()) {
+        console.error(`[ERROR] ${siteConfig.name}: route ${route.label}: cannot read ${filePath}`);
+        res.writeHead(404, { 'content-type': 'text/plain; charset=utf-8' });
+        return res.end('404 Not Found\n');
+      }
+
+      res.writeHead(route.status, {
+        'content-type': route.contentType || mimeType(filePath),
+        'content-length': stat.size,
+      });
+      if (req.method === 'HEAD') return res.end();
+      pipeline(fs.createReadStream(filePath), res, () => {});
+    });
+  }
+
+  // block and respond
+  if (route.status === 204 || route.status === 304) {
+    res.writeHead(route.status);
+    return res.end();
+  }
+
+  const body = route.body ||
+    (route.action === 'block' ? `${route.status} ${http.STATUS_CODES[route.status] || ''}\n` : '');
+  res.writeHead(route.status, {
+    'content-type': route.contentType || 'text/plain; charset=utf-8',
+    'content-length': Buffer.byteLength(body),
+  });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function breakerFor(upstream) {
+  const key = `${upstream.host}:${upstream.port}`;
+  let breaker = breakers.get(key);
+  if (!breaker) {
+    breaker = new CircuitBreaker(key);
+    breakers.set(key, breaker);
+  }
+  breaker.lastUsed = Date.now();
+  return breaker;
+}
+
+/**
+ * Answer a request from a cache entry, encoding the body for
+ * the client the same way a live response would be.
+ */
+function sendCached(req, res, record, cache, entry, status) {
+  record.cache = status;
+
+  const headers = {
+    ...entry.headers,
+    age: String(cache.age(entry)),
+    'x-cache': status,
+  };
+
+  if (cache.clientHasCurrent(entry, req.headers)) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+
+  let decoder = null;
+  let encoder = null;
+  let clientEncoding = entry.encoding;
+
+  if (entry.compress) {
+    clientEncoding = compression.negotiateEncoding(req.headers['accept-encoding']) || 'identity';
+    encoder = compression.createEncoder(clientEncoding);
+  } else if (!compression.acceptsEncoding(req.headers['accept-encoding'], entry.encoding)) {
+    decoder = compression.createDecoder(entry.encoding);
+    if (decoder) clientEncoding = 'identity';
+  }
+
+  if (clientEncoding !== 'identity') headers['content-encoding'] = clientEncoding;
+
+  const transform = encoder || decoder;
+  if (!transform) headers['content-length'] = String(entry.body.length);
+
+  res.writeHead(entry.status, headers);
+
+  if (req.method === 'HEAD') return res.end();
+  if (!transform) return res.end(entry.body);
+
+  pipeline(transform, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`[ERROR] ${record.site}: cached response: ${err.message}`);
+      record.error = err.message;
+    }
+  });
+  transform.end(entry.body);
+}
+
+// ── WebSocket upgrades ────────────────────────────────────
+function handleUpgrade(req, socket, head) {
+  socket.on('error', () => {});
+
+  const record = accessLog.begin(req);
+  const { router, rewriters, requestRewriters, cookieHandlers, cookieJars, gates } = registry.current;
+  const siteConfig = router.resolve(req);
+
+  if (!siteConfig || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    accessLog.finish(record, { status: 404 });
+    return;
+  }
+
+  record.site = siteConfig.name;
+
+  const target = router.originForm(req, siteConfig);
+  if (target === null) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    accessLog.finish(record, { status: 400 });
+    return;
+  }
+  req.url = router.normalizeUrl(target);
+
+  const gate = gates.get(siteConfig.localSubdomain);
+  if (gate) {
+    const result = gate.authenticate(req);
+    record.user = result.user || null;
+    if (result.status) {
+      socket.end(`HTTP/1.1 ${result.status} ${http.STATUS_CODES[result.status]}\r\nConnection: close\r\n\r\n`);
+      accessLog.finish(record, { status: result.status });
+      return;
+    }
+    gate.removeCredentials(req);
+  }
+
+  // [route] rules other than `upstream` refuse the upgrade with their status
+  const route = router.matchRoute(siteConfig, req);
+  if (route) {
+    record.route = route.label;
+    if (route.action !== 'upstream') {
+      socket.end(`HTTP/1.1 ${route.status} ${http.STATUS_CODES[route.status] || ''}\r\nConnection: close\r\n\r\n`);
+      accessLog.finish(record, { status: route.status });
+      return;
+    }
+  }
+
+  // WebSockets aren't recorded, and replay sites never go upstream
+  if (siteConfig.recording.mode === 'replay') {
+    const status = siteConfig.recording.missStatus;
+    record.recording = 'MISS';
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}\r\nConnection: close\r\n\r\n`);
+    accessLog.finish(record, { status });
+    return;
+  }
+
+  const upstream = route
+    ? router.getRouteUpstream(siteConfig, route, req.url)
+    : router.getUpstream(siteConfig, req.url);
+  const rewrite = rewriters.get(siteConfig.localSubdomain);
+  const requestRewriter = requestRewriters.get(siteConfig.localSubdomain);
+  const cookies = cookieHandlers.get(siteConfig.localSubdomain);
+  const jar = cookieJars.get(siteConfig.localSubdomain);
+  const jarRequest = jar ? jar.forRequest(req, upstream) : null;
+
+  record.upstream = `${upstream.host}:${upstream.port}`;
+
+  const headers = buildUpstreamHeaders(req, upstream, cookies, jarRequest);
+  headers[AccessLogger.REQUEST_ID_HEADER] = record.id;
+  requestRewriter.rewriteHeaders(headers);
+  headers.connection = 'Upgrade';
+  headers.upgrade = req.headers.upgrade;
+
+  // Compressed frames can't be rewritten, so never negotiate
+  // permessage-deflate with the upstream.
+  delete headers['sec-websocket-extensions'];
+
+  const transport = upstream.protocol === 'https' ? https : http;
+
+  const proxyReq = transport.request({
+    hostname: upstream.host,
+    port: upstream.port,
+    path: upstream.path,
+    method: req.method,
+    headers,
+    agent: agentFor(siteConfig.upstream, upstream),
+  });
+
+  proxyReq.on('upgrade', (proxyRes, upstreamSocket, upstreamHead) => {
+    upstreamSocket.on('error', () => socket.destroy());
+    socket.on('error', () => upstreamSocket.destroy());
+    upstreamSocket.on('close', () => socket.destroy());
+    socket.on('close', () => upstreamSocket.destroy());
+
+    socket.setNoDelay(true);
+    upstreamSocket.setNoDelay(true);
+
+    socket.write(serializeResponseHead(proxyRes, upstream, cookies, jarRequest, record.id));
+    accessLog.firstByte(record);
+    accessLog.finish(record, { status: 101 });
+
+    const fromUpstream = siteConfig.rewriteContent
+      ? createTextFrameRewriter(rewrite.text)
+      : null;
+
+    if (fromUpstream) {
+      fromUpstream.on('error', () => socket.destroy());
+      if (upstreamHead.length) fromUpstream.write(upstreamHead);
+      upstreamSocket.pipe(fromUpstream).pipe(socket);
+    } else {
+      if (upstreamHead.length) socket.write(upstreamHead);
+      upstreamSocket.pipe(socket);
+    }
+
+    if (head.length) upstreamSocket.write(head);
+    socket.pipe(upstreamSocket);
+  });
+
+  // Upstream refused the upgrade: relay its answer and close
+  proxyReq.on('response', (proxyRes) => {
+    socket.write(serializeResponseHead(proxyRes, upstream, cookies, jarRequest, record.id));
+    proxyRes.pipe(socket);
+    accessLog.firstByte(record);
+    accessLog.finish(record, { status: proxyRes.statusCode });
   });
 
   proxyReq.on('error', (err) => {
-    console.error(`[ERROR] ${siteConfig.name}: ${err.message}`);
-    res.writeHead(502, { 'Content-Type': 'text/plain' });
-    res.end(`Proxy Error (${siteConfig.name}): ${err.message}`);
+    console.error(`[ERROR] ${siteConfig.name} (ws): ${err.message}`);
+    socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+    record.error = err.message;
+    accessLog.finish(record, { status: 502 });
   });
 
-  req.on('data', c => proxyReq.write(c));
-  req.on('end', () => proxyReq.end());
+  proxyReq.end();
 }
 
 // ── Helpers ───────────────────────────────────────────────
+function checkConfigs(confDir) {
+  const { entries, problems } = checkConfigDir(confDir);
+
+  for (const problem of problems) {
+    console.error(formatProblem(problem));
+  }
+
+  const errors = problems.filter(p => p.severity === 'error').length;
+  const warnings = problems.length - errors;
+
+  if (entries.length === 0 && errors === 0) {
+    console.error(`${confDir}: error: no .conf files found`);
+    return 1;
+  }
+
+  console.log(`[CHECK] ${entries.length} file(s) checked: ${errors} error(s), ${warnings} warning(s)`);
+  return problems.length === 0 ? 0 : 1;
+}
+
+function appendVary(vary, field) {
+  if (!vary) return field;
+  const fields = vary.split(',').map(f => f.trim().toLowerCase());
+  if (fields.includes('*') || fields.includes(field.toLowerCase())) return vary;
+  return `${vary}, ${field}`;
+}
+
+function hasResponseBody(req, proxyRes) {
+  const status = proxyRes.statusCode;
+  return req.method !== 'HEAD' && status !== 204 && status !== 304 && status >= 200;
+}
+
+/**
+ * Copy the client's request headers for the upstream:
+ * strip hop-by-hop headers, point Host at the upstream, map the
+ * client's cookies back, add the cookie jar's and append the
+ * site's injected cookies.
+ */
+function buildUpstreamHeaders(req, upstream, cookies, jarRequest) {
+  const headers = {};
+  for (const [k, v] of Object.entries(req.headers)) {
+    if (!HOP_BY_HOP.has(k)) headers[k] = v;
+  }
+
+  headers.host = upstream.host;
+
+  if (!headers['user-agent']) {
+    headers['user-agent'] = FALLBACK_UA;
+  }
+
+  // ── Cookie handling: outgoing ──
+  const clientCookies = cookies.rewriteCookieHeader(headers['cookie'], upstream);
+  const upstreamCookies = jarRequest ? jarRequest.requestCookie(clientCookies) : clientCookies;
+  if (upstreamCookies) {
+    headers['cookie'] = upstreamCookies;
+  } else {
+    delete headers['cookie'];
+  }
+
+  const injectCookies = cookies.getInjectCookies();
+  if (injectCookies) {
+    headers['cookie'] = headers['cookie']
+      ? `${headers['cookie']}; ${injectCookies}`
+      : injectCookies;
+  }
+
+  return headers;
+}
+
+/**
+ * Serialize an upstream response's status line and headers
+ * for writing straight onto a raw client socket.
+ */
+function serializeResponseHead(proxyRes, upstream, cookies, jarRequest, requestId) {
+  const lines = [
+    `HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`,
+    `X-Request-ID: ${requestId}`,
+  ];
+  const rawSetCookies = [];
+
+  const rawH = proxyRes.rawHeaders;
+  for (let i = 0; i < rawH.length; i += 2) {
+    const keyLower = rawH[i].toLowerCase();
+    if (keyLower === AccessLogger.REQUEST_ID_HEADER) continue;
+    if (keyLower === 'set-cookie') {
+      rawSetCookies.push(rawH[i + 1]);
+    } else {
+      lines.push(`${rawH[i]}: ${rawH[i + 1]}`);
+    }
+  }
+
+  const setCookies = jarRequest
+    ? jarRequest.responseCookies(rawSetCookies, cookies)
+    : cookies.rewriteSetCookies(rawSetCookies, upstream);
+  for (const c of setCookies) {
+    lines.push(`Set-Cookie: ${c}`);
+  }
+
+  return lines.join('\r\n') + '\r\n\r\n';
+}
+
+function mimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
 function escapeRegex(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 function landingPage() {
-  const rows = router.listRoutes().map(c => {
-    const proto = c.targetProtocol === 'https' ? 'https' : 'http';
-    const port = c.targetProtocol === 'https' ? HTTPS_PORT : HTTP_PORT;
-    return `<tr>
-      <td><strong>${c.name}</strong></td>
-      <td><a href="${proto}://${c.localSubdomain}:${port}">
-        ${c.localSubdomain}:${port}</a></td>
-      <td>${c.targetProtocol}://${c.targetHost}</td>
-      <td>${proto.toUpperCase()}</td>
-    </tr>`;
-  }).join('\n');
-
-  return `<!DOCTYPE html>
-<html><head><title>Local Gateway Proxy</title>
-<style>
-  body { font-family: system-ui, sans-serif; max-width: 900px; margin: 40px auto; padding: 0 20px; }
-  table { border-collapse: collapse; width: 100%; }
-  th, td { border: 1px solid #ddd; padding: 8px 12px; text-align: left; }
-  th { background: #f5f5f5; }
-  code { background: #f0f0f0; padding: 2px 6px; border-radius: 3px; }
-  .warn { background: #fff3cd; border: 1px solid #ffc107; padding: 12px; border-radius: 4px; margin: 16px 0; }
-</style></head>
-<body>
-  <h1>🌐 Local Gateway Proxy</h1>
-  <div class="warn">
-    ⚠️ <strong>Notice:</strong> All traffic through this gateway is monitored.
-    Self-signed certificates are used intentionally.
-  </div>
-  <p>No site matched your <code>Host</code> header. Available sites:</p>
-  <table>
-    <tr><th>Name</th><th>Local Address</th><th>Upstream</th><th>Protocol</th></tr>
-    ${rows}
-  </table>
-  <h3>Setup</h3>
-  <p>Add these lines to <code>/etc/hosts</code>:</p>
-  <pre>${router.listRoutes().map(c => `127.0.0.1  ${c.localSubdomain}`).join('\n')}</pre>
-</body></html>`;
+  const { router, balancers } = registry.current;
+  const backends = new Map([...balancers].map(([sub, balancer]) => [sub, balancer.status()]));
+
+  return pages.landingPage(router.listRoutes(), {
+    httpPort: HTTP_PORT,
+    httpsPort: HTTPS_PORT,
+    forwardProxyPort: FORWARD_PROXY_PORT,
+  }, backends);
 }
 
 // ── Start servers ─────────────────────────────────────────
 
-if (httpsConfigs.length > 0) {
-  const defaultCert = certMap.values().next().value;
+let httpsServer = null;
 
-  const httpsServer = https.createServer(
+// Certificate for connections without a usable SNI name
+function defaultCertHost() {
+  const [first] = registry.current.httpsConfigs;
+  return first ? first.localSubdomain : 'localhost';
+}
+
+// Issue (or load) the certificates of all HTTPS sites up front, so
+// the first visitor doesn't wait on key generation
+function prefetchCerts(httpsConfigs) {
+  for (const cfg of httpsConfigs) {
+    certs.certificate(cfg.localSubdomain).catch((err) => {
+      console.error(`[CERT] Certificate for ${cfg.localSubdomain} failed: ${err.message}`);
+    });
+  }
+}
+
+async function startHttpsServer() {
+  if (httpsServer) return;
+
+  // A site's certificate is minted on the first handshake naming
+  // it if the prefetch hasn't got there yet; names no HTTPS site
+  // serves get the default certificate
+  httpsServer = https.createServer(
     {
-      key: defaultCert.key,
-      cert: defaultCert.cert,
       SNICallback: (servername, cb) => {
-        const siteCert = certMap.get(servername);
-        if (siteCert) {
-          cb(null, tls.createSecureContext({
-            key: siteCert.key,
-            cert: siteCert.cert,
-          }));
-        } else {
-          cb(null, tls.createSecureContext({
-            key: defaultCert.key,
-            cert: defaultCert.cert,
-          }));
-        }
+        const site = registry.current.router.findSite(servername);
+        const host = site && site.targetProtocol === 'https' ? servername : defaultCertHost();
+        certs.secureContext(host).then(context => cb(null, context), cb);
       },
     },
     handleRequest
   );
 
+  httpsServer.on('upgrade', handleUpgrade);
+
+  httpsServer.on('secureConnection', (tlsSocket) => {
+    const site = registry.current.router.findSite(tlsSocket.servername || '');
+    metrics.tlsHandshakes.inc({ servername: site ? site.localSubdomain : 'other' });
+  });
+
+  // Clients that send no SNI at all
+  const useDefaultCert = async () => {
+    const { key, cert } = await certs.certificate(defaultCertHost());
+    httpsServer.setSecureContext({ key, cert });
+  };
+
+  try {
+    await useDefaultCert();
+  } catch (err) {
+    console.error(`[CERT] Default certificate failed: ${err.message}`);
+    httpsServer = null;
+    return;
+  }
+
+  // Re-issued or rotated: SNI handshakes ask `certs` every time,
+  // only the default needs swapping
+  certs.onChange(() => {
+    useDefaultCert().catch(err => console.error(`[CERT] Default certificate failed: ${err.message}`));
+  });
+
   httpsServer.listen(HTTPS_PORT, () => {
     console.log(`[SERVER] HTTPS listening on port ${HTTPS_PORT}`);
   });
 }
 
+if (registry.current.httpsConfigs.length > 0) {
+  prefetchCerts(registry.current.httpsConfigs);
+  startHttpsServer();
+}
+
+// The HTTPS listener only exists once there is an HTTPS site, so
+// bring it up the first time a reload adds one.
+registry.onReload((snapshot) => {
+  console.log(`[CONFIG] Active sites: ${snapshot.configs.map(c => c.localSubdomain).join(', ') || '(none)'}`);
+  if (snapshot.httpsConfigs.length > 0) {
+    prefetchCerts(snapshot.httpsConfigs);
+    startHttpsServer();
+  }
+});
+
+registry.watch();
+certs.watch();
+
+process.on('SIGHUP', () => {
+  console.log('[CONFIG] SIGHUP received, reloading configs');
+  registry.reload();
+  certs.reload();
+});
+
+// Save cookie jars before exiting, then let the signal end the
+// process as it would have (`docker stop` sends SIGTERM)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    registry.close();
+    process.kill(process.pid, signal);
+  });
+}
+
 const httpServer = http.createServer((req, res) => {
-  const siteConfig = router.resolve(req);
+  const record = accessLog.track(req, res);
+  const siteConfig = registry.current.router.resolve(req);
 
   if (siteConfig && siteConfig.targetProtocol === 'https') {
     const location = `https://${siteConfig.localSubdomain}:${HTTPS_PORT}${req.url}`;
+    record.site = siteConfig.name;
     res.writeHead(301, { Location: location });
     return res.end();
   }
 
-  handleRequest(req, res);
+  handleRequest(req, res, record);
 });
 
+httpServer.on('upgrade', handleUpgrade);
+
 httpServer.listen(HTTP_PORT, () => {
   console.log(`[SERVER] HTTP  listening on port ${HTTP_PORT}`);
 });
 
+if (ADMIN_PORT) {
+  if (!ADMIN_TOKEN) {
+    console.error('[ADMIN] ADMIN_PORT is set but ADMIN_TOKEN is empty; admin API disabled');
+  } else {
+    createAdminServer(registry, { token: ADMIN_TOKEN }).listen(ADMIN_PORT, () => {
+      console.log(`[SERVER] Admin API listening on port ${ADMIN_PORT}`);
+    });
+  }
+}
+
+if (FORWARD_PROXY_PORT) {
+  for (const entry of FORWARD_PROXY_ALLOW) {
+    if (!isAddressRange(entry)) {
+      console.error(`[FATAL] FORWARD_PROXY_ALLOW: "${entry}" is not an IP address or CIDR range`);
+      process.exit(1);
+    }
+  }
+
+  const forwardProxy = createForwardProxy({
+    allow: addressList(FORWARD_PROXY_ALLOW),
+    resolveHost: host => registry.current.router.resolveHost(host),
+    secureContext: host => certs.secureContext(host),
+    handleRequest,
+    handleUpgrade,
+  });
+
+  forwardProxy.listen(FORWARD_PROXY_PORT, () => {
+    console.log(`[SERVER] Forward proxy listening on port ${FORWARD_PROXY_PORT}`);
+  });
+}
+
+if (METRICS_PORT) {
+  metrics.createServer().listen(METRICS_PORT, () => {
+    console.log(`[SERVER] Metrics listening on port ${METRICS_PORT} (/metrics)`);
+  });
+}
+
 // ── Startup banner ────────────────────────────────────────
+const { configs, router } = registry.current;
+
 console.log(`
 ╔══════════════════════════════════════════════════════════════════════╗
 ║                   Local Gateway Proxy Running                        ║
 ╠══════════════════════════════════════════════════════════════════════╣
 ║  HTTP:   port ${String(HTTP_PORT).padEnd(53)}║
-║  HTTPS:  port ${String(HTTPS_PORT).padEnd(53)}║
+║  HTTPS:  port ${String(HTTPS_PORT).padEnd(53)}║${FORWARD_PROXY_PORT ? `
+║  Proxy:  port ${String(FORWARD_PROXY_PORT).padEnd(53)}║` : ''}
 ║  Sites:  ${String(configs.length + ' loaded').padEnd(58)}║
 ╠══════════════════════════════════════════════════════════════════════╣`);
 
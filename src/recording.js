@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough, Transform } = require('stream');
+const { globToRegex } = require('./glob');
+
+/**
+ * Record-and-replay of upstream responses ([recording] sections):
+ *
+ *   mode = record  every request goes upstream and its response is saved
+ *   mode = replay  responses come only from the recording; the upstream
+ *                  is never contacted and anything missing gets the
+ *                  miss response
+ *   mode = hybrid  recorded responses are served, anything else is
+ *                  fetched and saved
+ *
+ * Responses are keyed on the method, the normalized upstream URL
+ * (query sorted, ignore_params dropped) and the request's
+ * key_headers, which are saved as digests only: they are often
+ * cookies or tokens. They are kept exactly as the upstream sent them, so
+ * a replay goes through the same rewriting, compression and cookie
+ * handling as a live response.
+ *
+ * A recording is a directory bundle that can be committed with the
+ * .conf file, one pair of files per response:
+ *
+ *   <dir>/<upstream host>/<key hash>.json   request key, status, headers
+ *   <dir>/<upstream host>/<key hash>.body   body as received
+ */
+
+// Headers that describe the original transfer, not the response,
+// and cookies, which belong to whoever was recording
+const UNRECORDED_HEADERS = new Set(['connection', 'keep-alive', 'transfer-encoding', 'set-cookie']);
+
+class Recording {
+  /**
+   * @param {object} siteConfig
+   * @param {string} dir - the bundle directory, already resolved
+   */
+  constructor(siteConfig, dir) {
+    this.name = siteConfig.name;
+    this.options = siteConfig.recording;
+    this.mode = this.options.mode;
+    this.dir = dir;
+    this.ignoreParams = this.options.ignoreParams.map(glob => globToRegex(glob));
+  }
+
+  /**
+   * Whether responses fetched from the upstream are saved.
+   */
+  get records() {
+    return this.mode === 'record' || this.mode === 'hybrid';
+  }
+
+  /**
+   * Whether the response to a request carrying `credentials` (the
+   * names of the headers that identify its user) may be saved:
+   * only if they are all part of the key, so that nobody else is
+   * ever served it.
+   */
+  mayRecord(credentials) {
+    return credentials.every(name => this.options.keyHeaders.includes(name));
+  }
+
+  /**
+   * What identifies the response to a request for `upstream`.
+   */
+  keyFor(req, upstream) {
+    const defaultPort = upstream.protocol === 'https' ? 443 : 80;
+    const port = upstream.port && upstream.port !== defaultPort ? `:${upstream.port}` : '';
+    const url = new URL(upstream.path, `${upstream.protocol}://${upstream.host.toLowerCase()}${port}`);
+
+    const params = [...url.searchParams]
+      .filter(([name]) => !this.ignoreParams.some(re => re.test(name)))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    url.search = new URLSearchParams(params).toString();
+
+    const headers = {};
+    for (const name of this.options.keyHeaders) {
+      headers[name] = headerDigest(String(req.headers[name] || '').trim());
+    }
+
+    const key = { method: req.method, url: url.toString(), headers };
+    const hash = crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex').slice(0, 32);
+    const hostDir = port ? `${upstream.host.toLowerCase()}_${upstream.port}` : upstream.host.toLowerCase();
+    return { ...key, file: path.join(this.dir, hostDir, hash) };
+  }
+
+  /**
+   * The recorded response for a key, or null.
+   */
+  async lookup(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(`${key.file}.json`, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      console.error(`[RECORDING] ${this.name}: cannot read ${key.file}.json: ${err.message}`);
+      return null;
+    }
+
+    if (!isEntry(entry)) {
+      console.error(`[RECORDING] ${this.name}: ${key.file}.json is not a recorded response`);
+      return null;
+    }
+
+    // Different requests with the same hash prefix
+    if (JSON.stringify(entry.request) !== JSON.stringify({ method: key.method, url: key.url, headers: key.headers })) {
+      return null;
+    }
+    if (entry.bodySize > 0 && !fs.existsSync(`${key.file}.body`)) {
+      console.error(`[RECORDING] ${this.name}: ${key.file}.body is missing`);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * A recorded response as a stand-in for the upstream's
+   * IncomingMessage: a readable body with status and headers.
+   */
+  replay(key, entry) {
+    let body;
+    if (entry.bodySize > 0) {
+      body = fs.createReadStream(`${key.file}.body`);
+    } else {
+      body = new PassThrough();
+      body.end();
+    }
+
+    const headers = {};
+    for (const [name, value] of entry.headers) {
+      const lower = name.toLowerCase();
+      if (lower === 'set-cookie') headers[lower] = [...(headers[lower] || []), value];
+      else headers[lower] = lower in headers ? `${headers[lower]}, ${value}` : value;
+    }
+
+    return Object.assign(body, {
+      statusCode: entry.status,
+      statusMessage: entry.statusText,
+      httpVersion: '1.1',
+      headers,
+      rawHeaders: entry.headers.flat(),
+    });
+  }
+
+  /**
+   * A pass-through stage that saves the upstream's response body
+   * (and status and headers) under `key` once it has been read
+   * completely; null for responses that aren't worth replaying
+   * (partial, not modified, server errors).
+   */
+  recorder(key, proxyRes) {
+    const status = proxyRes.statusCode;
+    if (status === 206 || status === 304 || status >= 500) return null;
+
+    const dir = path.dirname(key.file);
+    const tmp = `${key.file}.${process.pid}.tmp`;
+    let file = null;
+    let size = 0;
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      file = fs.createWriteStream(`${tmp}.body`);
+    } catch (err) {
+      console.error(`[RECORDING] ${this.name}: cannot write to ${dir}: ${err.message}`);
+      return null;
+    }
+    file.on('error', (err) => {
+      console.error(`[RECORDING] ${this.name}: cannot write ${key.file}.body: ${err.message}`);
+    });
+
+    const entry = {
+      request: { method: key.method, url: key.url, headers: key.headers },
+      status,
+      statusText: proxyRes.statusMessage || '',
+      headers: [],
+      recordedAt: new Date().toISOString(),
+      bodySize: 0,
+    };
+    const raw = proxyRes.rawHeaders;
+    for (let i = 0; i < raw.length; i += 2) {
+      if (!UNRECORDED_HEADERS.has(raw[i].toLowerCase())) entry.headers.push([raw[i], raw[i + 1]]);
+    }
+
+    // The response waits for the disk, so a slow disk cannot fill
+    // memory with a large body. A file that failed is skipped.
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (file.destroyed || file.write(chunk)) return callback(null, chunk);
+        const resume = () => {
+          file.off('drain', resume);
+          file.off('close', resume);
+          callback(null, chunk);
+        };
+        file.on('drain', resume);
+        file.on('close', resume);
+      },
+    });
+
+    stream.on('end', () => {
+      entry.bodySize = size;
+      file.end(() => {
+        if (file.errored) return discard();
+        try {
+          fs.writeFileSync(`${tmp}.json`, JSON.stringify(entry, null, 2) + '\n');
+          if (size > 0) fs.renameSync(`${tmp}.body`, `${key.file}.body`);
+          else fs.rmSync(`${tmp}.body`, { force: true });
+          // The .json last: it is what lookup() goes by
+          fs.renameSync(`${tmp}.json`, `${key.file}.json`);
+        } catch (err) {
+          console.error(`[RECORDING] ${this.name}: cannot save ${key.file}: ${err.message}`);
+          discard();
+        }
+      });
+    });
+
+    // Cut short (client or upstream gone): nothing is saved
+    stream.on('close', () => {
+      if (stream.readableEnded) return;
+      file.once('close', discard);
+      file.destroy();
+    });
+
+    function discard() {
+      fs.rm(`${tmp}.body`, { force: true }, () => {});
+      fs.rm(`${tmp}.json`, { force: true }, () => {});
+    }
+
+    return stream;
+  }
+}
+
+// A key header as stored in the bundle; '' stays '' so that
+// requests without the header can be told apart at a glance
+function headerDigest(value) {
+  return value ? `sha256:${crypto.createHash('sha256').update(value).digest('hex')}` : '';
+}
+
+// Bundles are meant to be edited by hand, so a file is checked
+// before anything relies on its shape
+function isEntry(entry) {
+  return Boolean(entry) && typeof entry === 'object' &&
+    Boolean(entry.request) && typeof entry.request === 'object' &&
+    Number.isInteger(entry.status) && entry.status >= 100 && entry.status <= 599 &&
+    (entry.statusText === undefined || typeof entry.statusText === 'string') &&
+    Array.isArray(entry.headers) &&
+    entry.headers.every(h => Array.isArray(h) && h.length === 2 &&
+      typeof h[0] === 'string' && /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(h[0]) &&
+      typeof h[1] === 'string' && !/[\r\n\0]/.test(h[1])) &&
+    Number.isInteger(entry.bodySize) && entry.bodySize >= 0;
+}
+
+module.exports = { Recording };
\ No newline at end of file
@@ -0,0 +1,140 @@
+const { globToRegex } = require('./glob');
+
+/**
+ * Site-specific find/replace rules from [replace] sections.
+ *
+ * Each rule is compiled on its own, so it can be tried against a
+ * sample body without a running proxy:
+ *
+ *   compileRule({ match: 'UA-\\d+', regex: true, flags: '', with: 'UA-0',
+ *                 contentTypes: [], paths: [], side: 'response' })
+ *     .apply(html)
+ */
+
+// Streamed bodies are replaced chunk by chunk. The last `window`
+// characters of each chunk are held back for the next, so a match
+// split across chunks is still found: a literal's length, or this
+// much for a regex (a longer regex match may be missed).
+const MAX_MATCH_CHARS = 16 * 1024;
+// A match running into the held-back text is held back whole,
+// unless it already starts this far back
+const MAX_CARRY_CHARS = 64 * 1024;
+
+function mediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * @param {object} rule - a parsed rule from config.replaceRules
+ * @returns {{ side: string, window: number, appliesTo(contentType: string, path: string): boolean,
+ *   apply(text: string): string, cutBefore(text: string, cut: number): number }}
+ */
+function compileRule(rule) {
+  const regex = rule.regex ? new RegExp(rule.match, `${rule.flags}g`) : null;
+  const paths = rule.paths.map(globToRegex);
+
+  return {
+    side: rule.side,
+    window: regex ? MAX_MATCH_CHARS : rule.match.length - 1,
+
+    appliesTo(contentType, path) {
+      if (rule.contentTypes.length > 0) {
+        const type = mediaType(contentType);
+        const matches = rule.contentTypes.some(t =>
+          t.endsWith('/*') ? type.startsWith(t.slice(0, -1)) : type === t
+        );
+        if (!matches) return false;
+      }
+
+      const pathname = (path || '/').split('?')[0];
+      return paths.length === 0 || paths.some(p => p.test(pathname));
+    },
+
+    // Literal rules replace every occurrence as-is; regex rules
+    // support $1, $<name> and $& in the replacement
+    apply(text) {
+      return regex ? text.replace(regex, rule.with) : text.split(rule.match).join(rule.with);
+    },
+
+    // Where `text` can be cut, at `cut` or before it, without
+    // splitting a match
+    cutBefore(text, cut) {
+      if (regex) {
+        regex.lastIndex = 0;
+        let m;
+        while ((m = regex.exec(text)) && m.index < cut) {
+          if (m.index + m[0].length > cut) return m.index;
+          if (m[0].length === 0) regex.lastIndex++;
+        }
+        return cut;
+      }
+      for (let i = text.indexOf(rule.match); i !== -1 && i < cut; i = text.indexOf(rule.match, i + rule.match.length)) {
+        if (i + rule.match.length > cut) return i;
+      }
+      return cut;
+    },
+  };
+}
+
+/**
+ * Compile a site's rules, keeping those used on one side
+ * ('response' or 'request').
+ */
+function compileRules(rules, side) {
+  return rules
+    .filter(rule => rule.side === side || rule.side === 'both')
+    .map(compileRule);
+}
+
+/**
+ * One rule applied to streamed text: what can no longer be part
+ * of a match is replaced and sent on, the rest is carried into
+ * the next write.
+ * @returns {{ write(text: string): string, end(): string }}
+ */
+function createRuleStage(rule) {
+  let carry = '';
+
+  return {
+    write(chunk) {
+      const text = carry + chunk;
+      const end = Math.max(0, text.length - rule.window);
+      let cut = rule.cutBefore(text, end);
+      if (text.length - cut > MAX_CARRY_CHARS) cut = end;
+
+      // Don't separate a surrogate pair
+      const code = text.charCodeAt(cut - 1);
+      if (code >= 0xd800 && code <= 0xdbff) cut--;
+
+      carry = text.slice(cut);
+      return cut > 0 ? rule.apply(text.slice(0, cut)) : '';
+    },
+
+    end() {
+      const text = carry;
+      carry = '';
+      return text ? rule.apply(text) : '';
+    },
+  };
+}
+
+/**
+ * Wraps an incremental processor so its output goes through the
+ * given rules, in order.
+ * @returns {{ write(text: string): string, end(): string }}
+ */
+function withRules(processor, rules) {
+  const stages = rules.map(createRuleStage);
+
+  return {
+    write(chunk) {
+      return stages.reduce((text, stage) => stage.write(text), processor.write(chunk));
+    },
+
+    end() {
+      return stages.reduce((text, stage) => stage.write(text) + stage.end(), processor.end());
+    },
+  };
+}
+
+module.exports = { compileRule, compileRules, withRules };
\ No newline at end of file
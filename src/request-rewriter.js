@@ -0,0 +1,204 @@
+/**
+ * Reverse rewriting for requests going upstream.
+ *
+ * Pages served through the proxy submit local URLs back to the
+ * upstream (redirect_uri, return_to, callback fields, Origin,
+ * Referer). These are mapped back to the upstream hosts with the
+ * same tables the Router resolves request paths with:
+ *
+ *   https://google.localgateway.com:443/g--lens/v1
+ *     → https://lens.google.com/v1
+ */
+
+const Router = require('./router');
+const { compileRules } = require('./replace-rules');
+
+// Larger bodies are streamed to the upstream untouched
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+const TEXT_BODY_TYPES = [
+  'application/x-www-form-urlencoded',
+  'application/json',
+  'text/plain',
+];
+
+// The ways a URL is written in a body: as-is, JSON-escaped
+// (`https:\/\/host\/path`) and percent-encoded
+// (`https%3A%2F%2Fhost%2Fpath`, as in urlencoded form fields)
+const FORMS = [
+  { separator: '://', colon: ':', slash: '/' },
+  { separator: ':\\/\\/', colon: ':', slash: '\\/' },
+  { separator: '%3A%2F%2F', colon: '%3A', slash: '%2F' },
+];
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isTextBody(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return TEXT_BODY_TYPES.includes(type) || type.endsWith('+json');
+}
+
+function multipartBoundary(contentType) {
+  const match = (contentType || '').match(/^\s*multipart\/form-data\s*;.*\bboundary=(?:"([^"]+)"|([^\s;]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Builds the reverse rewriter for a site config.
+ */
+function buildRequestRewriter(siteConfig) {
+  const router = new Router([siteConfig]);
+  const replaceRules = compileRules(siteConfig.replaceRules, 'request');
+  const host = escapeRegex(siteConfig.localSubdomain);
+
+  // Scheme, local host, optional port and the leading path
+  // segments that may hold a rewrite prefix
+  const matchers = FORMS.map(form => ({
+    form,
+    regex: new RegExp(
+      `\\b(https?|wss?)${escapeRegex(form.separator)}${host}(?![A-Za-z0-9-]|\\.[A-Za-z0-9])` +
+      `(?:${escapeRegex(form.colon)}\\d+)?` +
+      `((?:${escapeRegex(form.slash)}[A-Za-z0-9._~-]*)*)`,
+      'gi'
+    ),
+    slashes: new RegExp(escapeRegex(form.slash), 'gi'),
+  }));
+
+  function toUpstream(scheme, path, form) {
+    const target = router.getUpstream(siteConfig, path || '/');
+    const secure = target.protocol === 'https';
+    const protocol = scheme.toLowerCase().startsWith('ws') ? (secure ? 'wss' : 'ws') : target.protocol;
+    const port = target.port === (secure ? 443 : 80) ? '' : `${form.colon}${target.port}`;
+
+    // `/api` → `https://api.example.com`, not `…com/`
+    const rest = target.path === '/' && !path.endsWith('/') ? '' : target.path;
+
+    return `${protocol}${form.separator}${target.host}${port}${rest.split('/').join(form.slash)}`;
+  }
+
+  function rewriteText(text) {
+    for (const { form, regex, slashes } of matchers) {
+      text = text.replace(regex, (match, scheme, encodedPath) =>
+        toUpstream(scheme, encodedPath.replace(slashes, '/'), form)
+      );
+    }
+    return text;
+  }
+
+  /**
+   * Rewrite Origin and Referer in upstream request headers (in place).
+   */
+  function rewriteHeaders(headers) {
+    for (const name of ['origin', 'referer']) {
+      if (headers[name]) headers[name] = rewriteText(headers[name]);
+    }
+    return headers;
+  }
+
+  /**
+   * Whether the request's body should be buffered and rewritten.
+   */
+  function wantsBody(req) {
+    const { headers } = req;
+    const contentType = headers['content-type'];
+    const length = parseInt(headers['content-length'], 10);
+    if (!(length > 0) || length > MAX_BODY_BYTES) return false;
+    if (headers['content-encoding'] && headers['content-encoding'] !== 'identity') return false;
+    if (!isTextBody(contentType) && multipartBoundary(contentType) === null) return false;
+
+    return siteConfig.rewriteContent || replaceRules.some(rule => rule.appliesTo(contentType, req.url));
+  }
+
+  /**
+   * Rewrite a buffered request body (hosts, then the site's
+   * request-side [replace] rules); returns the body unchanged (the
+   * same Buffer) when nothing in it needed rewriting.
+   * @param {string} path - local request path, for path-scoped rules
+   */
+  function rewriteBody(body, contentType, path) {
+    const rules = replaceRules.filter(rule => rule.appliesTo(contentType, path));
+    const boundary = multipartBoundary(contentType);
+    if (boundary) return rewriteMultipart(body, boundary, rules);
+    return rewriteBuffer(body, rules);
+  }
+
+  function rewriteBuffer(buffer, rules) {
+    const text = buffer.toString('utf8');
+    let rewritten = siteConfig.rewriteContent ? rewriteText(text) : text;
+    for (const rule of rules) rewritten = rule.apply(rewritten);
+    return rewritten === text ? buffer : Buffer.from(rewritten, 'utf8');
+  }
+
+  // Only text fields and text file parts are rewritten; binary
+  // uploads are copied byte for byte
+  function rewriteMultipart(body, boundary, rules) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    let pos = body.indexOf(delimiter);
+    if (pos === -1) return body;
+
+    const out = [body.subarray(0, pos)];
+    let changed = false;
+
+    while (pos !== -1) {
+      const next = body.indexOf(delimiter, pos + delimiter.length);
+      if (next === -1) {
+        out.push(body.subarray(pos));
+        break;
+      }
+
+      const part = body.subarray(pos, next);
+      const headerEnd = part.indexOf('\r\n\r\n');
+      if (headerEnd !== -1 && isTextPart(part.subarray(0, headerEnd).toString('latin1'))) {
+        const content = part.subarray(headerEnd + 4);
+        const rewritten = rewriteBuffer(content, rules);
+        if (rewritten !== content) changed = true;
+        out.push(part.subarray(0, headerEnd + 4), rewritten);
+      } else {
+        out.push(part);
+      }
+      pos = next;
+    }
+
+    return changed ? Buffer.concat(out) : body;
+  }
+
+  return { rewriteText, rewriteHeaders, wantsBody, rewriteBody };
+}
+
+function isTextPart(partHeaders) {
+  const type = partHeaders.match(/^content-type:\s*([^\r\n;]+)/im);
+  if (!type) return !/\bfilename\*?=/i.test(partHeaders);
+  return /^text\//i.test(type[1].trim()) || isTextBody(type[1]);
+}
+
+/**
+ * Buffer a request body, giving up (error code BODY_TOO_LARGE)
+ * once it passes `limit` bytes.
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit = Infinity) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > limit) {
+        // Chunked bodies have no length up front to check
+        const err = new Error(`request body over ${limit} bytes`);
+        err.code = 'BODY_TOO_LARGE';
+        req.pause();
+        return reject(err);
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+    req.on('close', () => {
+      if (!req.complete) reject(new Error('client aborted the request'));
+    });
+  });
+}
+
+module.exports = { buildRequestRewriter, readBody, MAX_BODY_BYTES };
\ No newline at end of file
@@ -1,3 +1,9 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { createHtmlRewriter } = require('./html-rewriter');
+const { injectShimTag } = require('./shim');
+const { compileRules, withRules } = require('./replace-rules');
+
 const TEXT_CONTENT_TYPES = [
   'text/html',
   'text/css',
@@ -10,11 +16,112 @@ const TEXT_CONTENT_TYPES = [
   'application/xhtml+xml',
 ];
 
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Processor for bodies that only go through [replace] rules
+const PASSTHROUGH = { write: text => text, end: () => '' };
+
 function isTextContent(contentType) {
   if (!contentType) return false;
   return TEXT_CONTENT_TYPES.some(t => contentType.includes(t));
 }
 
+function isHtmlContent(contentType) {
+  if (!contentType) return false;
+  return HTML_CONTENT_TYPES.some(t => contentType.includes(t));
+}
+
+// Characters that can appear inside anything the rewriter matches
+// (schemes, `//`, hostnames, and their JSON-escaped `\/` and
+// percent-encoded `%2F` forms). A match never spans any other
+// character, so a streamed body can safely be cut right after one.
+const URL_CHAR = /[A-Za-z0-9._:\/\\%-]/;
+
+// Upper bound on how much text a stream holds back while waiting
+// for a delimiter; a single URL is never anywhere near this long.
+const MAX_CARRY = 64 * 1024;
+const CARRY_WINDOW = 1024;
+
+function safeCutIndex(text) {
+  for (let i = text.length - 1; i >= 0; i--) {
+    if (URL_CHAR.test(text[i])) continue;
+
+    // Don't separate a surrogate pair; cutting just before it is
+    // equally safe since no match can contain it.
+    const code = text.charCodeAt(i);
+    return code >= 0xd800 && code <= 0xdbff ? i : i + 1;
+  }
+  return 0;
+}
+
+/**
+ * Incremental text rewriting: only the text up to the last
+ * non-URL character is rewritten; the remainder is carried into
+ * the next write so a hostname split across two chunks is still
+ * replaced.
+ * @returns {{ write(text: string): string, end(): string }}
+ */
+function createTextProcessor(rewriteText) {
+  let carry = '';
+
+  return {
+    write(chunk) {
+      const text = carry + chunk;
+
+      let cut = safeCutIndex(text);
+      if (text.length - cut > MAX_CARRY) {
+        cut = text.length - CARRY_WINDOW;
+      }
+
+      carry = text.slice(cut);
+      return cut > 0 ? rewriteText(text.slice(0, cut)) : '';
+    },
+
+    end() {
+      const text = carry;
+      carry = '';
+      return text ? rewriteText(text) : '';
+    },
+  };
+}
+
+/**
+ * Wraps an incremental processor (text or HTML) in a Transform
+ * stream. Each chunk is decoded keeping split UTF-8 sequences
+ * intact.
+ */
+function createProcessorStream(processor) {
+  const decoder = new StringDecoder('utf8');
+
+  const stream = new Transform({
+    transform(chunk, encoding, cb) {
+      push(this, () => processor.write(decoder.write(chunk)));
+      cb();
+    },
+
+    flush(cb) {
+      push(this, () => processor.write(decoder.end()) + processor.end());
+      cb();
+    },
+  });
+
+  // Total time spent rewriting, in seconds
+  stream.rewriteSeconds = 0;
+
+  function push(target, run) {
+    const start = process.hrtime.bigint();
+    const out = run();
+    stream.rewriteSeconds += Number(process.hrtime.bigint() - start) / 1e9;
+    if (out) target.push(Buffer.from(out, 'utf8'));
+  }
+
+  return stream;
+}
+
+function createRewriteStream(rewriteText) {
+  return createProcessorStream(createTextProcessor(rewriteText));
+}
+
 /**
  * Builds a rewrite function for a given site config.
  */
@@ -24,25 +131,40 @@ function buildRewriter(siteConfig, localPort) {
   const localHostPort = `${siteConfig.localSubdomain}:${localPort}`;
 
   // Pre-compute static replacement pairs
-  const replacements = [];
+  const plain = [];
 
-  // Main target host
-  replacements.push(
-    { from: `https://${siteConfig.targetHost}`, to: localOrigin },
-    { from: `http://${siteConfig.targetHost}`, to: localOrigin },
-    { from: `//${siteConfig.targetHost}`, to: `//${localHostPort}` },
-  );
+  // Main target host, and any other backends it is balanced over
+  const targetHosts = new Set([siteConfig.targetHost, ...siteConfig.backends.map(b => b.host)]);
+  for (const host of targetHosts) {
+    plain.push(
+      { from: `https://${host}`, to: localOrigin },
+      { from: `http://${host}`, to: localOrigin },
+      { from: `//${host}`, to: `//${localHostPort}` },
+    );
+  }
 
   // Explicit rewrites
   for (const rw of siteConfig.rewrites) {
     const localRewriteOrigin = `${localOrigin}${rw.localPathPrefix}`;
-    replacements.push(
+    plain.push(
       { from: `https://${rw.externalHost}`, to: localRewriteOrigin },
       { from: `http://${rw.externalHost}`, to: localRewriteOrigin },
       { from: `//${rw.externalHost}`, to: `//${localHostPort}${rw.localPathPrefix}` },
     );
   }
 
+  // Every pair also in its JSON-escaped (`https:\/\/host`) and
+  // percent-encoded (`https%3A%2F%2Fhost`, either case) forms
+  const replacements = [];
+  for (const { from, to } of plain) {
+    replacements.push(
+      { from, to },
+      { from: escapeJson(from), to: escapeJson(to) },
+      { from: encodeURIComponent(from), to: encodeURIComponent(to) },
+      { from: encodeURIComponent(from).toLowerCase(), to: encodeURIComponent(to).toLowerCase() },
+    );
+  }
+
   // Build wildcard regex replacers
   // e.g., *.google.com = /g
   // https://lensfrontend-pa.clients6.google.com/v1/foo
@@ -50,9 +172,10 @@ function buildRewriter(siteConfig, localPort) {
   const wildcardReplacers = siteConfig.wildcardRewrites.map(wc => {
     const escapedRoot = wc.rootDomain.replace(/\./g, '\\.');
     return {
-      // Match https://anything.rootdomain.com or http:// or //
+      // Match https://anything.rootdomain.com, http://, ws://, wss:// or //,
+      // also with JSON-escaped (\/\/) or percent-encoded (%3A%2F%2F) slashes
       regex: new RegExp(
-        `(https?:)?//([a-zA-Z0-9._-]+)\\.${escapedRoot}`,
+        String.raw`((?:https?|wss?)(?::|%3[aA]))?(\/\/|\\\/\\\/|%2[fF]%2[fF])([a-zA-Z0-9._-]+)\.` + escapedRoot,
         'g'
       ),
       localPathPrefix: wc.localPathPrefix,
@@ -60,28 +183,86 @@ function buildRewriter(siteConfig, localPort) {
     };
   });
 
-  return function rewrite(body, contentType) {
-    if (!siteConfig.rewriteContent) return body;
-    if (!isTextContent(contentType)) return body;
-    if (!body || body.length === 0) return body;
-
-    let content = body.toString('utf8');
-
+  function rewriteText(content) {
     // Apply static replacements
     for (const { from, to } of replacements) {
       content = content.split(from).join(to);
     }
 
-    // Apply wildcard replacements
+    // Apply wildcard replacements, keeping the form they were written in
     for (const wc of wildcardReplacers) {
-      content = content.replace(wc.regex, (match, protocol, subdomain) => {
-        const proto = protocol || `${localProtocol}:`;
-        return `${proto}//${localHostPort}${wc.localPathPrefix}--${subdomain}`;
+      content = content.replace(wc.regex, (match, protocol, slashes, subdomain) => {
+        const rest = `${localHostPort}${wc.localPathPrefix}--${subdomain}`;
+        if (slashes === '//') {
+          return `${protocol || `${localProtocol}:`}//${rest}`;
+        }
+        if (slashes[0] === '\\') {
+          return `${protocol || `${localProtocol}:`}${escapeJson(`//${rest}`)}`;
+        }
+        return `${protocol || `${localProtocol}%3A`}${encodeURIComponent(`//${rest}`)}`;
       });
     }
 
-    return Buffer.from(content, 'utf8');
+    return content;
+  }
+
+  const htmlMode = siteConfig.rewriteMode === 'html';
+  const htmlOptions = {
+    rewriteText,
+    createTextProcessor: () => createTextProcessor(rewriteText),
+    dataAttributes: siteConfig.rewriteDataAttributes,
   };
+
+  const replaceRules = compileRules(siteConfig.replaceRules, 'response');
+
+  // Processor for one body: host rewriting (text or HTML), then
+  // the site's [replace] rules, then the runtime shim's <script>
+  // tag. Null when there is nothing to do for this body.
+  function createProcessor(contentType, path) {
+    const html = isHtmlContent(contentType);
+    const rules = replaceRules.filter(rule => rule.appliesTo(contentType, path));
+    if (!siteConfig.rewriteContent && rules.length === 0) return null;
+
+    let processor = PASSTHROUGH;
+    if (siteConfig.rewriteContent) {
+      processor = htmlMode && html
+        ? createHtmlRewriter(htmlOptions)
+        : createTextProcessor(rewriteText);
+    }
+    if (rules.length > 0) processor = withRules(processor, rules);
+    if (siteConfig.rewriteContent && siteConfig.injectShim && html) {
+      processor = injectShimTag(processor);
+    }
+    return processor;
+  }
+
+  function rewrite(body, contentType, path) {
+    if (!isTextContent(contentType)) return body;
+    if (!body || body.length === 0) return body;
+
+    const processor = createProcessor(contentType, path);
+    if (!processor) return body;
+    return Buffer.from(processor.write(body.toString('utf8')) + processor.end(), 'utf8');
+  }
+
+  // Exposed for callers that already hold decoded text
+  // (e.g. WebSocket text frames)
+  rewrite.text = rewriteText;
+
+  // Returns a Transform that rewrites a streamed body, or null
+  // when this body is passed through untouched. `path` is the
+  // local request path, for path-scoped [replace] rules.
+  rewrite.stream = function (contentType, path) {
+    if (!isTextContent(contentType)) return null;
+    const processor = createProcessor(contentType, path);
+    return processor ? createProcessorStream(processor) : null;
+  };
+
+  return rewrite;
+}
+
+function escapeJson(text) {
+  return text.replace(/\//g, '\\/');
 }
 
-module.exports = { buildRewriter, isTextContent };
\ No newline at end of file
+module.exports = { buildRewriter, createRewriteStream, isTextContent, isHtmlContent };
\ No newline at end of file
@@ -1,21 +1,84 @@
 /**
  * Routes incoming requests to the correct site config
- * based on the Host header, and resolves the upstream
- * target host (handling rewrite path prefixes and wildcards).
+ * based on the Host header, matches a site's [route] rules,
+ * and resolves the upstream target host (handling rewrite
+ * path prefixes and wildcards).
  */
 
+const { globToRegex } = require('./glob');
+
 class Router {
   constructor(configs) {
     this.routeMap = new Map();
+    // local subdomain → compiled [route] rules, in file order
+    this.rules = new Map();
+    // upstream host → { config, prefix }, and wildcard roots, for
+    // clients that ask for the upstream host itself (forward proxy)
+    this.hostMap = new Map();
+    this.wildcards = [];
 
     for (const config of configs) {
       this.routeMap.set(config.localSubdomain, config);
+      this.rules.set(config.localSubdomain, (config.routes || []).map(compileRoute));
+    }
+
+    // Earlier sites win a host claimed twice
+    for (const config of configs) {
+      const hosts = [
+        [config.targetHost, ''],
+        ...(config.backends || []).map(b => [b.host, '']),
+        ...config.rewrites.map(rw => [rw.externalHost, rw.localPathPrefix]),
+      ];
+      for (const [host, prefix] of hosts) {
+        const key = host.toLowerCase();
+        if (!this.hostMap.has(key)) this.hostMap.set(key, { config, prefix });
+      }
+      for (const wc of config.wildcardRewrites) {
+        this.wildcards.push({ config, rootDomain: wc.rootDomain.toLowerCase(), localPathPrefix: wc.localPathPrefix });
+      }
     }
   }
 
   resolve(req) {
-    const hostHeader = (req.headers.host || '').split(':')[0];
-    return this.routeMap.get(hostHeader) || null;
+    return this.findSite((req.headers.host || '').split(':')[0]);
+  }
+
+  /**
+   * Site served under a local subdomain (Host header or SNI name).
+   * @returns {object|null}
+   */
+  findSite(host) {
+    return this.routeMap.get(host.toLowerCase()) || null;
+  }
+
+  /**
+   * Site for a host name as a client asked for it: a local
+   * subdomain, or an upstream host some site mirrors (its
+   * target host, a backend, a [rewrites] host or a host under a
+   * wildcard root). `prefix` is the local path prefix that host
+   * is served under, so that
+   *
+   *   lens.google.com/v1  →  google.localgateway.com/g--lens/v1
+   *
+   * Returns null for hosts no site knows.
+   * @returns {{ config: object, prefix: string }|null}
+   */
+  resolveHost(host) {
+    host = host.toLowerCase();
+
+    const local = this.routeMap.get(host);
+    if (local) return { config: local, prefix: '' };
+
+    const upstream = this.hostMap.get(host);
+    if (upstream) return upstream;
+
+    for (const wc of this.wildcards) {
+      if (host.endsWith(`.${wc.rootDomain}`)) {
+        const sub = host.slice(0, -wc.rootDomain.length - 1);
+        return { config: wc.config, prefix: `${wc.localPathPrefix}--${sub}` };
+      }
+    }
+    return null;
   }
 
   /**
@@ -91,9 +154,113 @@ class Router {
     };
   }
 
+  /**
+   * The request's target in origin form ("/path?query"). An
+   * absolute-form target ("http://host/path", as sent to proxies)
+   * is accepted only when it names the site's local subdomain;
+   * null for any other target.
+   */
+  originForm(req, siteConfig) {
+    if (req.url.startsWith('/')) return req.url;
+    if (!/^https?:\/\//i.test(req.url) || !URL.canParse(req.url)) return null;
+
+    const url = new URL(req.url);
+    if (url.hostname.toLowerCase() !== siteConfig.localSubdomain.toLowerCase()) return null;
+    return url.pathname + url.search;
+  }
+
+  /**
+   * A request URL with its path in canonical form: escaped
+   * unreserved characters decoded, repeated slashes merged and
+   * `.`/`..` segments resolved. The query is left as it is.
+   *
+   * Upstreams treat `//api/x`, `/%61pi/x` and `/x/../api/x` as
+   * `/api/x`, so [route] rules must see (and the upstream must be
+   * sent) the same path, or a rule could be stepped around.
+   */
+  normalizeUrl(url) {
+    if (!url.startsWith('/')) return url;
+
+    const queryAt = url.indexOf('?');
+    const rawPath = queryAt === -1 ? url : url.slice(0, queryAt);
+    const query = queryAt === -1 ? '' : url.slice(queryAt);
+
+    const decoded = rawPath.replace(/%([0-9a-fA-F]{2})/g, (m, hex) => {
+      const c = String.fromCharCode(parseInt(hex, 16));
+      return /[A-Za-z0-9._~-]/.test(c) ? c : m.toUpperCase();
+    });
+
+    const segments = decoded.split('/').slice(1);
+    const out = [];
+    segments.forEach((segment, i) => {
+      const last = i === segments.length - 1;
+      if (segment === '..') out.pop();
+      else if (segment !== '.' && (segment !== '' || last)) out.push(segment);
+      // "/a/b/.." is "/a/"
+      if (last && (segment === '.' || segment === '..')) out.push('');
+    });
+
+    return '/' + out.join('/') + query;
+  }
+
+  /**
+   * First [route] rule of the site matching the request's
+   * method, path and headers, or null. The result is the rule
+   * plus `label` (its name, or `#n`) and `captures` from
+   * path_regex for `$1`-style substitution. The request's URL
+   * should have been through normalizeUrl().
+   */
+  matchRoute(siteConfig, req) {
+    const rules = this.rules.get(siteConfig.localSubdomain) || [];
+    const path = req.url.split('?')[0];
+
+    for (const rule of rules) {
+      if (rule.methods.size > 0 && !rule.methods.has(req.method)) continue;
+      if (rule.paths.length > 0 && !rule.paths.some(p => p.test(path))) continue;
+
+      const captures = rule.pathRegex ? rule.pathRegex.exec(path) : [];
+      if (!captures) continue;
+
+      // A missing header never matches
+      const headersMatch = rule.headers.every(([name, glob]) =>
+        req.headers[name] !== undefined && glob.test(String(req.headers[name]))
+      );
+      if (!headersMatch) continue;
+
+      return { ...rule.route, label: rule.label, captures };
+    }
+    return null;
+  }
+
+  /**
+   * Upstream for a request matched by an `action = upstream`
+   * route: the path is sent unchanged to the route's target,
+   * which defaults to the site's protocol.
+   */
+  getRouteUpstream(siteConfig, route, requestPath) {
+    const protocol = route.targetProtocol || siteConfig.targetProtocol;
+    return {
+      host: route.targetHost,
+      path: requestPath,
+      protocol,
+      port: route.targetPort || (protocol === 'https' ? 443 : 80),
+    };
+  }
+
   listRoutes() {
     return [...this.routeMap.values()];
   }
 }
 
+function compileRoute(route, index) {
+  return {
+    route,
+    label: route.name || `#${index + 1}`,
+    methods: new Set(route.methods),
+    paths: route.paths.map(glob => globToRegex(glob)),
+    pathRegex: route.pathRegex ? new RegExp(route.pathRegex) : null,
+    headers: Object.entries(route.headers).map(([name, glob]) => [name, globToRegex(glob, 'i')]),
+  };
+}
+
 module.exports = Router;
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * Client-side runtime shim (`inject_shim = true`).
+ *
+ * Single-page apps often build URLs at runtime
+ * (`'https://' + sub + '.example.com'`), which no body rewriting
+ * can catch. The shim is a small script, served from SHIM_PATH and
+ * injected into HTML responses, that wraps the browser APIs those
+ * URLs end up in and maps upstream hosts onto the local origin with
+ * the same tables the Router resolves them with.
+ */
+
+const SHIM_PATH = '/__proxy-mirror/shim.js';
+const SHIM_TAG = `<script src="${SHIM_PATH}"></script>`;
+
+// How much of an HTML body is searched for <head> before falling
+// back to the start of the document
+const INJECT_SCAN_LIMIT = 64 * 1024;
+
+const HEAD_OPEN = /<head\b[^>]*>/i;
+const DOCUMENT_START = /^(?:\s*<!--[\s\S]*?-->)*(\s*<!doctype[^>]*>)?(\s*<html\b[^>]*>)?/i;
+
+/**
+ * Runs in the browser. Serialized with Function#toString, so it
+ * must not reference anything outside its own body.
+ */
+function clientRuntime(table) {
+  if (window.__proxyMirror) return;
+
+  function prefixFor(host) {
+    host = host.toLowerCase();
+    if (host === table.targetHost) return '';
+    if (Object.prototype.hasOwnProperty.call(table.hosts, host)) return table.hosts[host];
+    for (const wc of table.wildcards) {
+      if (host.endsWith('.' + wc.rootDomain)) {
+        return wc.localPathPrefix + '--' + host.slice(0, -wc.rootDomain.length - 1);
+      }
+    }
+    return null;
+  }
+
+  // Upstream URL → local URL; anything else is returned as given
+  function rewriteUrl(input) {
+    if (typeof input !== 'string' && !(input instanceof URL)) return input;
+
+    let url;
+    try {
+      url = new URL(String(input), location.href);
+    } catch (e) {
+      return input;
+    }
+    if (!/^(https?|wss?):$/.test(url.protocol)) return input;
+
+    const prefix = prefixFor(url.hostname);
+    if (prefix === null) return input;
+
+    const secure = location.protocol === 'https:';
+    const protocol = url.protocol[0] === 'w' ? (secure ? 'wss:' : 'ws:') : location.protocol;
+    return `${protocol}//${location.host}${prefix}${url.pathname}${url.search}${url.hash}`;
+  }
+
+  function rewriteSrcset(value) {
+    return String(value).split(',').map((candidate) => {
+      const match = candidate.match(/^(\s*)(\S+)(.*)$/);
+      return match ? match[1] + rewriteUrl(match[2]) + match[3] : candidate;
+    }).join(',');
+  }
+
+  const fetch = window.fetch;
+  if (fetch) {
+    window.fetch = function (input, init) {
+      if (input instanceof Request) {
+        const url = rewriteUrl(input.url);
+        if (url !== input.url) input = new Request(url, input);
+      } else {
+        input = rewriteUrl(input);
+      }
+      return fetch.call(this, input, init);
+    };
+  }
+
+  const open = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    return open.call(this, method, rewriteUrl(url), ...rest);
+  };
+
+  if (window.WebSocket) {
+    window.WebSocket = class extends window.WebSocket {
+      constructor(url, protocols) {
+        super(rewriteUrl(url), protocols);
+      }
+    };
+  }
+
+  if (window.EventSource) {
+    window.EventSource = class extends window.EventSource {
+      constructor(url, init) {
+        super(rewriteUrl(url), init);
+      }
+    };
+  }
+
+  if (navigator.sendBeacon) {
+    const sendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function (url, data) {
+      return sendBeacon.call(this, rewriteUrl(url), data);
+    };
+  }
+
+  const setAttribute = Element.prototype.setAttribute;
+  Element.prototype.setAttribute = function (name, value) {
+    const attr = String(name).toLowerCase();
+    if (table.urlAttributes.includes(attr)) {
+      value = rewriteUrl(String(value));
+    } else if (attr === 'srcset' || attr === 'imagesrcset') {
+      value = rewriteSrcset(value);
+    }
+    return setAttribute.call(this, name, value);
+  };
+
+  window.__proxyMirror = { rewriteUrl };
+}
+
+/**
+ * Generate the shim script for a site.
+ */
+function buildShim(siteConfig) {
+  const table = {
+    targetHost: siteConfig.targetHost.toLowerCase(),
+    hosts: Object.fromEntries([
+      ...siteConfig.backends.map(b => [b.host.toLowerCase(), '']),
+      ...siteConfig.rewrites.map(rw => [rw.externalHost.toLowerCase(), rw.localPathPrefix]),
+    ]),
+    wildcards: siteConfig.wildcardRewrites.map(wc => ({
+      rootDomain: wc.rootDomain.toLowerCase(),
+      localPathPrefix: wc.localPathPrefix,
+    })),
+    urlAttributes: ['href', 'src', 'action', 'formaction', 'poster', 'data'],
+  };
+
+  // `<` is escaped so no value can close the script early
+  const json = JSON.stringify(table).replace(/</g, '\\u003c');
+  return `/* proxy-mirror runtime shim for ${siteConfig.name.replace(/\*\//g, '')} */\n` +
+    `(${clientRuntime})(${json});\n`;
+}
+
+/**
+ * Wraps an incremental processor so its output gets the shim's
+ * <script> tag right after <head>. Without a <head> the tag goes
+ * after the doctype or <html>; a body with neither (an HTML
+ * fragment) is left alone.
+ * @returns {{ write(text: string): string, end(): string }}
+ */
+function injectShimTag(processor) {
+  let pending = '';
+  let done = false;
+
+  function place(text, final) {
+    if (done) return text;
+    pending += text;
+
+    let at = -1;
+    const head = HEAD_OPEN.exec(pending);
+    if (head) {
+      at = head.index + head[0].length;
+    } else if (final || pending.length > INJECT_SCAN_LIMIT) {
+      const start = DOCUMENT_START.exec(pending);
+      at = start[1] || start[2] ? start[0].length : null;
+    }
+    if (at === -1) return '';
+
+    const out = at === null ? pending : pending.slice(0, at) + SHIM_TAG + pending.slice(at);
+    done = true;
+    pending = '';
+    return out;
+  }
+
+  return {
+    write: chunk => place(processor.write(chunk), false),
+    end: () => place(processor.end(), true),
+  };
+}
+
+module.exports = { SHIM_PATH, buildShim, injectShimTag };
\ No newline at end of file
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseConfFile,
+  findDuplicateSubdomains,
+  hasErrors,
+  formatProblem,
+  describeConfig,
+} = require('./config-parser');
+const { buildRewriter } = require('./rewriter');
+const { buildRequestRewriter } = require('./request-rewriter');
+const { ResponseCache } = require('./cache');
+const { buildShim } = require('./shim');
+const { Balancer } = require('./balancer');
+const { CookieJar } = require('./cookie-jar');
+const { AuthGate } = require('./auth');
+const { CaptureStore } = require('./capture');
+const { Recording } = require('./recording');
+const { buildCookieHandler } = require('./cookie-handler');
+const Router = require('./router');
+
+const RELOAD_DEBOUNCE_MS = 250;
+
+/**
+ * Owns the loaded site configs and everything derived from
+ * them (route table, response and request rewriters, cookie
+ * handlers, response caches, runtime shims, backend balancers,
+ * cookie jars, auth gates, capture stores, recordings).
+ * Certificates are issued on demand by the CertificateAuthority.
+ *
+ * Derived state lives in a single immutable snapshot that is
+ * replaced wholesale on reload, so a request that grabbed
+ * `registry.current` keeps a consistent view even if the
+ * config changes underneath it.
+ */
+class SiteRegistry {
+  constructor(confDir, { httpPort, httpsPort }) {
+    this.confDir = confDir;
+    this.httpPort = httpPort;
+    this.httpsPort = httpsPort;
+
+    // file name → { mtimeMs, config } of the last good parse
+    this.files = new Map();
+    // file name → mtimeMs of a version that failed to parse,
+    // so an unchanged broken file isn't reported on every reload
+    this.failed = new Map();
+    // local subdomain → ResponseCache of the current snapshot; a
+    // cache survives reloads as long as its site's config is unchanged
+    this.caches = new Map();
+    // local subdomain → Balancer of the current snapshot; kept (with
+    // its backend health) while the site's config is unchanged
+    this.balancers = new Map();
+    // local subdomain → CookieJar, kept (with its sessions) while
+    // the site's [cookie_jar] settings are unchanged
+    this.cookieJars = new Map();
+    // local subdomain → CaptureStore, kept while [capture] is unchanged
+    this.captures = new Map();
+    this.listeners = [];
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    this.swap(this.buildSnapshot([]));
+  }
+
+  /**
+   * Register a callback invoked with the new snapshot after
+   * every successful reload.
+   */
+  onReload(fn) {
+    this.listeners.push(fn);
+  }
+
+  /**
+   * (Re)scan the conf directory. Only new or modified files are
+   * parsed again; a file that fails to parse is reported and its
+   * previous config (if any) stays active.
+   */
+  reload() {
+    if (!fs.existsSync(this.confDir)) {
+      console.error(`[CONFIG] Config directory not found: ${this.confDir}`);
+      return this.current;
+    }
+
+    const names = fs.readdirSync(this.confDir).filter(f => f.endsWith('.conf')).sort();
+
+    if (names.length === 0) {
+      console.warn(`[CONFIG] No .conf files found in ${this.confDir}`);
+    }
+
+    const nextFiles = new Map();
+
+    for (const file of names) {
+      const filePath = path.join(this.confDir, file);
+      const previous = this.files.get(file);
+
+      let mtimeMs;
+      try {
+        mtimeMs = fs.statSync(filePath).mtimeMs;
+      } catch (err) {
+        // Vanished between readdir and stat
+        continue;
+      }
+
+      if (previous && previous.mtimeMs === mtimeMs) {
+        nextFiles.set(file, previous);
+        continue;
+      }
+
+      if (this.failed.get(file) === mtimeMs) {
+        if (previous) nextFiles.set(file, previous);
+        continue;
+      }
+
+      const problems = [];
+      let config = null;
+      try {
+        config = parseConfFile(filePath, problems);
+      } catch (err) {
+        problems.push({ file: filePath, line: 0, severity: 'error', message: err.message });
+      }
+
+      for (const problem of problems) {
+        const log = problem.severity === 'error' ? console.error : console.warn;
+        log(`[CONFIG] ${formatProblem(problem)}`);
+      }
+
+      if (hasErrors(problems)) {
+        console.error(`[CONFIG] Failed to load ${file}`);
+        this.failed.set(file, mtimeMs);
+        if (previous) {
+          console.error(`[CONFIG]   Keeping previous config for ${previous.config.localSubdomain}`);
+          nextFiles.set(file, previous);
+        }
+        continue;
+      }
+
+      nextFiles.set(file, { mtimeMs, config });
+      this.failed.delete(file);
+      console.log(
+        `[CONFIG] ${previous ? 'Reloaded' : 'Loaded'}: ${file} -> ` +
+        `${config.localSubdomain} => ${config.targetHost}` +
+        (config.enabled ? '' : ' (disabled)')
+      );
+      if (config.wildcardRewrites.length > 0) {
+        console.log(`[CONFIG]   Wildcards: ${config.wildcardRewrites.map(w => '*.' + w.rootDomain).join(', ')}`);
+      }
+    }
+
+    // Two files claiming one subdomain: the first by name keeps it
+    // (nextFiles is filled in sorted file order)
+    const claims = [...nextFiles].map(([file, entry]) => ({ file, config: entry.config }));
+
+    for (const problem of findDuplicateSubdomains(claims)) {
+      console.error(`[CONFIG] ${formatProblem(problem)}`);
+      console.error(`[CONFIG] Skipped: ${problem.file}`);
+      nextFiles.delete(problem.file);
+    }
+
+    for (const file of this.failed.keys()) {
+      if (!names.includes(file)) this.failed.delete(file);
+    }
+
+    for (const [file, entry] of this.files) {
+      if (!nextFiles.has(file)) {
+        console.log(`[CONFIG] Removed: ${file} (${entry.config.localSubdomain})`);
+      }
+    }
+
+    const configs = [...nextFiles.values()].map(e => e.config);
+
+    let snapshot;
+    try {
+      snapshot = this.buildSnapshot(configs);
+    } catch (err) {
+      console.error(`[CONFIG] Reload aborted, keeping current sites: ${err.message}`);
+      return this.current;
+    }
+
+    this.files = nextFiles;
+    this.swap(snapshot);
+
+    for (const fn of this.listeners) fn(snapshot);
+
+    return snapshot;
+  }
+
+  /**
+   * Every successfully loaded site, including disabled ones.
+   * @returns {{ id: string, file: string, config: object }[]}
+   */
+  sites() {
+    return [...this.files].map(([file, entry]) => ({
+      id: path.basename(file, '.conf'),
+      file: path.join(this.confDir, file),
+      config: entry.config,
+    }));
+  }
+
+  buildSnapshot(allConfigs) {
+    // Disabled sites stay loaded (and listed by the admin API)
+    // but get no route or rewriter.
+    const configs = allConfigs.filter(c => c.enabled);
+    const httpsConfigs = configs.filter(c => c.targetProtocol === 'https');
+
+    const rewriters = new Map();
+    const requestRewriters = new Map();
+    const cookieHandlers = new Map();
+    const caches = new Map();
+    const shims = new Map();
+    const balancers = new Map();
+    const cookieJars = new Map();
+    const gates = new Map();
+    const captures = new Map();
+    const recordings = new Map();
+    const router = new Router(configs);
+
+    try {
+      for (const cfg of configs) {
+        rewriters.set(cfg.localSubdomain, buildRewriter(cfg, this.localPortFor(cfg)));
+        requestRewriters.set(cfg.localSubdomain, buildRequestRewriter(cfg));
+        cookieHandlers.set(cfg.localSubdomain, buildCookieHandler(cfg));
+        if (cfg.cache.enabled) caches.set(cfg.localSubdomain, this.cacheFor(cfg));
+        if (cfg.injectShim) shims.set(cfg.localSubdomain, buildShim(cfg));
+        if (cfg.backends.length > 1 || cfg.balance.healthCheckPath) {
+          balancers.set(cfg.localSubdomain, this.balancerFor(cfg));
+        }
+        if (cfg.cookieJar.enabled) cookieJars.set(cfg.localSubdomain, this.jarFor(cfg));
+        if (cfg.auth.type || cfg.auth.allow.length > 0 || cfg.auth.deny.length > 0) {
+          gates.set(cfg.localSubdomain, new AuthGate(cfg));
+        }
+        if (cfg.capture.enabled) captures.set(cfg.localSubdomain, this.captureFor(cfg));
+        if (cfg.recording.mode) {
+          // Relative bundles sit next to the .conf files
+          recordings.set(cfg.localSubdomain, new Recording(cfg, path.resolve(this.confDir, cfg.recording.dir)));
+        }
+      }
+    } catch (err) {
+      // Nothing half-built is left running
+      release({ balancers, cookieJars, captures }, this);
+      throw err;
+    }
+
+    return Object.freeze({
+      configs,
+      httpsConfigs,
+      router,
+      rewriters,
+      requestRewriters,
+      cookieHandlers,
+      caches,
+      shims,
+      balancers,
+      cookieJars,
+      gates,
+      captures,
+      recordings,
+    });
+  }
+
+  /**
+   * Make `snapshot` current, then stop and save what the previous
+   * one had and this one no longer uses (each exactly once).
+   */
+  swap(snapshot) {
+    const previous = { balancers: this.balancers, cookieJars: this.cookieJars, captures: this.captures };
+
+    this.current = snapshot;
+    this.caches = snapshot.caches;
+    this.balancers = snapshot.balancers;
+    this.cookieJars = snapshot.cookieJars;
+    this.captures = snapshot.captures;
+
+    release(previous, snapshot);
+  }
+
+  /**
+   * Reuse the site's cache if nothing that shapes its stored
+   * (already rewritten) bodies has changed, else start afresh.
+   */
+  cacheFor(cfg) {
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify([describeConfig(cfg), this.localPortFor(cfg)]))
+      .digest('hex')
+      .slice(0, 16);
+
+    const existing = this.caches.get(cfg.localSubdomain);
+    if (existing && existing.fingerprint === fingerprint) return existing;
+
+    return new ResponseCache(cfg.name, cfg.cache, fingerprint);
+  }
+
+  /**
+   * Reuse the site's balancer (and what it knows about backend
+   * health) if its backends and [balance] settings are unchanged.
+   */
+  balancerFor(cfg) {
+    const fingerprint = JSON.stringify([
+      cfg.name, cfg.backends, cfg.balance, cfg.targetPort, cfg.targetProtocol, cfg.upstream,
+    ]);
+
+    const existing = this.balancers.get(cfg.localSubdomain);
+    if (existing && existing.fingerprint === fingerprint) return existing;
+
+    const balancer = new Balancer(cfg);
+    balancer.fingerprint = fingerprint;
+    return balancer;
+  }
+
+  /**
+   * Reuse the site's cookie jar (and its sessions) if its
+   * [cookie_jar] settings are unchanged. A replaced jar is saved
+   * first, so its successor starts from the same sessions.
+   */
+  jarFor(cfg) {
+    const fingerprint = JSON.stringify([cfg.name, cfg.localSubdomain, cfg.targetProtocol, cfg.cookieJar]);
+
+    const existing = this.cookieJars.get(cfg.localSubdomain);
+    if (existing && existing.fingerprint === fingerprint) return existing;
+    if (existing) existing.flush();
+
+    return new CookieJar(cfg, fingerprint);
+  }
+
+  /**
+   * Reuse the site's capture store if its [capture] settings are
+   * unchanged; a replaced one writes out what it still holds.
+   */
+  captureFor(cfg) {
+    const fingerprint = JSON.stringify([cfg.name, cfg.localSubdomain, cfg.targetProtocol, cfg.capture]);
+
+    const existing = this.captures.get(cfg.localSubdomain);
+    if (existing && existing.fingerprint === fingerprint) return existing;
+
+    return new CaptureStore(cfg, fingerprint);
+  }
+
+  /**
+   * Save what has to outlive the process (cookie jar sessions,
+   * queued captures).
+   */
+  close() {
+    for (const jar of this.cookieJars.values()) jar.close();
+    for (const store of this.captures.values()) store.close();
+  }
+
+  localPortFor(cfg) {
+    return cfg.targetProtocol === 'https' ? this.httpsPort : this.httpPort;
+  }
+
+  /**
+   * Reload whenever something in the conf directory changes.
+   * Editors often write a file in several steps, so events are
+   * debounced into a single reload.
+   */
+  watch() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(this.confDir, (eventType, filename) => {
+        if (filename && !filename.endsWith('.conf')) return;
+        this.scheduleReload();
+      });
+    } catch (err) {
+      console.warn(`[CONFIG] Cannot watch ${this.confDir}: ${err.message} (send SIGHUP to reload)`);
+      return;
+    }
+
+    this.watcher.on('error', (err) => {
+      console.warn(`[CONFIG] Watcher stopped: ${err.message} (send SIGHUP to reload)`);
+      this.watcher = null;
+    });
+
+    console.log(`[CONFIG] Watching ${this.confDir} for changes`);
+  }
+
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+  }
+}
+
+// Stop and save the balancers, cookie jars and capture stores in
+// `retired` that `kept` does not share
+function release(retired, kept) {
+  for (const [sub, balancer] of retired.balancers) {
+    if (kept.balancers.get(sub) !== balancer) balancer.stop();
+  }
+  for (const [sub, jar] of retired.cookieJars) {
+    if (kept.cookieJars.get(sub) !== jar) jar.close();
+  }
+  for (const [sub, store] of retired.captures) {
+    if (kept.captures.get(sub) !== store) store.close();
+  }
+}
+
+module.exports = SiteRegistry;
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * Upstream requests with timeouts, retries and per-host circuit
+ * breaking.
+ *
+ * A request may be attempted several times, so callers get one
+ * callback with either the final response or the final error
+ * instead of a single ClientRequest.
+ */
+
+// Safe to send twice (RFC 9110 §9.2.2)
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE']);
+
+// Errors worth another attempt: the upstream never produced a response
+const RETRYABLE_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH',
+  'EAI_AGAIN', 'ETIMEDOUT', 'UPSTREAM_TIMEOUT',
+]);
+
+// Responses that count against the circuit like a failed connection:
+// the upstream answered, but only to say it could not serve
+const GATEWAY_ERRORS = new Set([502, 503, 504]);
+
+class UpstreamTimeoutError extends Error {
+  /**
+   * @param {'connect'|'first-byte'|'idle'} phase
+   * @param {number} ms
+   */
+  constructor(phase, ms) {
+    super(`upstream ${phase} timeout after ${ms}ms`);
+    this.code = 'UPSTREAM_TIMEOUT';
+    this.phase = phase;
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(host, retryAfterMs) {
+    super(`circuit open for ${host}, retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Consecutive-failure circuit breaker for one upstream host.
+ *
+ *   closed    requests flow; `threshold` failures in a row open it
+ *   open      requests fail fast until `cooldownMs` has passed
+ *   half-open one trial request decides: success closes, failure reopens
+ *
+ * Thresholds come from the calling site's policy, since several
+ * sites may share one upstream host.
+ */
+class CircuitBreaker {
+  constructor(host) {
+    this.host = host;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+    this.lastUsed = Date.now();
+  }
+
+  /**
+   * Throws CircuitOpenError when the request must not be sent.
+   */
+  check({ circuitThreshold, circuitCooldownMs }) {
+    if (circuitThreshold === 0 || this.state === 'closed') return;
+
+    const remaining = this.openedAt + circuitCooldownMs - Date.now();
+    if (this.state === 'open' && remaining <= 0) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    throw new CircuitOpenError(this.host, Math.max(remaining, 1000));
+  }
+
+  success() {
+    if (this.state !== 'closed') {
+      console.log(`[UPSTREAM] Circuit closed for ${this.host}`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * The request let through by check() was abandoned without an
+   * outcome (the client went away), so allow another trial.
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  failure({ circuitThreshold }) {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (circuitThreshold === 0) return;
+    if (this.state === 'half-open' || this.failures >= circuitThreshold) {
+      if (this.state !== 'open') {
+        console.error(`[UPSTREAM] Circuit opened for ${this.host} after ${this.failures} failure(s)`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Whether a client request can be replayed: idempotent and
+ * without a body (a streamed body can only be sent once).
+ */
+function isReplayable(req) {
+  if (!IDEMPOTENT_METHODS.has(req.method)) return false;
+  if (req.headers['transfer-encoding']) return false;
+  return !req.headers['content-length'] || req.headers['content-length'] === '0';
+}
+
+/**
+ * Send a request upstream. The breaker is asked once and told
+ * one outcome per request, whatever the number of attempts: the
+ * response (a failure if it is a 502, 503 or 504) or the last error.
+ *
+ * @param {object} params
+ * @param {typeof import('http')} params.transport - http or https
+ * @param {object} params.options - options for transport.request()
+ * @param {import('http').IncomingMessage} params.body - client request to stream as the body
+ * @param {Buffer} [params.payload] - body already read from the client, sent instead
+ * @param {object} params.policy - the site's parsed [upstream] section
+ * @param {CircuitBreaker} params.breaker
+ * @param {(attempt: number, err: Error) => void} [params.onRetry]
+ * @param {(err: Error|null, proxyRes?: import('http').IncomingMessage) => void} callback
+ * @returns {{ abort(): void }}
+ */
+function requestUpstream({ transport, options, body, payload, policy, breaker, onRetry }, callback) {
+  // A buffered payload can be sent again, so only the method matters
+  const replayable = payload ? IDEMPOTENT_METHODS.has(body.method) : isReplayable(body);
+  const maxAttempts = replayable ? policy.retries + 1 : 1;
+  let attempt = 0;
+  let current = null;
+  let settled = false;
+  let retryTimer = null;
+  let aborted = false;
+
+  function send() {
+    attempt++;
+
+    const proxyReq = transport.request(options);
+    current = proxyReq;
+
+    let connectTimer = null;
+    let firstByteTimer = null;
+    let done = false;
+
+    const clearTimers = () => {
+      clearTimeout(connectTimer);
+      clearTimeout(firstByteTimer);
+    };
+
+    // Started before there is a socket, so opening a tunnel
+    // through an outbound proxy counts as connecting
+    if (policy.connectTimeoutMs) {
+      connectTimer = setTimeout(() => {
+        proxyReq.destroy(new UpstreamTimeoutError('connect', policy.connectTimeoutMs));
+      }, policy.connectTimeoutMs);
+    }
+
+    proxyReq.on('socket', (socket) => {
+      // Reused keep-alive sockets are already connected
+      if (!socket.connecting) return clearTimeout(connectTimer);
+      socket.once('connect', () => clearTimeout(connectTimer));
+    });
+
+    // The first-byte clock starts once the whole request is sent
+    proxyReq.on('finish', () => {
+      if (!policy.firstByteTimeoutMs || done) return;
+      firstByteTimer = setTimeout(() => {
+        proxyReq.destroy(new UpstreamTimeoutError('first-byte', policy.firstByteTimeoutMs));
+      }, policy.firstByteTimeoutMs);
+    });
+
+    proxyReq.on('response', (proxyRes) => {
+      done = true;
+      settled = true;
+      clearTimers();
+      if (GATEWAY_ERRORS.has(proxyRes.statusCode)) breaker.failure(policy);
+      else breaker.success();
+
+      if (policy.idleTimeoutMs) {
+        proxyReq.setTimeout(policy.idleTimeoutMs, () => {
+          proxyRes.destroy(new UpstreamTimeoutError('idle', policy.idleTimeoutMs));
+        });
+      }
+
+      callback(null, proxyRes);
+    });
+
+    proxyReq.on('error', (err) => {
+      clearTimers();
+
+      // Errors after the response arrived surface on the
+      // response stream; the caller's pipeline handles them
+      if (done || aborted) return;
+      done = true;
+
+      if (attempt < maxAttempts && RETRYABLE_CODES.has(err.code)) {
+        const delay = policy.retryBackoffMs * 2 ** (attempt - 1);
+        // Up to 50% jitter so retries from many clients spread out
+        const jittered = delay + Math.floor(Math.random() * delay / 2);
+        if (onRetry) onRetry(attempt, err);
+        retryTimer = setTimeout(send, jittered);
+        return;
+      }
+
+      settled = true;
+      breaker.failure(policy);
+      callback(err);
+    });
+
+    if (payload) {
+      proxyReq.end(payload);
+    } else if (maxAttempts > 1) {
+      proxyReq.end();
+    } else {
+      body.pipe(proxyReq);
+    }
+  }
+
+  try {
+    breaker.check(policy);
+  } catch (err) {
+    callback(err);
+    return { abort() {} };
+  }
+  send();
+
+  return {
+    abort() {
+      aborted = true;
+      clearTimeout(retryTimer);
+      if (!settled) breaker.release();
+      if (current) current.destroy();
+    },
+  };
+}
+
+module.exports = {
+  requestUpstream,
+  CircuitBreaker,
+  UpstreamTimeoutError,
+  CircuitOpenError,
+  isReplayable,
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+const { Transform } = require('stream');
+
+/**
+ * Minimal WebSocket frame codec (RFC 6455) used to rewrite
+ * text messages flowing from the upstream to the client.
+ *
+ * Only the upstream → client direction is parsed. Binary,
+ * control and compressed (RSV1) frames are forwarded
+ * byte-for-byte as they arrive; text messages are reassembled
+ * from their fragments, rewritten and sent on as a single frame.
+ * Text messages over MAX_MESSAGE_BYTES are not held: they are
+ * forwarded byte-for-byte too, unrewritten.
+ */
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Try to read a frame header from the start of `buf`.
+ * @returns {object|null} the header, or null if more bytes are needed
+ */
+function readHeader(buf) {
+  if (buf.length < 2) return null;
+
+  const fin = (buf[0] & 0x80) !== 0;
+  const rsv = buf[0] & 0x70;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+
+  let payloadLength = buf[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buf.length < 4) return null;
+    payloadLength = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buf.length < 10) return null;
+    payloadLength = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  let maskKey = null;
+  if (masked) {
+    if (buf.length < offset + 4) return null;
+    maskKey = buf.subarray(offset, offset + 4);
+    offset += 4;
+  }
+
+  return { fin, rsv, opcode, maskKey, offset, payloadLength };
+}
+
+/**
+ * Try to read one complete frame from the start of `buf`.
+ * @returns {object|null} the frame, or null if more bytes are needed
+ */
+function readFrame(buf) {
+  const header = readHeader(buf);
+  if (!header) return null;
+
+  const { fin, rsv, opcode, maskKey, offset } = header;
+  const length = offset + header.payloadLength;
+  if (buf.length < length) return null;
+
+  let payload = buf.subarray(offset, length);
+  if (maskKey) {
+    payload = Buffer.from(payload);
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= maskKey[i & 3];
+    }
+  }
+
+  return { fin, rsv, opcode, payload, length, raw: buf.subarray(0, length) };
+}
+
+/**
+ * Encode an unmasked frame (server → client frames are never masked).
+ */
+function encodeFrame(opcode, payload, fin = true) {
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Transform stream that runs every text message through `rewriteText`.
+ * @param {(text: string) => string} rewriteText
+ * @param {number} [maxMessageBytes] - larger text messages are not rewritten
+ */
+function createTextFrameRewriter(rewriteText, maxMessageBytes = MAX_MESSAGE_BYTES) {
+  let pending = Buffer.alloc(0);
+  let fragments = null;
+  let fragmentBytes = 0;
+  // What is left of a frame being forwarded as it arrives
+  let passing = 0;
+
+  // Whether a frame is part of a text message to be rewritten
+  function held(header) {
+    if (header.rsv !== 0) return false; // extension data we don't understand (e.g. permessage-deflate)
+    if (header.opcode === OPCODE_TEXT) return header.payloadLength <= maxMessageBytes;
+    return header.opcode === OPCODE_CONTINUATION && fragments !== null &&
+      fragmentBytes + header.payloadLength <= maxMessageBytes;
+  }
+
+  function handleFrame(stream, frame) {
+    if (frame.opcode === OPCODE_TEXT) {
+      fragments = [];
+      fragmentBytes = 0;
+    }
+    fragments.push(frame);
+    fragmentBytes += frame.payload.length;
+
+    if (frame.fin) {
+      const message = Buffer.concat(fragments.map(f => f.payload));
+      fragments = null;
+      stream.push(encodeFrame(OPCODE_TEXT, rewritePayload(message)));
+    }
+  }
+
+  // A text message that turned out too large goes on as it came
+  function releaseFragments(stream) {
+    if (!fragments) return;
+    for (const frame of fragments) stream.push(frame.raw);
+    fragments = null;
+  }
+
+  function rewritePayload(payload) {
+    return Buffer.from(rewriteText(payload.toString('utf8')), 'utf8');
+  }
+
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      if (passing > 0) {
+        const n = Math.min(passing, chunk.length);
+        this.push(chunk.subarray(0, n));
+        passing -= n;
+        chunk = chunk.subarray(n);
+      }
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+      let header;
+      while ((header = readHeader(pending))) {
+        const length = header.offset + header.payloadLength;
+
+        if (!held(header)) {
+          // Binary, binary continuations, control frames (which may be
+          // interleaved with a fragmented text message) and oversized
+          // text pass through as-is, without waiting for the whole frame
+          if (header.opcode === OPCODE_CONTINUATION) releaseFragments(this);
+          const n = Math.min(length, pending.length);
+          this.push(pending.subarray(0, n));
+          passing = length - n;
+          pending = pending.subarray(n);
+          continue;
+        }
+
+        if (pending.length < length) break;
+        const frame = readFrame(pending);
+        pending = pending.subarray(length);
+        handleFrame(this, frame);
+      }
+
+      cb();
+    },
+
+    flush(cb) {
+      releaseFragments(this);
+      if (pending.length) this.push(pending);
+      cb();
+    },
+  });
+}
+
+module.exports = { createTextFrameRewriter, readFrame, encodeFrame };
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * Minimal X.509 certificate builder (DER encoding by hand, keys
+ * and signatures from Node's crypto), so certificates can be
+ * issued in-process without the openssl binary.
+ *
+ * Only what the gateway needs: a self-signed CA and server leaf
+ * certificates with subjectAltName, signed with SHA-256 (RSA
+ * PKCS#1 v1.5 or ECDSA), and a PKCS#12 bundle to install the CA
+ * certificate from.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// ── DER encoding ──────────────────────────────────────────
+
+function tlv(tag, content) {
+  const length = content.length;
+  let header;
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const bytes = [];
+    for (let n = length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+    header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([header, content]);
+}
+
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const explicit = (n, content) => tlv(0xa0 + n, content);
+const octetString = content => tlv(0x04, content);
+const bitString = (content, unusedBits = 0) => tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), content]));
+const boolean = value => tlv(0x01, Buffer.from([value ? 0xff : 0]));
+const NULL = Buffer.from([0x05, 0x00]);
+
+// Unsigned, big-endian
+function integer(value) {
+  let bytes = value;
+  if (!Buffer.isBuffer(value)) {
+    const hex = value.toString(16);
+    bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  }
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  bytes = bytes.subarray(start);
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return tlv(0x02, bytes);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const encoded = [arc & 0x7f];
+    for (let n = arc >> 7; n > 0; n >>= 7) encoded.unshift(0x80 | (n & 0x7f));
+    bytes.push(...encoded);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime up to 2049, GeneralizedTime after (RFC 5280 §4.1.2.5)
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(iso.slice(2), 'ascii'))
+    : tlv(0x18, Buffer.from(iso, 'ascii'));
+}
+
+// Named bit list: bit 0 is the most significant bit of the first byte
+function namedBits(bits) {
+  const highest = Math.max(...bits);
+  const bytes = Buffer.alloc(Math.floor(highest / 8) + 1);
+  for (const bit of bits) bytes[bit >> 3] |= 0x80 >> (bit & 7);
+  return bitString(bytes, 7 - (highest & 7));
+}
+
+// ── DER reading (just enough to walk a certificate) ───────
+
+function readTlv(buf, offset) {
+  const tag = buf[offset];
+  let length = buf[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + buf[start + i];
+    start += count;
+  }
+  return { tag, start, end: start + length, raw: buf.subarray(offset, start + length) };
+}
+
+function children(buf, node) {
+  const items = [];
+  for (let offset = node.start; offset < node.end;) {
+    const item = readTlv(buf, offset);
+    items.push(item);
+    offset = item.end;
+  }
+  return items;
+}
+
+/**
+ * DER of a certificate's subject Name, to use as the issuer of
+ * certificates it signs.
+ */
+function subjectOf(certDer) {
+  const tbs = children(certDer, readTlv(certDer, 0))[0];
+  const fields = children(certDer, tbs);
+  // [0] version, serial, signature, issuer, validity, subject
+  const offset = fields[0].tag === 0xa0 ? 1 : 0;
+  return fields[offset + 4].raw;
+}
+
+/**
+ * Key identifier (RFC 5280 §4.2.1.2, method 1): SHA-1 of the
+ * subjectPublicKey bits.
+ */
+function keyIdentifier(publicKey) {
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+  const [, key] = children(spki, readTlv(spki, 0));
+  return crypto.createHash('sha1').update(spki.subarray(key.start + 1, key.end)).digest();
+}
+
+// ── Certificates ──────────────────────────────────────────
+
+const NAME_OIDS = {
+  C: '2.5.4.6',
+  ST: '2.5.4.8',
+  L: '2.5.4.7',
+  O: '2.5.4.10',
+  OU: '2.5.4.11',
+  CN: '2.5.4.3',
+};
+
+/**
+ * [['C', 'XX'], ['CN', 'example.com']] → Name DER.
+ */
+function encodeName(attributes) {
+  return sequence(...attributes.map(([type, value]) =>
+    set(sequence(
+      oid(NAME_OIDS[type]),
+      // countryName must be a PrintableString
+      tlv(type === 'C' ? 0x13 : 0x0c, Buffer.from(value, 'utf8'))
+    ))
+  ));
+}
+
+function extension(id, critical, value) {
+  return critical
+    ? sequence(oid(id), boolean(true), octetString(value))
+    : sequence(oid(id), octetString(value));
+}
+
+function signatureAlgorithm(signingKey) {
+  return signingKey.asymmetricKeyType === 'ec'
+    ? sequence(oid('1.2.840.10045.4.3.2'))           // ecdsa-with-SHA256
+    : sequence(oid('1.2.840.113549.1.1.11'), NULL);  // sha256WithRSAEncryption
+}
+
+function altName(name) {
+  if (net.isIPv4(name)) return tlv(0x87, Buffer.from(name.split('.').map(Number)));
+  if (net.isIPv6(name)) return tlv(0x87, ipv6Bytes(name));
+  return tlv(0x82, Buffer.from(name, 'ascii'));
+}
+
+function ipv6Bytes(address) {
+  const [head, tail = ''] = address.split('::');
+  const words = head ? head.split(':') : [];
+  const tailWords = tail ? tail.split(':') : [];
+  const groups = address.includes('::')
+    ? [...words, ...Array(8 - words.length - tailWords.length).fill('0'), ...tailWords]
+    : words;
+  return Buffer.from(groups.flatMap(g => [parseInt(g, 16) >> 8, parseInt(g, 16) & 0xff]));
+}
+
+/**
+ * Build and sign a certificate.
+ *
+ * @param {object} params
+ * @param {[string, string][]} params.subject - name attributes, e.g. [['CN', 'example.com']]
+ * @param {Buffer} [params.issuer] - issuer Name DER (from subjectOf()); self-signed when omitted
+ * @param {import('crypto').KeyObject} params.publicKey - the subject's key
+ * @param {import('crypto').KeyObject} params.signingKey - the issuer's private key
+ * @param {import('crypto').KeyObject} [params.issuerPublicKey] - for authorityKeyIdentifier
+ * @param {Date} params.notBefore
+ * @param {Date} params.notAfter
+ * @param {boolean} [params.isCA]
+ * @param {string[]} [params.altNames] - DNS names and IP addresses
+ * @returns {string} PEM
+ */
+function createCertificate({
+  subject, issuer, publicKey, signingKey, issuerPublicKey,
+  notBefore, notAfter, isCA = false, altNames = [],
+}) {
+  const subjectName = encodeName(subject);
+  const algorithm = signatureAlgorithm(signingKey);
+
+  const keyUsage = isCA
+    ? [5, 6]                                          // keyCertSign, cRLSign
+    : publicKey.asymmetricKeyType === 'ec' ? [0] : [0, 2]; // digitalSignature (+ keyEncipherment)
+
+  const extensions = [
+    extension('2.5.29.19', true, isCA ? sequence(boolean(true)) : sequence()),  // basicConstraints
+    extension('2.5.29.15', true, namedBits(keyUsage)),                           // keyUsage
+    extension('2.5.29.14', false, octetString(keyIdentifier(publicKey))),        // subjectKeyIdentifier
+    extension('2.5.29.35', false, sequence(                                      // authorityKeyIdentifier
+      tlv(0x80, keyIdentifier(issuerPublicKey || publicKey))
+    )),
+  ];
+  if (!isCA) {
+    extensions.push(
+      extension('2.5.29.37', false, sequence(oid('1.3.6.1.5.5.7.3.1'))),        // extKeyUsage: serverAuth
+      extension('2.5.29.17', false, sequence(...altNames.map(altName))),          // subjectAltName
+    );
+  }
+
+  // Positive 127-bit serial
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+
+  const tbs = sequence(
+    explicit(0, integer(2)),                           // v3
+    integer(serial),
+    algorithm,
+    issuer || subjectName,
+    sequence(time(notBefore), time(notAfter)),
+    subjectName,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions)),
+  );
+
+  const signature = crypto.sign('sha256', tbs, signingKey);
+  const der = sequence(tbs, algorithm, bitString(signature));
+
+  const base64 = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`;
+}
+
+// ── PKCS#12 ───────────────────────────────────────────────
+
+const OID_DATA = '1.2.840.113549.1.7.1';
+const PKCS12_ITERATIONS = 2048;
+
+/**
+ * PKCS#12 key derivation (RFC 7292 appendix B.2) with SHA-256.
+ * `id` 3 derives a MAC key.
+ */
+function pkcs12Kdf(password, salt, id, iterations, length) {
+  const u = 32;  // SHA-256 output
+  const v = 64;  // SHA-256 block
+  // BMPString, null terminated
+  const pass = Buffer.from(`${password}\0`, 'utf16le').swap16();
+  const fill = (buf) => {
+    const out = Buffer.alloc(v * Math.ceil(buf.length / v));
+    for (let i = 0; i < out.length; i++) out[i] = buf[i % buf.length];
+    return out;
+  };
+
+  const D = Buffer.alloc(v, id);
+  const I = Buffer.concat([fill(salt), fill(pass)]);
+  const blocks = [];
+
+  for (let done = 0; done < length; done += u) {
+    let A = crypto.createHash('sha256').update(D).update(I).digest();
+    for (let i = 1; i < iterations; i++) A = crypto.createHash('sha256').update(A).digest();
+    blocks.push(A);
+
+    // I_j = (I_j + B + 1) mod 2^(v*8), B being A repeated
+    const B = fill(A);
+    for (let j = 0; j < I.length; j += v) {
+      let carry = 1;
+      for (let k = v - 1; k >= 0; k--) {
+        const sum = I[j + k] + B[k] + carry;
+        I[j + k] = sum & 0xff;
+        carry = sum >> 8;
+      }
+    }
+  }
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+/**
+ * PKCS#12 (.p12) bundle holding certificates only, integrity
+ * protected with the password (HMAC-SHA256). For importing a CA
+ * certificate on platforms that prefer .p12 files.
+ *
+ * @param {object} params
+ * @param {Buffer[]} params.certs - DER certificates
+ * @param {string} [params.password]
+ * @param {string} [params.friendlyName]
+ * @returns {Buffer} DER
+ */
+function createPkcs12({ certs, password = '', friendlyName }) {
+  const attributes = friendlyName
+    ? [set(sequence(
+      oid('1.2.840.113549.1.9.20'),                      // friendlyName
+      set(tlv(0x1e, Buffer.from(friendlyName, 'utf16le').swap16()))
+    ))]
+    : [];
+
+  const safeContents = sequence(...certs.map(der => sequence(
+    oid('1.2.840.113549.1.12.10.1.3'),                   // certBag
+    explicit(0, sequence(
+      oid('1.2.840.113549.1.9.22.1'),                    // x509Certificate
+      explicit(0, octetString(der))
+    )),
+    ...attributes
+  )));
+
+  const authSafe = sequence(sequence(oid(OID_DATA), explicit(0, octetString(safeContents))));
+
+  const salt = crypto.randomBytes(16);
+  const macKey = pkcs12Kdf(password, salt, 3, PKCS12_ITERATIONS, 32);
+  const mac = crypto.createHmac('sha256', macKey).update(authSafe).digest();
+
+  return sequence(
+    integer(3),
+    sequence(oid(OID_DATA), explicit(0, octetString(authSafe))),
+    sequence(
+      sequence(sequence(oid('2.16.840.1.101.3.4.2.1'), NULL), octetString(mac)),  // sha256
+      octetString(salt),
+      integer(PKCS12_ITERATIONS)
+    )
+  );
+}
+
+module.exports = { createCertificate, createPkcs12, subjectOf };
\ No newline at end of file
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { localPath } = require('../src/auth');
+
+test('sign-in redirects stay on the site', () => {
+  assert.strictEqual(localPath('/docs/a?b=1#c'), '/docs/a?b=1#c');
+  assert.strictEqual(localPath('/a/../b'), '/b');
+});
+
+test('sign-in redirects refuse other origins', () => {
+  for (const value of [
+    '//evil.example',
+    '/\\evil.example',
+    'https://evil.example/',
+    '/\t/evil.example',
+    '/\n/evil.example',
+    '/\r/evil.example',
+    '/ /evil.example',
+    '/x/../..//evil.example',
+    '/x/..//evil.example',
+    '',
+    null,
+  ]) {
+    assert.strictEqual(localPath(value), '/', JSON.stringify(value));
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseConfText } = require('../src/config-parser');
+const { credentialHeaders } = require('../src/credentials');
+const { Recording } = require('../src/recording');
+
+function setup(sections = '', keyHeaders = '') {
+  const problems = [];
+  const config = parseConfText(`
+[proxy]
+local_subdomain = up.localgateway.com
+target_host = up.example.com
+${sections}
+[recording]
+mode = record
+dir = recordings
+${keyHeaders ? `key_headers = ${keyHeaders}` : ''}
+`, 'up', problems);
+  assert.deepStrictEqual(problems, []);
+  return config;
+}
+
+// What the proxy asks before saving a response
+function mayRecord(config, headers, context) {
+  const req = { method: 'GET', url: '/', headers: { host: config.localSubdomain, ...headers } };
+  return new Recording(config, os.tmpdir()).mayRecord(credentialHeaders(req, config, context));
+}
+
+const UPSTREAM = { protocol: 'https', host: 'up.example.com', port: 443, path: '/a' };
+
+// Send `chunks` through the recorder as the upstream's response
+// and wait until the recording is on disk
+async function save(recording, key, chunks) {
+  const proxyRes = { statusCode: 200, statusMessage: 'OK', rawHeaders: ['Content-Type', 'text/plain'] };
+  const stream = recording.recorder(key, proxyRes);
+  stream.resume();
+  for (const chunk of chunks) {
+    if (!stream.write(chunk)) await new Promise(resolve => stream.once('drain', resolve));
+  }
+  stream.end();
+  while (!fs.existsSync(`${key.file}.json`)) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function tempRecording(keyHeaders) {
+  return new Recording(setup('', keyHeaders), fs.mkdtempSync(path.join(os.tmpdir(), 'recording-')));
+}
+
+test('requests without credentials are recorded', () => {
+  const config = setup();
+  assert.strictEqual(mayRecord(config, {}), true);
+  assert.strictEqual(mayRecord(config, { cookie: ' ; ' }), true);
+});
+
+test('a client cookie keeps the response out of the recording unless it is keyed', () => {
+  assert.strictEqual(mayRecord(setup(), { cookie: 'sid=abc' }), false);
+  assert.strictEqual(mayRecord(setup(), { cookie: 'theme=dark; sid=abc' }), false);
+  assert.strictEqual(mayRecord(setup('', 'cookie'), { cookie: 'sid=abc' }), true);
+});
+
+test('the gateway\'s own cookies are not the client\'s credentials', () => {
+  const config = setup('[cookie_jar]\nenabled = true\n');
+  assert.strictEqual(mayRecord(config, { cookie: 'proxy_session=abc' }), true);
+  assert.strictEqual(mayRecord(config, { cookie: 'proxy_session=abc' }, { jarRequest: { session: {} } }), false);
+  assert.strictEqual(mayRecord(config, { cookie: 'proxy_session=abc; sid=1' }), false);
+});
+
+test('authorization and signed-in users need their header in the key', () => {
+  assert.strictEqual(mayRecord(setup(), { authorization: 'Bearer x' }), false);
+  assert.strictEqual(mayRecord(setup('', 'authorization'), { authorization: 'Bearer x' }), true);
+  assert.strictEqual(mayRecord(setup(), {}, { user: 'ann' }), false);
+});
+
+test('key header values are saved as digests', async () => {
+  const recording = tempRecording('cookie');
+  const key = recording.keyFor({ method: 'GET', headers: { cookie: 'sid=secret' } }, UPSTREAM);
+
+  await save(recording, key, [Buffer.from('hello')]);
+  const saved = fs.readFileSync(`${key.file}.json`, 'utf8');
+  assert.ok(!saved.includes('secret'));
+  assert.match(JSON.parse(saved).request.headers.cookie, /^sha256:[0-9a-f]{64}$/);
+  assert.ok(await recording.lookup(key));
+
+  const other = recording.keyFor({ method: 'GET', headers: { cookie: 'sid=other' } }, UPSTREAM);
+  assert.strictEqual(await recording.lookup(other), null);
+  fs.rmSync(recording.dir, { recursive: true, force: true });
+});
+
+test('large bodies are saved whole', async () => {
+  const recording = tempRecording();
+  const key = recording.keyFor({ method: 'GET', headers: {} }, UPSTREAM);
+  const chunks = Array.from({ length: 64 }, (_, i) => Buffer.alloc(64 * 1024, i));
+  await save(recording, key, chunks);
+
+  assert.strictEqual((await recording.lookup(key)).bodySize, 64 * 64 * 1024);
+  assert.ok(fs.readFileSync(`${key.file}.body`).equals(Buffer.concat(chunks)));
+  fs.rmSync(recording.dir, { recursive: true, force: true });
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileRule, withRules } = require('../src/replace-rules');
+
+const PASSTHROUGH = { write: text => text, end: () => '' };
+
+function rule(match, replacement, regex = false) {
+  return compileRule({ match, regex, flags: '', with: replacement, contentTypes: [], paths: [], side: 'response' });
+}
+
+// Stream `text` through `rules` in `size`-character chunks
+function stream(rules, text, size) {
+  const processor = withRules(PASSTHROUGH, rules);
+  const out = [];
+  for (let i = 0; i < text.length; i += size) out.push(processor.write(text.slice(i, i + size)));
+  out.push(processor.end());
+  return out;
+}
+
+test('matches split across chunks are replaced', () => {
+  const rules = [rule('UA-12345', 'UA-0'), rule('id=(\\d+)', 'id=[$1]', true)];
+  const text = 'a UA-12345 b id=42 c UA-12345';
+  for (const size of [1, 2, 3, 5, 8, 100]) {
+    assert.strictEqual(stream(rules, text, size).join(''), 'a UA-0 b id=[42] c UA-0', `chunks of ${size}`);
+  }
+});
+
+test('rules run in order on each other\'s output', () => {
+  const rules = [rule('foo', 'bar'), rule('bar', 'baz')];
+  assert.strictEqual(stream(rules, 'foo bar foo', 2).join(''), 'baz baz baz');
+});
+
+test('output is sent on before the body ends', () => {
+  const chunk = 'x'.repeat(64 * 1024);
+  const out = stream([rule('secret', 'hidden')], chunk + chunk + chunk, chunk.length);
+  assert.ok(out[0].length > 0);
+  assert.ok(out.slice(0, -1).join('').length >= 2 * chunk.length);
+});
+
+test('held-back text is bounded for regex matches that keep growing', () => {
+  const processor = withRules(PASSTHROUGH, [rule('a+', 'a', true)]);
+  const chunk = 'a'.repeat(32 * 1024);
+  let sent = 0;
+  for (let i = 0; i < 8; i++) sent += processor.write(chunk).length;
+  assert.ok(sent > 0);
+  processor.end();
+});
+
+test('surrogate pairs are not split between chunks', () => {
+  const text = '😀'.repeat(10);
+  for (const size of [1, 3]) {
+    const out = stream([rule('x', 'y')], text, size);
+    assert.ok(out.every(part => !/[\ud800-\udbff]$/.test(part)), `chunks of ${size}`);
+    assert.strictEqual(out.join(''), text);
+  }
+});
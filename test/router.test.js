@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseConfText } = require('../src/config-parser');
+const Router = require('../src/router');
+
+const CONF = `
+[proxy]
+local_subdomain = up.localgateway.com
+target_host = up.example.com
+
+[route]
+methods = DELETE
+paths = /api/*
+action = block
+`;
+
+function setup() {
+  const problems = [];
+  const config = parseConfText(CONF, 'up', problems);
+  assert.deepStrictEqual(problems, []);
+  return { config, router: new Router([config]) };
+}
+
+// What the proxy does with a request before matching [route] rules
+function route(router, config, method, url) {
+  const req = { method, url, headers: { host: config.localSubdomain } };
+  const target = router.originForm(req, config);
+  if (target === null) return 'refused';
+  req.url = router.normalizeUrl(target);
+  const match = router.matchRoute(config, req);
+  return match ? match.action : 'upstream';
+}
+
+test('route rules match every spelling of a path', () => {
+  const { config, router } = setup();
+  for (const url of ['/api/x', '//api/x', '/%61pi/x', '/./api/x', '/x/../api/x', '/api/./x']) {
+    assert.strictEqual(route(router, config, 'DELETE', url), 'block', url);
+  }
+  assert.strictEqual(route(router, config, 'GET', '/api/x'), 'upstream');
+});
+
+test('absolute-form targets are matched by their path', () => {
+  const { config, router } = setup();
+  assert.strictEqual(route(router, config, 'DELETE', 'http://up.localgateway.com/api/x'), 'block');
+  assert.strictEqual(route(router, config, 'DELETE', 'https://UP.localgateway.com//api/x?a=1'), 'block');
+});
+
+test('absolute-form targets naming another host are refused', () => {
+  const { config, router } = setup();
+  assert.strictEqual(route(router, config, 'GET', 'http://other.example/api/x'), 'refused');
+  assert.strictEqual(route(router, config, 'GET', 'ftp://up.localgateway.com/x'), 'refused');
+  assert.strictEqual(route(router, config, 'GET', '*'), 'refused');
+});
+
+test('normalizeUrl keeps the query and escaped reserved characters', () => {
+  const { router } = setup();
+  assert.strictEqual(router.normalizeUrl('/a//b/../c?x=//y/../z'), '/a/c?x=//y/../z');
+  assert.strictEqual(router.normalizeUrl('/a/%2f/%7e'), '/a/%2F/~');
+  assert.strictEqual(router.normalizeUrl('/a/b/..'), '/a/');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SiteRegistry = require('../src/site-registry');
+const { CookieJar } = require('../src/cookie-jar');
+
+function writeSite(dir, maxSessions) {
+  const file = path.join(dir, 'up.conf');
+  fs.writeFileSync(file, `
+[proxy]
+local_subdomain = up.localgateway.com
+target_host = up.example.com
+
+[cookie_jar]
+enabled = true
+dir = ${path.join(dir, 'jars')}
+max_sessions = ${maxSessions}
+`);
+  // A new mtime, so the reload parses it again
+  const time = new Date(Date.now() + maxSessions * 1000);
+  fs.utimesSync(file, time, time);
+}
+
+test('a replaced cookie jar is closed once, after the new snapshot is in place', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const closed = [];
+  const close = CookieJar.prototype.close;
+  t.after(() => { CookieJar.prototype.close = close; });
+
+  writeSite(dir, 10);
+  const registry = new SiteRegistry(dir, { httpPort: 80, httpsPort: 443 });
+  registry.reload();
+  const first = registry.current.cookieJars.get('up.localgateway.com');
+
+  CookieJar.prototype.close = function () {
+    closed.push({ jar: this, current: registry.current.cookieJars.get('up.localgateway.com') });
+    return close.call(this);
+  };
+
+  writeSite(dir, 20);
+  registry.reload();
+  const second = registry.current.cookieJars.get('up.localgateway.com');
+
+  assert.notStrictEqual(second, first);
+  assert.strictEqual(closed.length, 1);
+  assert.strictEqual(closed[0].jar, first);
+  assert.strictEqual(closed[0].current, second);
+  registry.close();
+});
+
+test('a failed reload leaves the current resources running', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  writeSite(dir, 10);
+  const registry = new SiteRegistry(dir, { httpPort: 80, httpsPort: 443 });
+  registry.reload();
+  const before = registry.current;
+  const jar = before.cookieJars.get('up.localgateway.com');
+
+  const closed = [];
+  const close = CookieJar.prototype.close;
+  CookieJar.prototype.close = function () {
+    closed.push(this);
+    return close.call(this);
+  };
+  const buildSnapshot = registry.buildSnapshot;
+  // A second site that breaks once its cookie jar is built
+  registry.buildSnapshot = function (configs) {
+    const broken = { ...configs[0], localSubdomain: 'other.localgateway.com', recording: null };
+    return buildSnapshot.call(this, [...configs, broken]);
+  };
+  t.after(() => { CookieJar.prototype.close = close; });
+
+  writeSite(dir, 20);
+  registry.reload();
+
+  assert.strictEqual(registry.current, before);
+  assert.strictEqual(registry.current.cookieJars.get('up.localgateway.com'), jar);
+  assert.ok(!closed.includes(jar));
+  assert.strictEqual(closed.length, 2);
+  registry.close();
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { requestUpstream, CircuitBreaker } = require('../src/upstream-request');
+
+const POLICY = {
+  retries: 2,
+  retryBackoffMs: 1,
+  connectTimeoutMs: 0,
+  firstByteTimeoutMs: 0,
+  idleTimeoutMs: 0,
+  circuitThreshold: 5,
+  circuitCooldownMs: 1000,
+};
+
+// A local upstream answering every request with `handler`
+async function withUpstream(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(server.address().port);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function send(port, breaker, policy = POLICY) {
+  const body = { method: 'GET', headers: {} };
+  const options = { host: '127.0.0.1', port, method: 'GET', path: '/', agent: false };
+  let retries = 0;
+  return new Promise((resolve) => {
+    requestUpstream({ transport: http, options, body, policy, breaker, onRetry: () => retries++ }, (err, proxyRes) => {
+      if (proxyRes) proxyRes.resume();
+      resolve({ err, status: proxyRes && proxyRes.statusCode, retries });
+    });
+  });
+}
+
+test('a request counts once against the circuit, however often it is retried', async () => {
+  const breaker = new CircuitBreaker('127.0.0.1');
+  await withUpstream((req) => req.socket.destroy(), async (port) => {
+    const result = await send(port, breaker);
+    assert.strictEqual(result.retries, 2);
+    assert.strictEqual(result.err.code, 'ECONNRESET');
+  });
+  assert.strictEqual(breaker.failures, 1);
+  assert.strictEqual(breaker.state, 'closed');
+});
+
+test('gateway errors from the upstream count as failures', async () => {
+  const breaker = new CircuitBreaker('127.0.0.1');
+  await withUpstream((req, res) => {
+    res.statusCode = 503;
+    res.end();
+  }, async (port) => {
+    const policy = { ...POLICY, circuitThreshold: 2 };
+    assert.strictEqual((await send(port, breaker, policy)).status, 503);
+    assert.strictEqual((await send(port, breaker, policy)).status, 503);
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual((await send(port, breaker, policy)).err.code, 'CIRCUIT_OPEN');
+  });
+});
+
+test('a response other than a gateway error closes the circuit', async () => {
+  const breaker = new CircuitBreaker('127.0.0.1');
+  breaker.failures = 3;
+  await withUpstream((req, res) => {
+    res.statusCode = 500;
+    res.end();
+  }, async (port) => {
+    assert.strictEqual((await send(port, breaker)).status, 500);
+  });
+  assert.strictEqual(breaker.failures, 0);
+});
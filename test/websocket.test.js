@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTextFrameRewriter, encodeFrame } = require('../src/websocket');
+
+const rewrite = text => text.replace(/up\.example\.com/g, 'up.localgateway.com');
+
+// Feed `input` through a rewriter in `chunkSize` pieces
+function run(input, { chunkSize = input.length, maxMessageBytes } = {}) {
+  const stream = createTextFrameRewriter(rewrite, maxMessageBytes);
+  const out = [];
+  stream.on('data', c => out.push(c));
+  for (let i = 0; i < input.length; i += chunkSize) stream.write(input.subarray(i, i + chunkSize));
+  stream.end();
+  return Buffer.concat(out);
+}
+
+const text = (s, fin = true) => encodeFrame(0x1, Buffer.from(s), fin);
+const continuation = (s, fin = true) => encodeFrame(0x0, Buffer.from(s), fin);
+
+test('text messages are rewritten, fragmented or not', () => {
+  assert.deepStrictEqual(run(text('wss://up.example.com/x')), text('wss://up.localgateway.com/x'));
+  const fragmented = Buffer.concat([text('wss://up.exa', false), continuation('mple.com/x')]);
+  assert.deepStrictEqual(run(fragmented, { chunkSize: 3 }), text('wss://up.localgateway.com/x'));
+});
+
+test('binary frames pass through byte-for-byte', () => {
+  const binary = encodeFrame(0x2, Buffer.from('up.example.com'));
+  assert.deepStrictEqual(run(binary, { chunkSize: 1 }), binary);
+});
+
+test('text messages over the limit pass through unrewritten', () => {
+  const large = text('up.example.com'.repeat(10));
+  assert.deepStrictEqual(run(large, { chunkSize: 7, maxMessageBytes: 64 }), large);
+
+  const fragmented = Buffer.concat([text('up.example.com/', false), continuation('x'.repeat(100))]);
+  assert.deepStrictEqual(run(fragmented, { chunkSize: 5, maxMessageBytes: 64 }), fragmented);
+});
+
+test('oversized frames are not held until they are complete', () => {
+  const stream = createTextFrameRewriter(rewrite, 64);
+  const out = [];
+  stream.on('data', c => out.push(c));
+  const frame = text('x'.repeat(1000));
+  stream.write(frame.subarray(0, 100));
+  assert.strictEqual(Buffer.concat(out).length, 100);
+  stream.end(frame.subarray(100));
+  assert.deepStrictEqual(Buffer.concat(out), frame);
+});